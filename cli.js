@@ -0,0 +1,153 @@
+import { parseArgs } from 'util';
+
+/**
+ * Subcommands understood by the connector
+ * "run" is the default and executes the full pipeline (previous behaviour)
+ */
+export const COMMANDS = {
+  run: 'Full pipeline: app, governance, attributes, mappings, entitlements, users, role mining (then sync mode if syncInterval is set)',
+  init: 'Create/validate config, then set up the app, governance, attributes, mappings and entitlement catalog',
+  provision: 'Set up the app and entitlement catalog, then create/update users and grants from the CSV',
+  sync: 'Reconcile Okta with the CSV once (use --watch to keep syncing whenever the CSV changes)',
+  mine: 'Run role mining against the CSV and create bundles',
+  status: 'Show configuration, CSV, app and governance state without changing anything',
+  plan: 'Dry run of setup plus sync: list every Okta change that would be made, without making it',
+  inbox: 'Sync the newest complete file per app from the drop folder, then move it to archive/ or failed/ (use --watch to keep polling)',
+  rollback: 'Undo the Okta changes journaled for a run: rollback <runId> (without a run ID, lists recent runs)'
+};
+
+const OPTIONS = {
+  csv: { type: 'string' },
+  input: { type: 'string' },
+  sheet: { type: 'string' },
+  inbox: { type: 'string' },
+  app: { type: 'string' },
+  config: { type: 'string' },
+  watch: { type: 'boolean', default: false },
+  full: { type: 'boolean', default: false },
+  'allow-mass-removal': { type: 'boolean', default: false },
+  strict: { type: 'boolean', default: false },
+  delta: { type: 'boolean', default: false },
+  interval: { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  'plan-file': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  'log-format': { type: 'string' },
+  'log-level': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Parse process arguments into a command and its options
+ * Throws on unknown commands or flags so scheduled jobs fail loudly
+ */
+export function parseCommandLine(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+    strict: true
+  });
+
+  const command = positionals[0] || 'run';
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}". Run with --help to see available commands.`);
+  }
+
+  // Only rollback takes an argument (the run ID)
+  const maxPositionals = command === 'rollback' ? 2 : 1;
+  if (positionals.length > maxPositionals) {
+    throw new Error(`Unexpected argument "${positionals[maxPositionals]}"`);
+  }
+
+  let interval = null;
+  if (values.interval !== undefined) {
+    interval = Number(values.interval);
+    if (!Number.isFinite(interval) || interval <= 0) {
+      throw new Error(`--interval must be a positive number of minutes (got "${values.interval}")`);
+    }
+  }
+
+  // --sheet picks a worksheet of the --csv workbook, same as "Book.xlsx#Sheet"
+  let csv = values.csv || values.input || null;
+  if (values.sheet !== undefined) {
+    if (!csv || !/\.xlsx$/i.test(csv)) {
+      throw new Error('--sheet requires --csv <workbook.xlsx>');
+    }
+    csv = `${csv}#${values.sheet}`;
+  }
+
+  if (values.inbox !== undefined && command !== 'inbox') {
+    throw new Error('--inbox is only used by the inbox command');
+  }
+
+  if (values.delta && !['sync', 'plan', 'inbox'].includes(command)) {
+    throw new Error('--delta is only used by the sync, plan and inbox commands');
+  }
+
+  const dryRun = values['dry-run'] || command === 'plan';
+  if (dryRun && values.watch) {
+    throw new Error('--watch cannot be combined with --dry-run or plan');
+  }
+
+  return {
+    command,
+    runId: command === 'rollback' ? positionals[1] || null : null,
+    csv,
+    inbox: values.inbox || null,
+    app: values.app || null,
+    config: values.config || null,
+    watch: values.watch,
+    full: values.full,
+    allowMassRemoval: values['allow-mass-removal'],
+    strict: values.strict,
+    delta: values.delta,
+    interval,
+    dryRun,
+    planFile: values['plan-file'] || 'plan.json',
+    json: values.json,
+    logFormat: values['log-format'] || null,
+    logLevel: values['log-level'] || null,
+    help: values.help,
+    // Only the default pipeline and init may prompt; other commands are meant for scheduled jobs
+    // Prompts would also corrupt machine-readable output
+    interactive: (command === 'run' || command === 'init') && !values.json && values['log-format'] !== 'json'
+  };
+}
+
+/**
+ * Print command line usage
+ */
+export function printUsage() {
+  console.log('Usage: node index.js [command] [options]');
+  console.log('       node index.js rollback <runId> [--dry-run]');
+  console.log('');
+  console.log('Commands:');
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  for (const [name, description] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(width)}  ${description}`);
+  }
+  console.log('');
+  console.log('Options:');
+  console.log('  --csv <file>        CSV file to process (skips discovery and the selection prompt)');
+  console.log('  --input <file>      Same as --csv, for any supported input: .csv, .json, .ndjson/.jsonl, .xlsx');
+  console.log('  --sheet <name>      Worksheet of the --csv workbook to process (same as --csv "Book.xlsx#<name>")');
+  console.log('  --inbox <dir>       inbox: drop folder to process (defaults to inbox.dir)');
+  console.log('  --app <label>       Okta application label (defaults to the manifest app, workbook sheet or CSV filename)');
+  console.log('  --config <file>     Configuration file (defaults to ./config.json)');
+  console.log('  --watch             sync: keep running, sync on CSV changes and every interval; inbox: keep polling');
+  console.log('  --interval <min>    sync/inbox --watch: minutes between safety-net syncs or inbox scans (defaults to syncInterval or 5)');
+  console.log('  --full              sync/plan/inbox: reconcile against all app users in Okta instead of the saved sync state');
+  console.log('                      (sync --watch: the first sync only)');
+  console.log('  --allow-mass-removal  sync/plan/inbox: skip the safety guards for this run (intended large removals)');
+  console.log('                      (sync --watch: the first sync only)');
+  console.log('  --strict            Abort when CSV validation finds any error instead of quarantining rows');
+  console.log('  --delta             sync/plan/inbox: the input is a delta file whose "action" column says what to change');
+  console.log('  --dry-run           Read Okta state but record changes instead of applying them');
+  console.log('  --plan-file <file>  Where --dry-run/plan writes the JSON plan (defaults to ./plan.json)');
+  console.log('  --json              Write final summaries to stdout as JSON (log output moves to stderr)');
+  console.log('  --log-format <fmt>  text (default) or json for JSON-lines logs');
+  console.log('  --log-level <lvl>   debug, info (default), warn or error');
+  console.log('  -h, --help          Show this help');
+  console.log('');
+}
@@ -0,0 +1,333 @@
+import fs from 'fs';
+import path from 'path';
+import { parseInputReference, inputBaseName, inputAppName } from './inputAdapters.js';
+import { compileExpression } from './expressions.js';
+import { undatedName } from './inbox.js';
+
+/**
+ * Column manifest: what each column of an application's input means
+ *
+ * Without a manifest the connector goes by column names: a username/login/email column
+ * identifies the user, ent_<Name> columns are entitlements, names of Okta profile fields
+ * (firstName, department, ...) set the Okta user profile and every other column becomes
+ * an app attribute. A manifest declares this instead, so vendor exports can be onboarded
+ * without renaming their headers:
+ *
+ *   {
+ *     "app": "Salesforce",
+ *     "username": "Email Address",
+ *     "profile": { "First Name": "firstName", "Dept": "department" },
+ *     "attributes": { "Cost Ctr": "costCenter", "Dept": "department" },
+ *     "entitlements": { "Profile": "Profile", "Permission Sets": "PermissionSet" },
+ *     "ignore": ["Last Login"],
+ *     "unmapped": "auto",
+ *     "computed": { "Dept": "lookup('departments', [Dept Code], 'Unassigned')" },
+ *     "lookups": { "departments": { "10": "Sales", "20": "Engineering" } },
+ *     "grants": { "file": "salesforce_grants.csv", "user": "Login", "value": "Permission" },
+ *     "catalog": "salesforce_catalog.json",
+ *     "action": "Change Type"
+ *   }
+ *
+ *   app           - application label (default: sheet or file name, see inputAdapters.js)
+ *   username      - column holding the Okta login
+ *   profile       - { column: Okta user profile attribute }
+ *   attributes    - { column: app user attribute } (a column may be in both)
+ *   entitlements  - { column: entitlement name }, any header
+ *   ignore        - columns left out of the run
+ *   unmapped      - columns the manifest does not name: "auto" (default) treats them by
+ *                   name as above, "ignore" leaves them out
+ *   computed      - { column: expression } (see expressions.js), evaluated in order before
+ *                   the columns are mapped; a computed column replaces an input column of
+ *                   the same name or is added, and is then mapped like any other column
+ *   lookups       - { table: { code: value } } for lookup() in computed expressions
+ *   grants        - the long-format grants file and its columns, see grantsFile.js
+ *   catalog       - the entitlement catalog file, see entitlementCatalog.js
+ *   action        - column holding each row's action, which makes the input a delta file
+ *                   (see deltaInput.js); the column is not mapped
+ *
+ * Header names match case-insensitively. The manifest of an input is
+ * config.manifests[<file name>] (a path, or the manifest itself), otherwise
+ * <input name>.manifest.json next to the input if it exists; a timestamped file
+ * (Salesforce_2024-05-01.csv) without one uses that of its undated name. It is applied
+ * while the input is read (see dataset.js): the username column becomes "username" and
+ * entitlement columns become ent_<Name>, so the rest of the connector sees the usual
+ * record model.
+ */
+
+const MANIFEST_KEYS = ['app', 'username', 'profile', 'attributes', 'entitlements', 'ignore', 'unmapped', 'computed', 'lookups', 'grants', 'catalog', 'action'];
+const GRANTS_KEYS = ['file', 'user', 'entitlement', 'value', 'start', 'end'];
+const UNMAPPED_POLICIES = ['auto', 'ignore'];
+
+function isStringMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(target => typeof target === 'string' && target.trim() !== '');
+}
+
+/**
+ * Check a manifest and fill in its defaults
+ */
+function normalizeManifest(manifest, source) {
+  const fail = (message) => {
+    throw new Error(`Manifest ${source}: ${message}`);
+  };
+
+  if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) fail('must be a JSON object');
+  const unknown = Object.keys(manifest).filter(key => !MANIFEST_KEYS.includes(key));
+  if (unknown.length > 0) fail(`unknown setting(s) ${unknown.join(', ')} (expected ${MANIFEST_KEYS.join(', ')})`);
+
+  const normalized = {
+    source,
+    app: manifest.app ?? null,
+    username: manifest.username ?? null,
+    profile: manifest.profile ?? {},
+    attributes: manifest.attributes ?? {},
+    entitlements: manifest.entitlements ?? {},
+    ignore: manifest.ignore ?? [],
+    unmapped: manifest.unmapped ?? 'auto',
+    computed: manifest.computed ?? {},
+    lookups: manifest.lookups ?? {},
+    grants: manifest.grants ?? null,
+    catalog: manifest.catalog ?? null,
+    action: manifest.action ?? null
+  };
+
+  if (normalized.app !== null && (typeof normalized.app !== 'string' || !normalized.app.trim())) fail('"app" must be a non-empty string');
+  if (normalized.username !== null && (typeof normalized.username !== 'string' || !normalized.username.trim())) fail('"username" must be a column name');
+  for (const key of ['profile', 'attributes', 'entitlements']) {
+    if (!isStringMap(normalized[key])) fail(`"${key}" must map column names to non-empty names`);
+  }
+  if (!Array.isArray(normalized.ignore) || normalized.ignore.some(column => typeof column !== 'string')) fail('"ignore" must be a list of column names');
+  if (!UNMAPPED_POLICIES.includes(normalized.unmapped)) fail(`"unmapped" must be one of ${UNMAPPED_POLICIES.join(', ')}`);
+  if (!isStringMap(normalized.computed)) fail('"computed" must map column names to expressions');
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isTable = table => isObject(table) && Object.values(table).every(value => ['string', 'number'].includes(typeof value));
+  if (!isObject(normalized.lookups) || !Object.values(normalized.lookups).every(isTable)) {
+    fail('"lookups" must map table names to { code: value } objects');
+  }
+  if (normalized.grants !== null && typeof normalized.grants !== 'string') {
+    const unknownGrants = isObject(normalized.grants) ? Object.keys(normalized.grants).filter(key => !GRANTS_KEYS.includes(key)) : [];
+    if (!isStringMap(normalized.grants) || unknownGrants.length > 0) {
+      fail(`"grants" must be a file path or { ${GRANTS_KEYS.join(', ')} } naming the file and its columns`);
+    }
+  }
+  if (normalized.catalog !== null && (typeof normalized.catalog !== 'string' || !normalized.catalog.trim())) fail('"catalog" must be a file path');
+  if (normalized.action !== null && (typeof normalized.action !== 'string' || !normalized.action.trim())) fail('"action" must be a column name');
+  for (const [column, expression] of Object.entries(normalized.computed)) {
+    try {
+      compileExpression(expression);
+    } catch (error) {
+      fail(`computed column "${column}": ${error.message}`);
+    }
+  }
+
+  // A column is either data for the user or an entitlement, and ignored columns are neither
+  const lower = columns => columns.map(column => column.toLowerCase());
+  const entitlementColumns = lower(Object.keys(normalized.entitlements));
+  const ignored = lower(normalized.ignore);
+  const dataColumns = lower([...Object.keys(normalized.profile), ...Object.keys(normalized.attributes), ...(normalized.username ? [normalized.username] : [])]);
+  const conflict = dataColumns.find(column => entitlementColumns.includes(column) || ignored.includes(column)) ||
+    entitlementColumns.find(column => ignored.includes(column));
+  if (conflict) fail(`column "${conflict}" is declared with conflicting roles`);
+
+  return normalized;
+}
+
+/**
+ * The manifest for an input, or null when it has none
+ * @returns {Object|null} - { source, app, username, profile, attributes, entitlements, ignore, unmapped, computed, lookups, grants, catalog, action }
+ */
+export function loadManifest(config, reference) {
+  const { file, sheet } = parseInputReference(reference);
+  const manifest = findManifest(config, reference);
+  if (manifest) return manifest;
+
+  // A timestamped drop file (see inbox.js) uses the manifest of its undated name
+  const { name, timestamp } = undatedName(path.basename(file));
+  return timestamp ? findManifest(config, path.join(path.dirname(file), name) + (sheet ? `#${sheet}` : '')) : null;
+}
+
+function findManifest(config, reference) {
+  const { file, sheet } = parseInputReference(reference);
+  const key = path.basename(file) + (sheet ? `#${sheet}` : '');
+  const configured = config.manifests?.[key];
+
+  if (configured !== undefined && typeof configured === 'object') {
+    return normalizeManifest(configured, `config.manifests["${key}"]`);
+  }
+
+  const manifestFile = configured !== undefined
+    ? path.resolve(configured)
+    : path.join(path.dirname(file), `${inputBaseName(reference)}.manifest.json`);
+  if (configured === undefined && !fs.existsSync(manifestFile)) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Manifest ${manifestFile}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+  }
+  return normalizeManifest(manifest, manifestFile);
+}
+
+/**
+ * Default application label for an input: the manifest's app, otherwise the workbook
+ * sheet or file name
+ */
+export function appNameFor(config, reference) {
+  return loadManifest(config, reference)?.app || inputAppName(config, reference);
+}
+
+/**
+ * Column mapper for one pass over an input: renames and drops columns as the manifest says
+ *
+ * @param {Object|null} manifest - From loadManifest (null: every column is kept as it is)
+ * @returns {Object} - { column(source) => name or null, record(record) => record, declared, sourceNames, problems() }
+ */
+export function createColumnMapper(manifest) {
+  const sourceNames = {}; // column name in the dataset -> header in the input, when they differ
+  const declared = {}; // dataset column -> { profile, attribute } declared by the manifest
+  const names = new Map(); // header -> dataset column, or null when dropped
+  const conflicts = [];
+  const seen = new Set();
+
+  if (!manifest) {
+    return {
+      column: source => source,
+      record: record => record,
+      declared,
+      sourceNames,
+      problems: () => []
+    };
+  }
+
+  const find = (map, source) => Object.entries(map).find(([column]) => column.toLowerCase() === source.toLowerCase())?.[1];
+  const isDeclared = source => [
+    manifest.username ? { [manifest.username]: true } : {},
+    manifest.profile,
+    manifest.attributes,
+    manifest.entitlements
+  ].some(map => find(map, source) !== undefined);
+
+  // Names the manifest gives to columns, so an undeclared column with the same name can be dropped
+  const reserved = new Set([
+    ...(manifest.username ? ['username'] : []),
+    ...Object.values(manifest.entitlements).map(name => `ent_${name}`.toLowerCase())
+  ]);
+
+  const nameOf = (source) => {
+    seen.add(source.toLowerCase());
+    if (manifest.username && source.toLowerCase() === manifest.username.toLowerCase()) return 'username';
+    const entitlement = find(manifest.entitlements, source);
+    if (entitlement) return `ent_${entitlement}`;
+    if (manifest.ignore.some(column => column.toLowerCase() === source.toLowerCase())) return null;
+    if (isDeclared(source)) return source;
+    if (manifest.unmapped === 'ignore') return null;
+    if (reserved.has(source.toLowerCase())) {
+      conflicts.push(`Column "${source}" ignored: the manifest gives its name to another column`);
+      return null;
+    }
+    return source;
+  };
+
+  const column = (source) => {
+    if (names.has(source)) return names.get(source);
+    const name = nameOf(source);
+    names.set(source, name);
+    if (name !== null) {
+      if (name !== source) sourceNames[name] = source;
+      const profile = find(manifest.profile, source);
+      const attribute = find(manifest.attributes, source);
+      if (profile || attribute) declared[name] = { profile, attribute };
+    }
+    return name;
+  };
+
+  const record = (input) => {
+    const output = {};
+    for (const [source, value] of Object.entries(input)) {
+      const name = column(source);
+      if (name !== null) output[name] = value;
+    }
+    return output;
+  };
+
+  // Declared columns the input does not have, reported once the pass is done
+  const problems = () => {
+    const declaredColumns = [
+      ...(manifest.username ? [manifest.username] : []),
+      ...Object.keys(manifest.profile),
+      ...Object.keys(manifest.attributes),
+      ...Object.keys(manifest.entitlements)
+    ];
+    const missing = [...new Set(declaredColumns.filter(source => !seen.has(source.toLowerCase())))];
+    return [...conflicts, ...missing.map(source => `Manifest column "${source}" is not in the input`)];
+  };
+
+  return { column, record, declared, sourceNames, problems };
+}
+
+/**
+ * Computed columns for one pass over an input: adds the manifest's computed values to
+ * each record before it is mapped
+ *
+ * @param {Object|null} manifest - From loadManifest
+ * @returns {Object} - { columns(header) => header with computed columns, record(record) => { record, errors }, problems() }
+ */
+export function createTransform(manifest) {
+  const computed = Object.entries(manifest?.computed ?? {})
+    .map(([column, expression]) => ({ column, ...compileExpression(expression) }));
+
+  if (computed.length === 0) {
+    return {
+      columns: header => header,
+      record: record => ({ record, errors: [] }),
+      problems: () => []
+    };
+  }
+
+  const context = { lookups: manifest.lookups };
+  const seen = new Set(computed.map(({ column }) => column.toLowerCase()));
+  const keyOf = (record, name) => Object.keys(record).find(key => key.toLowerCase() === name.toLowerCase());
+
+  const columns = header => [
+    ...header,
+    ...computed.map(({ column }) => column).filter(column => !header.some(name => name.toLowerCase() === column.toLowerCase()))
+  ];
+
+  const record = (input) => {
+    const output = { ...input };
+    const errors = [];
+    Object.keys(input).forEach(key => seen.add(key.toLowerCase()));
+
+    const valueOf = (name) => {
+      const value = output[keyOf(output, name)];
+      return Array.isArray(value) ? value.join(',') : String(value ?? '');
+    };
+    for (const { column, evaluate } of computed) {
+      let value;
+      try {
+        value = evaluate(valueOf, context);
+      } catch (error) {
+        errors.push(`Computed column "${column}": ${error.message}`);
+        value = '';
+      }
+      output[keyOf(output, column) ?? column] = value;
+    }
+    return { record: output, errors };
+  };
+
+  // Columns the expressions refer to that no record had, reported once the pass is done
+  const problems = () => {
+    const problems = [];
+    for (const { column, columns: references } of computed) {
+      for (const reference of references.filter(name => !seen.has(name.toLowerCase()))) {
+        problems.push(`Computed column "${column}" refers to "${reference}", which is not in the input`);
+      }
+    }
+    return problems;
+  };
+
+  return { columns, record, problems };
+}
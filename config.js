@@ -3,14 +3,28 @@ import readline from 'readline';
 import { promisify } from 'util';
 import * as jose from 'jose';
 
-const CONFIG_FILE = './config.json';
+let configFile = './config.json';
+
+/**
+ * Override the configuration file location (used by the --config flag)
+ */
+export function setConfigFile(filePath) {
+  configFile = filePath;
+}
+
+/**
+ * Get the configuration file location currently in use
+ */
+export function getConfigFile() {
+  return configFile;
+}
 
 /**
  * Read configuration from file
  */
 export async function loadConfig() {
   try {
-    const data = await fs.promises.readFile(CONFIG_FILE, 'utf8');
+    const data = await fs.promises.readFile(configFile, 'utf8');
     return JSON.parse(data);
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -24,7 +38,7 @@ export async function loadConfig() {
  * Save configuration to file
  */
 export async function saveConfig(config) {
-  await fs.promises.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2));
+  await fs.promises.writeFile(configFile, JSON.stringify(config, null, 2));
 }
 
 /**
@@ -137,7 +151,7 @@ export async function getConfigInteractively() {
   };
 
   await saveConfig(config);
-  console.log(`\nConfiguration saved to ${CONFIG_FILE}\n`);
+  console.log(`\nConfiguration saved to ${configFile}\n`);
 
   return config;
 }
@@ -181,6 +195,14 @@ async function generateClientAssertion(config, tokenUrl) {
   return jwt;
 }
 
+/**
+ * Base URL for Okta API calls: https://<oktaDomain>, unless oktaBaseUrl points
+ * somewhere else (a proxy, or the local mock server used by the tests)
+ */
+export function getOktaBaseUrl(config) {
+  return config.oktaBaseUrl ? config.oktaBaseUrl.replace(/\/+$/, '') : `https://${config.oktaDomain}`;
+}
+
 /**
  * Get OAuth access token using client credentials flow
  */
@@ -188,7 +210,7 @@ export async function getAccessToken(config) {
   // For Okta Management APIs, scopes are pre-granted in Admin Console
   // We don't request specific scopes in the token request - Okta will include
   // all scopes that were granted to this client in the Admin Console
-  const tokenUrl = `https://${config.oktaDomain}/oauth2/v1/token`;
+  const tokenUrl = `${getOktaBaseUrl(config)}/oauth2/v1/token`;
 
   try {
     console.log(`   → Requesting OAuth token from: ${tokenUrl}`);
@@ -350,7 +372,7 @@ export async function reconfigureOAuthCredentials() {
   delete existingConfig.privateKeyPath;
 
   await saveConfig(existingConfig);
-  console.log('\n   ✓ API Token saved to config.json');
+  console.log(`\n   ✓ API Token saved to ${configFile}`);
   console.log('   ✓ OAuth settings removed (using API Token only)\n');
 
   return existingConfig;
@@ -358,16 +380,24 @@ export async function reconfigureOAuthCredentials() {
 
 /**
  * Get configuration from file or prompt user
+ * With interactive disabled (scheduled/CI runs), a missing or invalid
+ * configuration throws instead of prompting
  */
-export async function getConfig() {
+export async function getConfig({ interactive = true } = {}) {
   let config = await loadConfig();
 
   if (!config) {
+    if (!interactive) {
+      throw new Error(`Configuration file not found: ${configFile} (run the "init" command to create it)`);
+    }
     config = await getConfigInteractively();
   } else {
     // Validate existing config
-    const validation = validateOktaDomain(config.oktaDomain);
+    const validation = validateOktaDomain(config.oktaDomain || '');
     if (!validation.valid) {
+      if (!interactive) {
+        throw new Error(`Invalid Okta domain in ${configFile}: ${config.oktaDomain} - ${validation.error}`);
+      }
       console.log(`\n⚠️  Warning: Existing configuration has an invalid Okta domain: ${config.oktaDomain}`);
       console.log(`   ${validation.error}\n`);
       console.log('Please reconfigure:\n');
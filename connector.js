@@ -0,0 +1,3248 @@
+import okta from '@okta/okta-sdk-nodejs';
+const { Client } = okta;
+import { AsyncLocalStorage } from 'async_hooks';
+import { oktaRequest, oktaPaginate, getRateLimitStatus, OktaApiError, OktaNotFoundError } from './oktaClient.js';
+import { runPool } from './workerPool.js';
+import { checkRemovalGuards } from './safety.js';
+import { loadSyncState, saveSyncState, clearSyncState, isFullReconcileDue, hashRecord, hashRecordContent, recordSyncedUser, forgetSyncedUser } from './syncState.js';
+import { createRunId, startReport, setReportContext, addReportEntry, addReportSummary, finishReport } from './report.js';
+import { startJournalRun, endJournalRun, getJournalRunId, isJournaling, journalMutation, pickProfileFields, readJournal, listJournalRuns, rollbackRun } from './journal.js';
+import { runWithLogSettings, setLogStep, logEvent, logSummary, startTimer } from './logger.js';
+import { startDryRun, stopDryRun, isDryRun, plannedId, isPlannedId, recordChange } from './plan.js';
+import { colors, style, formatJsonCompact } from './style.js';
+import { loadDataset, describeInput, findRecordUsername, splitEntitlementValues, USERNAME_COLUMNS } from './dataset.js';
+import { isStrictValidation, writeQuarantineFile } from './csvValidation.js';
+import { parseInputReference } from './inputAdapters.js';
+import { appNameFor } from './columnManifest.js';
+import { getInboxSettings, scanInbox, archiveInboxFile, failInboxFile, pruneInboxHistory } from './inbox.js';
+import { getEntitlementPolicy, isDefaultPolicy, describeEntitlementPolicy } from './entitlementValues.js';
+import { loadEntitlementCatalog, describeEntitlement, describeEntitlementValue, matchesInputValue } from './entitlementCatalog.js';
+import { describeDeltaChanges } from './deltaInput.js';
+import { getCorrelationRules, correlationKeys, searchExpression } from './correlation.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Okta Disconnected App Governance Connector
+ *
+ * Importable API behind the command line interface (index.js):
+ *
+ *   import { createConnector } from './connector.js';
+ *   const connector = createConnector(config);
+ *   const { app, resourceId } = await connector.ensureApp({ csvFile: 'MyApp.csv' });
+ *   const result = await connector.sync({ csvFile: 'MyApp.csv', app, resourceId });
+ */
+
+/**
+ * Generate a secure random password for new users
+ * Meets typical password complexity requirements
+ */
+function generateSecurePassword() {
+  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
+  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const numbers = '0123456789';
+  const symbols = '!@#$%^&*';
+  const allChars = lowercase + uppercase + numbers + symbols;
+
+  // Ensure at least one of each required character type
+  let password = '';
+  password += lowercase[Math.floor(Math.random() * lowercase.length)];
+  password += uppercase[Math.floor(Math.random() * uppercase.length)];
+  password += numbers[Math.floor(Math.random() * numbers.length)];
+  password += symbols[Math.floor(Math.random() * symbols.length)];
+
+  // Fill the rest with random characters (total 16 chars)
+  for (let i = 4; i < 16; i++) {
+    password += allChars[Math.floor(Math.random() * allChars.length)];
+  }
+
+  // Shuffle the password
+  return password.split('').sort(() => Math.random() - 0.5).join('');
+}
+
+/**
+ * Check if an application exists by name
+ */
+async function findAppByName(config, appName) {
+  const apps = await oktaPaginate(config, `/api/v1/apps?q=${encodeURIComponent(appName)}`);
+  return apps.find(app => app.label === appName);
+}
+
+/**
+ * Create a SAML 2.0 application
+ */
+async function createSamlApp(config, appName) {
+  const appDefinition = {
+    label: appName,
+    visibility: {
+      autoSubmitToolbar: false,
+      hide: {
+        iOS: false,
+        web: false
+      }
+    },
+    features: [],
+    signOnMode: 'SAML_2_0',
+    settings: {
+      signOn: {
+        defaultRelayState: '',
+        ssoAcsUrl: 'https://example.com/sso/saml',
+        idpIssuer: 'http://www.okta.com/${org.externalKey}',
+        audience: `https://example.com/${appName}`,
+        recipient: 'https://example.com/sso/saml',
+        destination: 'https://example.com/sso/saml',
+        subjectNameIdTemplate: '${user.userName}',
+        subjectNameIdFormat: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+        responseSigned: true,
+        assertionSigned: true,
+        signatureAlgorithm: 'RSA_SHA256',
+        digestAlgorithm: 'SHA256',
+        honorForceAuthn: true,
+        authnContextClassRef: 'urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport'
+      }
+    }
+  };
+
+  if (isDryRun()) {
+    recordChange('createSamlApp', 'POST', '/api/v1/apps', appName, appDefinition);
+    return { id: plannedId('app'), label: appName, status: 'PLANNED', signOnMode: 'SAML_2_0' };
+  }
+
+  return await oktaRequest(config, '/api/v1/apps', { method: 'POST', body: appDefinition });
+}
+
+/**
+ * Input columns with what they are used for
+ * @returns {Object} - { total, included: app attribute names, excluded: ["column (reason)"] }
+ */
+async function getCsvColumnsWithDetails(config, csvFilePath) {
+  const dataset = await loadDataset(config, csvFilePath);
+  const schema = getColumnSchema(dataset);
+
+  const included = [...new Set(Object.values(schema.attributes))];
+  const excluded = dataset.columns
+    .filter(col => !(col in schema.attributes))
+    .map(col => {
+      if (col.startsWith('ent_')) return col + ' (entitlement)';
+      if (IDENTITY_COLUMNS.includes(col.toLowerCase()) || !(col in schema.profile)) return col + ' (identity field)';
+      return col + ' (profile field)';
+    });
+
+  return {
+    total: dataset.columns.length,
+    included: included,
+    excluded: excluded
+  };
+}
+
+// Identity columns are used to find/create the Okta user, never as app user attributes
+const IDENTITY_COLUMNS = [
+  'username', 'login', 'email', 'user', 'userid', 'user_id', 'mail',
+  'firstname', 'first_name', 'lastname', 'last_name', 'displayname',
+  'display_name', 'name', 'fullname', 'full_name'
+];
+
+// Column schema per dataset (a dataset is replaced when its file changes)
+const columnSchemas = new WeakMap();
+
+/**
+ * What each non-entitlement column of a dataset sets
+ * Columns a manifest declares are used as declared; the others go by name: Okta profile
+ * field names set the user profile and every non-identity column is an app attribute
+ * @returns {Object} - { profile: { column: Okta user attribute }, attributes: { column: app attribute } }
+ */
+function getColumnSchema(dataset) {
+  if (columnSchemas.has(dataset)) return columnSchemas.get(dataset);
+
+  const schema = { profile: {}, attributes: {} };
+  for (const column of dataset.columns) {
+    if (column.startsWith('ent_')) continue;
+
+    const declared = dataset.manifest?.declared[column];
+    if (declared) {
+      if (declared.profile) schema.profile[column] = declared.profile;
+      if (declared.attribute) schema.attributes[column] = declared.attribute;
+      continue;
+    }
+
+    const oktaAttribute = findMatchingOktaAttribute(column);
+    if (oktaAttribute) schema.profile[column] = oktaAttribute;
+    if (!IDENTITY_COLUMNS.includes(column.toLowerCase())) schema.attributes[column] = column;
+  }
+
+  columnSchemas.set(dataset, schema);
+  return schema;
+}
+
+/**
+ * Build the Okta user profile for a CSV record from the column schema
+ */
+function buildUserProfile(username, record, schema) {
+  const userProfile = {
+    login: username,
+    email: username // Default email to username when no column sets it (a manifest can compute one)
+  };
+
+  // Map columns to Okta user profile fields
+  for (const [csvColumn, oktaAttribute] of Object.entries(schema.profile)) {
+    if (record[csvColumn]) {
+      userProfile[oktaAttribute] = record[csvColumn];
+    }
+  }
+
+  // Ensure required fields have at least empty values
+  if (!userProfile.firstName) userProfile.firstName = '';
+  if (!userProfile.lastName) userProfile.lastName = '';
+
+  return userProfile;
+}
+
+/**
+ * Build the app user profile for a CSV record: custom attributes only
+ * Identity columns identify the user and ent_* columns are handled via grants
+ */
+function buildAppUserProfile(record, schema) {
+  const appUserProfile = {};
+
+  for (const [column, attribute] of Object.entries(schema.attributes)) {
+    if (record[column]) {
+      appUserProfile[attribute] = record[column];
+    }
+  }
+
+  return appUserProfile;
+}
+
+/**
+ * The Okta user profile fields a row fills in that differ from the user's current profile
+ * (a login differing only in case is left alone: the row was matched to the user by it)
+ */
+function changedUserProfile(record, schema, currentProfile) {
+  const profile = {};
+  for (const [column, attribute] of Object.entries(schema.profile)) {
+    const value = record[column];
+    if (!value || currentProfile?.[attribute] === value) continue;
+    if (attribute === 'login' && currentProfile?.login?.toLowerCase() === value.toLowerCase()) continue;
+    profile[attribute] = value;
+  }
+  return profile;
+}
+
+/**
+ * Entitlement catalog of the CSV: unique values of each column prefixed with 'ent_'
+ * (including the values of a joined grants file, see grantsFile.js)
+ * Similar to bundle-mining's catalog generation
+ */
+async function generateEntitlementCatalog(config, csvFilePath) {
+  const { catalog } = await loadDataset(config, csvFilePath);
+  return catalog;
+}
+
+/**
+ * Register app as a governance resource
+ */
+async function registerGovernanceResource(config, appId, appName) {
+  // Extract org name from domain (e.g., "idmotors" from "idmotors.okta.com")
+  const orgName = config.oktaDomain.split('.')[0];
+
+  // Format the resource name: orgname_appname (lowercase, no spaces)
+  const formattedAppName = appName.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const resourceName = `${orgName}_${formattedAppName}`;
+
+  console.log(`   → Resource name: ${resourceName}`);
+
+  if (isDryRun()) {
+    recordChange('registerGovernanceResource', 'POST', `/api/v1/governance/resources/source/${appId}/optIn`, appName, { name: resourceName, rampResourceType: 'OKTA_APP' });
+    return { id: plannedId('resource') };
+  }
+
+  // Use the opt-in endpoint to enable entitlement management
+  const optInPath = `/api/v1/governance/resources/source/${appId}/optIn`;
+  console.log(`   → API Call: POST ${optInPath}`);
+  console.log(`   → Using ${config.apiToken ? 'SSWS' : 'OAuth'} authentication`);
+
+  const result = await oktaRequest(config, optInPath, {
+    method: 'POST',
+    body: {
+      name: resourceName,
+      rampResourceType: 'OKTA_APP'
+    }
+  });
+  console.log(`   ✓ Entitlement management enabled successfully`);
+  return result;
+}
+
+/**
+ * Enable entitlement management for an app in Okta Governance
+ */
+async function enableEntitlementManagement(config, resourceId) {
+  if (isDryRun()) {
+    recordChange('enableEntitlementManagement', 'PUT', `/governance/api/v1/resources/${resourceId}/entitlement-management`, resourceId, { status: 'ENABLED' });
+    return { status: 'ENABLED' };
+  }
+
+  return await oktaRequest(config, `/governance/api/v1/resources/${resourceId}/entitlement-management`, {
+    method: 'PUT',
+    body: { status: 'ENABLED' }
+  });
+}
+
+/**
+ * Create an entitlement in Okta Governance
+ */
+async function createEntitlement(config, resourceId, entitlementData) {
+  if (isDryRun()) {
+    recordChange('createEntitlement', 'POST', '/governance/api/v1/entitlements', entitlementData.name, entitlementData);
+    return {
+      ...entitlementData,
+      id: plannedId('entitlement'),
+      values: entitlementData.values.map(value => ({ ...value, id: plannedId('value') }))
+    };
+  }
+
+  // Use top-level entitlements endpoint (not under resources)
+  const entitlement = await oktaRequest(config, '/governance/api/v1/entitlements', { method: 'POST', body: entitlementData });
+  journalMutation('createEntitlement', { entitlementId: entitlement?.id, name: entitlementData.name });
+  addReportEntry('entitlementsCreated', {
+    name: entitlementData.name,
+    id: entitlement?.id,
+    values: entitlementData.values.map(value => value.name)
+  });
+  return entitlement;
+}
+
+/**
+ * Get resource ID for an app in Okta Governance
+ */
+async function getGovernanceResourceId(config, appId) {
+  if (isPlannedId(appId)) {
+    return null;
+  }
+
+  try {
+    // Try to get the resource by querying governance resources
+    const filter = encodeURIComponent(`source.id eq "${appId}"`);
+    const resources = await oktaPaginate(config, `/governance/api/v1/resources?filter=${filter}`);
+    return resources.length > 0 ? resources[0].id : null;
+  } catch (error) {
+    // Governance not licensed/enabled or filter unsupported - treat as not registered
+    if (error instanceof OktaApiError && [400, 404, 405].includes(error.status)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch entitlement by name from Okta Governance
+ * Used when we need to get an existing entitlement that we couldn't create
+ */
+async function getEntitlementByName(config, appId, entitlementName) {
+  if (isPlannedId(appId)) {
+    return null;
+  }
+
+  const maxAttempts = 3;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      // Try to filter by name and parent application
+      const filter = encodeURIComponent(`name eq "${entitlementName}" and parent.externalId eq "${appId}"`);
+      const filtered = await oktaPaginate(config, `/governance/api/v1/entitlements?filter=${filter}`);
+      if (filtered.length > 0) {
+        return filtered[0];
+      }
+    } catch (error) {
+      // Filter not supported - fall through to the full scan
+    }
+
+    try {
+      // If filter didn't work, list everything and search manually
+      const allEntitlements = await oktaPaginate(config, '/governance/api/v1/entitlements?limit=200');
+      const found = allEntitlements.find(ent =>
+        matchesInputValue(ent, entitlementName) &&
+        ent.parent && ent.parent.externalId === appId
+      );
+      if (found) return found;
+    } catch (error) {
+      if (attempt === maxAttempts) throw error;
+    }
+
+    // A just-created entitlement can take a moment to become searchable
+    if (attempt < maxAttempts) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get existing entitlements for an app
+ * Tries multiple endpoint patterns to find the correct one
+ */
+async function getAppEntitlements(config, resourceId, appId) {
+  if (isPlannedId(resourceId) || isPlannedId(appId)) {
+    return [];
+  }
+
+  // Try multiple filter approaches as the governance API is inconsistent
+  const filterOptions = [
+    `parent.externalId eq "${appId}"`,  // Match on parent's external ID (app ID)
+    `resource.id eq "${resourceId}"`,    // Match on resource ID
+    `parent.id eq "${resourceId}"`       // Match on parent ID
+  ];
+
+  let lastError = null;
+  for (const filterExpr of filterOptions) {
+    try {
+      const filter = encodeURIComponent(filterExpr);
+      const result = await oktaPaginate(config, `/governance/api/v1/entitlements?filter=${filter}`);
+      // If we got results, return them
+      if (result.length > 0) {
+        return result;
+      }
+    } catch (filterError) {
+      // Try next filter
+      lastError = filterError;
+    }
+  }
+
+  // If all filters failed, throw the last error (keeps the HTTP status for callers)
+  throw lastError || new Error('Unable to fetch entitlements - tried multiple filter approaches');
+}
+
+/**
+ * Add a new value to an existing entitlement
+ * Used when sync detects a new entitlement value that doesn't exist yet
+ * @param {Object} value - { name, description, externalValue } (see describeEntitlementValue)
+ */
+async function addEntitlementValue(config, entitlementId, value, appId) {
+  const { name, description, externalValue } = value;
+  const newValue = { name, description, externalValue };
+  if (isDryRun()) {
+    recordChange('addEntitlementValue', 'PUT', `/governance/api/v1/entitlements/${entitlementId}`, externalValue, newValue);
+    return { ...newValue, id: plannedId('value') };
+  }
+
+  // First get the current entitlement to see its structure
+  const currentEntitlement = await oktaRequest(config, `/governance/api/v1/entitlements/${entitlementId}`);
+
+  // Add the new value to the existing values array
+  const existingValues = currentEntitlement.values || [];
+
+  // PUT the entitlement back with the new value added
+  const result = await oktaRequest(config, `/governance/api/v1/entitlements/${entitlementId}`, {
+    method: 'PUT',
+    body: {
+      ...currentEntitlement,
+      values: [...existingValues, newValue]
+    }
+  });
+
+  // Find and return the newly created value from the result
+  const createdValue = result.values?.find(v => matchesInputValue(v, externalValue));
+  journalMutation('addEntitlementValue', { entitlementId, appId, value: externalValue, valueId: createdValue?.id });
+  addReportEntry('entitlementValuesCreated', { entitlement: currentEntitlement.name, value: externalValue, id: createdValue?.id });
+
+  return createdValue || null;
+}
+
+/**
+ * Update an entitlement's and its values' names and descriptions (PUT of the whole entitlement)
+ * @param {Object} entitlement - The entitlement as it is in Okta (its before-state)
+ * @param {Object} entitlementData - The entitlement as it should be
+ * @param {Array<string>} changes - What changed, for the report ("Role", "Role:admin")
+ */
+async function updateEntitlement(config, entitlement, entitlementData, changes) {
+  if (isDryRun()) {
+    recordChange('updateEntitlement', 'PUT', `/governance/api/v1/entitlements/${entitlement.id}`, entitlementData.externalValue || entitlementData.name, entitlementData);
+    return entitlementData;
+  }
+
+  const result = await oktaRequest(config, `/governance/api/v1/entitlements/${entitlement.id}`, { method: 'PUT', body: entitlementData });
+  const describeFields = ({ id, name, description, externalValue }) => ({ id, name, description, externalValue });
+  journalMutation('updateEntitlement', {
+    entitlementId: entitlement.id,
+    name: entitlement.name,
+    before: { ...describeFields(entitlement), values: (entitlement.values || []).map(describeFields) }
+  });
+  addReportEntry('entitlementsUpdated', { name: entitlementData.name, id: entitlement.id, changes });
+  return result || entitlementData;
+}
+
+/**
+ * Bring an existing entitlement's names and descriptions in line with the entitlement catalog
+ * Only the entitlement and values the catalog describes are changed
+ * @returns {Promise<Object>} - The entitlement as it now is
+ */
+async function applyEntitlementCatalog(config, entitlement, attributeName, entitlementCatalog) {
+  if (!entitlementCatalog) return entitlement;
+
+  const changes = [];
+  const wanted = describeEntitlement(entitlementCatalog, attributeName);
+  const entitlementData = { ...entitlement };
+  if (wanted.cataloged && (entitlement.name !== wanted.name || entitlement.description !== wanted.description)) {
+    entitlementData.name = wanted.name;
+    entitlementData.description = wanted.description;
+    changes.push(attributeName);
+  }
+
+  entitlementData.values = (entitlement.values || []).map(value => {
+    const text = value.externalValue || value.name;
+    const wantedValue = describeEntitlementValue(entitlementCatalog, attributeName, text);
+    if (!wantedValue.cataloged || (value.name === wantedValue.name && value.description === wantedValue.description)) {
+      return value;
+    }
+    changes.push(`${attributeName}:${text}`);
+    return { ...value, name: wantedValue.name, description: wantedValue.description, externalValue: text };
+  });
+
+  if (changes.length === 0) return entitlement;
+  console.log(`     ${style.badge.arrow()} Updating from the catalog: ${style.value(changes.join(', '))}`);
+  return updateEntitlement(config, entitlement, entitlementData, changes);
+}
+
+/**
+ * Process entitlement catalog and create entitlements in Okta
+ */
+async function processEntitlements(config, appId, csvFilePath, existingResourceId = null) {
+  console.log('');
+  setLogStep('entitlements');
+  console.log(`📦 ${style.step('STEP 7: Entitlement Catalog & Creation')}`);
+  console.log(`   ${style.badge.arrow()} Parsing CSV file for entitlement columns ${style.dim('(ent_*)')}...`);
+
+  const catalog = await generateEntitlementCatalog(config, csvFilePath);
+  const entColumns = Object.keys(catalog);
+  const { manifest } = await loadDataset(config, csvFilePath);
+  const entitlementCatalog = await loadEntitlementCatalog(config, csvFilePath, manifest);
+  if (entitlementCatalog) {
+    console.log(`   ${style.badge.arrow()} Entitlement catalog: ${style.name(entitlementCatalog.file)} ${style.dim('(' + entitlementCatalog.entitlements.size + ' entitlement(s) described)')}`);
+  }
+
+  if (entColumns.length === 0) {
+    console.log(`   ${style.info('ℹ')} No entitlement columns found in CSV`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('Entitlement columns must start with "ent_" prefix')}`);
+    console.log('');
+    return;
+  }
+
+  console.log(`   ${style.badge.ok()} Found ${style.count(entColumns.length)} entitlement column(s):`);
+  let totalEntitlements = 0;
+  for (const [column, values] of Object.entries(catalog)) {
+    console.log(`     ${style.badge.bullet()} ${style.attr(column)}: ${style.count(values.length)} unique value(s)`);
+    totalEntitlements += values.length;
+  }
+  console.log(`   ${style.badge.arrow()} Total unique entitlements to create: ${style.count(totalEntitlements)}`);
+  console.log('');
+
+  // Use existing resource ID if provided, otherwise fetch it
+  let resourceId = existingResourceId;
+
+  if (!resourceId) {
+    console.log(`   ${style.badge.arrow()} Fetching governance resource ID for app...`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('GET /governance/api/v1/resources?filter=source.id eq "' + appId + '"')}`);
+    resourceId = await getGovernanceResourceId(config, appId);
+  } else {
+    console.log(`   ${style.badge.arrow()} Using governance resource ID from Step 4: ${style.id(resourceId)}`);
+  }
+
+  if (!resourceId) {
+    console.log(`   ${style.badge.warn()} ${style.warning('Could not find governance resource for this app')}`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('Entitlement management may not be enabled yet')}`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('Try enabling it in Okta Admin Console: Identity Governance → Resources')}`);
+    console.log('');
+    console.log(`   📋 ${style.label('Entitlement Catalog Summary:')}`);
+    for (const [column, values] of Object.entries(catalog)) {
+      const attributeName = column.substring(4); // Remove 'ent_' prefix
+      console.log(`     ${style.badge.bullet()} ${style.attr(attributeName)}: ${style.value(values.join(', '))}`);
+    }
+    console.log('');
+    return;
+  }
+
+  console.log(`   ${style.badge.ok()} Governance resource found: ${style.id(resourceId)}`);
+  console.log('');
+
+  // Check existing entitlements
+  console.log(`   ${style.badge.arrow()} Fetching existing entitlements...`);
+  console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('GET /governance/api/v1/resources/' + resourceId + '/entitlements')}`);
+
+  let existingEntitlements = [];
+  try {
+    existingEntitlements = await getAppEntitlements(config, resourceId, appId);
+  } catch (error) {
+    if (error.status === 405) {
+      console.log(`   ${style.badge.warn()} ${style.warning('Cannot fetch existing entitlements')} ${style.dim('(HTTP 405)')}`);
+      console.log(`   ${style.badge.arrow()} ${style.dim('Assuming no existing entitlements, will attempt to create all')}`);
+      console.log('');
+    } else {
+      console.log(`   ${style.badge.warn()} ${style.warning('Could not fetch entitlements from governance API:')} ${error.message}`);
+      console.log(`   ${style.badge.arrow()} ${style.dim('Proceeding to create entitlements')}`);
+      console.log('');
+    }
+    // Continue with empty array - we'll try to create all entitlements
+    existingEntitlements = [];
+  }
+
+  if (existingEntitlements === null) {
+    existingEntitlements = [];
+  }
+
+  console.log(`   ${style.badge.ok()} Found ${style.count(existingEntitlements.length)} existing entitlements`);
+  console.log('');
+
+  // Create entitlements from catalog
+  console.log(`   ${style.badge.arrow()} Creating entitlements from CSV catalog...`);
+  console.log('');
+
+  let created = 0;
+  let skipped = 0;
+  let failed = 0;
+  const createdEntitlements = {}; // Track created entitlements for later use
+
+  // Create ONE entitlement per column (attribute) with all values
+  for (const [column, values] of Object.entries(catalog)) {
+    const attributeName = column.substring(4); // Remove 'ent_' prefix
+    console.log(`   ${style.badge.arrow()} Creating ${style.attr(attributeName)} entitlement with ${style.count(values.length)} value(s):`);
+
+    try {
+      // Check if entitlement already exists
+      const existingEnt = existingEntitlements.find(ent => matchesInputValue(ent, attributeName));
+
+      if (existingEnt) {
+        console.log(`     ${style.badge.skip()} ${style.attr(attributeName)} entitlement already exists ${style.dim('(skipped)')}`);
+        // Store existing entitlement for later use
+        createdEntitlements[attributeName.toLowerCase()] = await applyEntitlementCatalog(config, existingEnt, attributeName, entitlementCatalog);
+        skipped++;
+        console.log('');
+        continue;
+      }
+
+      // Build entitlement data in correct API format, described by the entitlement catalog if there is one
+      const { name, externalValue, description } = describeEntitlement(entitlementCatalog, attributeName);
+      const entitlementData = {
+        name,
+        externalValue,
+        description,
+        parent: {
+          externalId: appId,
+          type: 'APPLICATION'
+        },
+        multiValue: true,
+        dataType: 'string',
+        values: values.map(value => {
+          const { cataloged, ...valueData } = describeEntitlementValue(entitlementCatalog, attributeName, value);
+          return valueData;
+        })
+      };
+
+      console.log(`     ${style.badge.arrow()} Values: ${style.value(values.join(', '))}`);
+      const newEntitlement = await createEntitlement(config, resourceId, entitlementData);
+      console.log(`     ${style.badge.ok()} ${style.attr(attributeName)} entitlement created with ${style.count(values.length)} value(s)`);
+
+      // Store the created entitlement for later use
+      if (newEntitlement && newEntitlement.id) {
+        createdEntitlements[attributeName.toLowerCase()] = newEntitlement;
+      }
+      created++;
+    } catch (error) {
+      // Check if error is because entitlement already exists
+      if (error.message.includes('needs to be unique')) {
+        console.log(`     ${style.badge.skip()} ${style.attr(attributeName)} entitlement already exists, fetching...`);
+        try {
+          const existingEnt = await getEntitlementByName(config, appId, attributeName);
+          if (existingEnt && existingEnt.id) {
+            console.log(`     ${style.badge.ok()} Found existing ${style.attr(attributeName)} entitlement ${style.dim('(' + existingEnt.id + ')')}`);
+            createdEntitlements[attributeName.toLowerCase()] = await applyEntitlementCatalog(config, existingEnt, attributeName, entitlementCatalog);
+            skipped++;
+          } else {
+            console.log(`     ${style.badge.warn()} ${style.warning('Could not fetch existing')} ${style.attr(attributeName)} entitlement`);
+            failed++;
+          }
+        } catch (fetchError) {
+          console.log(`     ${style.badge.warn()} ${style.warning('Error fetching existing entitlement:')} ${fetchError.message}`);
+          failed++;
+        }
+      } else {
+        console.log(`     ${style.badge.fail()} ${style.attr(attributeName)} ${style.error('failed:')} ${error.message}`);
+        failed++;
+      }
+    }
+    console.log('');
+  }
+
+  console.log(`   📊 ${style.label('Entitlement Creation Summary:')}`);
+  console.log(`     ${style.badge.bullet()} Total entitlement columns: ${style.count(Object.keys(catalog).length)}`);
+  console.log(`     ${style.badge.bullet()} ${style.success('Successfully created:')} ${style.count(created)}`);
+  console.log(`     ${style.badge.bullet()} Already existed: ${style.count(skipped)}`);
+  if (failed > 0) {
+    console.log(`     ${style.badge.bullet()} ${style.error('Failed:')} ${style.count(failed)}`);
+  }
+  console.log('');
+
+  // Return the entitlements map for use in user provisioning
+  return createdEntitlements;
+}
+
+/**
+ * Check if user exists in Okta by login/email
+ */
+async function findUser(config, login) {
+  try {
+    return await oktaRequest(config, `/api/v1/users/${encodeURIComponent(login)}`);
+  } catch (error) {
+    if (error instanceof OktaNotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the Okta user an input row stands for by the correlation rules (see correlation.js)
+ * @returns {Promise<Object|null>} - { user, rule } or null when no rule finds a user
+ */
+async function correlateUser(config, username, record, schema) {
+  const profile = buildUserProfile(username, record, schema);
+  for (const key of correlationKeys(getCorrelationRules(config), profile)) {
+    if (key.attribute === 'login') {
+      const user = await findUser(config, key.value);
+      if (user) return { user, rule: key.attribute };
+      continue;
+    }
+    const users = await oktaPaginate(config, `/api/v1/users?search=${encodeURIComponent(searchExpression(key))}`);
+    if (users.length > 1) {
+      throw new Error(`${users.length} Okta users have ${key.attribute} "${key.value}" (correlation rule ${key.attribute})`);
+    }
+    if (users.length === 1) return { user: users[0], rule: key.attribute };
+  }
+  return null;
+}
+
+/**
+ * Apply a new username to a correlated user whose login differs: a rename, so the
+ * profile is updated and the user keeps their assignment and grants
+ * @returns {Promise<string|null>} - The previous login when the user was renamed
+ */
+async function renameCorrelatedUser(config, match, username, record, schema) {
+  const previousLogin = match.user.profile?.login;
+  if (!previousLogin || previousLogin.toLowerCase() === username.toLowerCase()) return null;
+  await updateUser(config, match.user.id, { profile: buildUserProfile(username, record, schema) }, match.user.profile);
+  return previousLogin;
+}
+
+/**
+ * Create user in Okta
+ */
+async function createUser(config, userData) {
+  if (isDryRun()) {
+    // Never put the generated password into the plan
+    recordChange('createUser', 'POST', '/api/v1/users?activate=true', userData.profile.login, { profile: userData.profile });
+    return { id: plannedId('user'), status: 'PLANNED', profile: userData.profile };
+  }
+
+  const user = await oktaRequest(config, '/api/v1/users?activate=true', { method: 'POST', body: userData });
+  journalMutation('createUser', { userId: user.id, login: userData.profile.login });
+  return user;
+}
+
+/**
+ * Update user in Okta
+ * previousProfile (when the caller already has it) saves a lookup for the journal
+ */
+async function updateUser(config, userId, userData, previousProfile = undefined) {
+  if (isDryRun()) {
+    recordChange('updateUser', 'POST', `/api/v1/users/${userId}`, userData.profile?.login || userId, userData);
+    return { id: userId, ...userData };
+  }
+
+  let before = null;
+  if (isJournaling()) {
+    const profile = previousProfile !== undefined ? previousProfile : (await findUser(config, userId))?.profile;
+    before = { profile: pickProfileFields(profile, Object.keys(userData.profile || {})) };
+  }
+
+  // A partial profile update: sending it twice leaves the same profile
+  const user = await oktaRequest(config, `/api/v1/users/${userId}`, { method: 'POST', body: userData, idempotent: true });
+  journalMutation('updateUser', { userId, login: userData.profile?.login, before });
+  return user;
+}
+
+/**
+ * Get a user's assignment to an app (null when not assigned)
+ */
+async function getAppUser(config, appId, userId) {
+  try {
+    return await oktaRequest(config, `/api/v1/apps/${appId}/users/${userId}`);
+  } catch (error) {
+    if (error instanceof OktaNotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Assign user to app with profile attributes
+ * Pass previousAssignment = null when the user is known to be unassigned (e.g. just created)
+ */
+async function assignUserToApp(config, appId, userId, profileData, previousAssignment = undefined) {
+  if (isDryRun()) {
+    recordChange('assignUserToApp', 'POST', `/api/v1/apps/${appId}/users`, userId, { id: userId, scope: 'USER', profile: profileData });
+    return { id: userId, scope: 'USER', profile: profileData };
+  }
+
+  // Assigning an already assigned user overwrites its app profile, so remember it
+  let before = null;
+  if (isJournaling()) {
+    const assignment = previousAssignment !== undefined ? previousAssignment : await getAppUser(config, appId, userId);
+    before = assignment ? { profile: pickProfileFields(assignment.profile, Object.keys(profileData)) } : null;
+  }
+
+  const appUser = await oktaRequest(config, `/api/v1/apps/${appId}/users`, {
+    method: 'POST',
+    idempotent: true, // Assigning an assigned user only sets the profile again
+    body: {
+      id: userId,
+      scope: 'USER',
+      profile: profileData
+    }
+  });
+  journalMutation('assignUserToApp', { appId, userId, before });
+  return appUser;
+}
+
+/**
+ * Create entitlement grant for a user using the correct Okta Governance API format
+ * Creates a single grant with all user entitlements
+ */
+async function createEntitlementGrant(config, appId, userId, entitlementsArray) {
+  // Build the grant payload in the correct Okta format
+  const grantData = {
+    grantType: "CUSTOM",
+    targetPrincipal: {
+      externalId: userId,
+      type: "OKTA_USER"
+    },
+    actor: "ADMIN",
+    target: {
+      externalId: appId,
+      type: "APPLICATION"
+    },
+    entitlements: entitlementsArray
+  };
+
+  if (isDryRun()) {
+    recordChange('createEntitlementGrant', 'POST', '/governance/api/v1/grants', userId, grantData);
+    return { id: plannedId('grant'), ...grantData };
+  }
+
+  const grant = await oktaRequest(config, '/governance/api/v1/grants', { method: 'POST', body: grantData });
+  journalMutation('createEntitlementGrant', { appId, userId, grantId: grant?.id });
+  return grant;
+}
+
+/**
+ * Get all users assigned to an app
+ */
+async function getAppUsers(config, appId) {
+  if (isPlannedId(appId)) {
+    return [];
+  }
+
+  return await oktaPaginate(config, `/api/v1/apps/${appId}/users?limit=200`);
+}
+
+/**
+ * Unassign user from app
+ */
+async function unassignUserFromApp(config, appId, userId) {
+  if (isDryRun()) {
+    recordChange('unassignUserFromApp', 'DELETE', `/api/v1/apps/${appId}/users/${userId}`, userId);
+    return true;
+  }
+
+  const before = isJournaling() ? await getAppUser(config, appId, userId) : null;
+
+  await oktaRequest(config, `/api/v1/apps/${appId}/users/${userId}`, { method: 'DELETE' });
+  journalMutation('unassignUserFromApp', { appId, userId, before: before ? { scope: before.scope, profile: before.profile } : null });
+  return true;
+}
+
+/**
+ * Update app user profile
+ * previousProfile (when the caller already has it) saves a lookup for the journal
+ */
+async function updateAppUserProfile(config, appId, userId, profileData, previousProfile = undefined) {
+  if (isDryRun()) {
+    recordChange('updateAppUserProfile', 'POST', `/api/v1/apps/${appId}/users/${userId}`, userId, { profile: profileData });
+    return { id: userId, profile: profileData };
+  }
+
+  let before = null;
+  if (isJournaling()) {
+    const profile = previousProfile !== undefined ? previousProfile : (await getAppUser(config, appId, userId))?.profile;
+    before = { profile: pickProfileFields(profile, Object.keys(profileData)) };
+  }
+
+  const appUser = await oktaRequest(config, `/api/v1/apps/${appId}/users/${userId}`, {
+    method: 'POST',
+    idempotent: true,
+    body: { profile: profileData }
+  });
+  journalMutation('updateAppUserProfile', { appId, userId, before });
+  return appUser;
+}
+
+/**
+ * Get user's entitlement grants for an app
+ */
+async function getUserGrants(config, appId, userId) {
+  if (isPlannedId(appId) || isPlannedId(userId)) {
+    return [];
+  }
+
+  try {
+    // Filter grants by user and app
+    const filter = encodeURIComponent(`targetPrincipal.externalId eq "${userId}" and target.externalId eq "${appId}"`);
+    return await oktaPaginate(config, `/governance/api/v1/grants?filter=${filter}`);
+  } catch (error) {
+    // If the filter isn't supported, treat as no grants
+    if (error instanceof OktaApiError && [400, 404, 405].includes(error.status)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Revoke an entitlement grant
+ */
+async function revokeGrant(config, grantId) {
+  if (isDryRun()) {
+    recordChange('revokeGrant', 'DELETE', `/governance/api/v1/grants/${grantId}`, grantId);
+    return true;
+  }
+
+  // The grant's targets and entitlements are needed to re-create it on rollback
+  let before = null;
+  if (isJournaling()) {
+    try {
+      before = await oktaRequest(config, `/governance/api/v1/grants/${grantId}`);
+    } catch (error) {
+      if (!(error instanceof OktaNotFoundError)) throw error;
+    }
+  }
+
+  await oktaRequest(config, `/governance/api/v1/grants/${grantId}`, { method: 'DELETE' });
+  journalMutation('revokeGrant', { grantId, userId: before?.targetPrincipal?.externalId, appId: before?.target?.externalId, before });
+  return true;
+}
+
+/**
+ * Upper bound for concurrent user provisioning workers (provisioning.concurrency)
+ */
+function getMaxProvisioningConcurrency(config) {
+  // Dry runs stay sequential so the plan lists changes in a stable order
+  if (isDryRun()) return 1;
+  const configured = parseInt(config.provisioning?.concurrency, 10);
+  return configured > 0 ? configured : 4;
+}
+
+/**
+ * Current worker count: the configured maximum while Okta reports plenty of
+ * headroom, scaled down proportionally once less than half the budget is left
+ */
+function getProvisioningConcurrency(config) {
+  const max = getMaxProvisioningConcurrency(config);
+  const status = getRateLimitStatus();
+  if (!status || status.ratio === null) return max;
+  return Math.max(1, Math.min(max, Math.floor(max * status.ratio * 2)));
+}
+
+/**
+ * Process users from CSV - create/update users and assign to app
+ * Users are processed by a pool of workers (see provisioning.concurrency)
+ */
+async function processUsers(config, appId, csvFilePath, resourceId = null, entitlementsMap = {}) {
+  setLogStep('provisioning');
+  console.log(`👥 ${style.step('STEP 8: User Provisioning')}`);
+  console.log(`   ${style.badge.arrow()} Reading user data from CSV...`);
+  const provisioningElapsed = startTimer();
+
+  try {
+    const dataset = await loadDataset(config, csvFilePath);
+    const { records, catalog } = dataset;
+    const schema = getColumnSchema(dataset);
+    const entitlementCatalog = await loadEntitlementCatalog(config, csvFilePath, dataset.manifest);
+    const correlationRules = getCorrelationRules(config);
+
+    console.log(`   ${style.badge.ok()} Found ${style.count(records.length)} user(s) in CSV`);
+    console.log(`   ${style.badge.arrow()} Matching rows to Okta users on ${correlationRules.map(rule => style.attr(rule)).join(' → ')}`);
+    console.log('');
+
+    let created = 0;
+    let updated = 0;
+    let assigned = 0;
+    let grantsCreated = 0;
+    let failed = 0;
+
+    // Create any entitlement values first so concurrent users never race to create the same value
+    if (resourceId && Object.keys(entitlementsMap).length > 0) {
+      const newValues = await ensureEntitlementValues(config, appId, catalog, entitlementsMap, entitlementCatalog);
+      if (newValues.length > 0) {
+        console.log(`   ${style.badge.ok()} Created ${style.count(newValues.length)} new entitlement value(s) before provisioning`);
+        console.log('');
+      }
+    }
+
+    const maxConcurrency = getMaxProvisioningConcurrency(config);
+    console.log(`   ${style.badge.arrow()} Provisioning with up to ${style.count(maxConcurrency)} concurrent worker(s) ${style.dim('(scaled down automatically as Okta rate limit headroom shrinks)')}`);
+    console.log('');
+
+    const syncState = await loadSyncState(config, appId);
+
+    // Match every row before any is written, so rows that resolve to the same Okta user
+    // fail instead of concurrent workers overwriting that user in turn
+    const correlations = records.map(record => ({ username: findRecordUsername(record), record }));
+    await correlateRows(config, correlations, schema, () => getProvisioningConcurrency(config));
+
+    const provisionRecord = async (record, i) => {
+      // Buffer output per user so concurrent workers don't interleave their lines
+      const lines = [];
+      const log = (line) => lines.push(line);
+      const elapsed = startTimer();
+
+      try {
+        // Dynamically find username/login column (try common variations)
+        const username = findRecordUsername(record);
+
+        if (!username) {
+          log(`   ${style.badge.warn()} ${style.warning('Skipping row')} - no username/email column found ${style.dim('(tried: ' + USERNAME_COLUMNS.join(', ') + ')')}`);
+          logEvent('warn', { action: 'provision', row: i + 1, outcome: 'skipped', error: 'no username column' });
+          addReportEntry('failures', { row: i + 1, action: 'provision', error: 'No username/email column found' });
+          failed++;
+          return;
+        }
+
+        let action = 'provision';
+
+        let userId;
+        let appUserProfile;
+        let grantIds = [];
+
+        try {
+          log(`   ${style.badge.arrow()} Processing user ${style.dim(i + 1 + '/' + records.length)}: ${style.name(username)}`);
+
+          // Build user profile dynamically from CSV columns using attribute mapping
+          const userProfile = buildUserProfile(username, record, schema);
+
+          // Check if user exists (matched by the correlation rules)
+          const { match, correlationError } = correlations[i];
+          if (correlationError) {
+            throw correlationError;
+          }
+          const existingUser = match?.user;
+          if (existingUser) {
+            const previousLogin = existingUser.profile?.login;
+            const renamed = Boolean(previousLogin) && previousLogin.toLowerCase() !== username.toLowerCase();
+            log(`     ${style.badge.arrow()} User exists ${style.dim('(' + existingUser.id + (match.rule === 'login' ? '' : ', matched on ' + match.rule) + ')')}, ${renamed ? 'renaming from ' + style.name(previousLogin) : 'updating'}...`);
+            await updateUser(config, existingUser.id, { profile: userProfile }, existingUser.profile);
+            // The state of the old username is this user's, now under the new one
+            if (renamed) forgetSyncedUser(syncState, previousLogin);
+            userId = existingUser.id;
+            action = 'updateUser';
+            updated++;
+          } else {
+            log(`     ${style.badge.arrow()} User does not exist, creating...`);
+            // Generate a random secure password for new users
+            const randomPassword = generateSecurePassword();
+            const newUser = await createUser(config, {
+              profile: userProfile,
+              credentials: {
+                password: { value: randomPassword }
+              }
+            });
+            userId = newUser.id;
+            action = 'createUser';
+            created++;
+            log(`     ${style.badge.ok()} User created ${style.dim('(' + userId + ')')} - ${style.dim('password reset required on first login')}`);
+          }
+
+          // Build app user profile with ONLY valid custom attributes
+          appUserProfile = buildAppUserProfile(record, schema);
+
+          // Assign user to app with custom attributes only
+          log(`     ${style.badge.arrow()} Assigning user to app...`);
+          // A user created just now cannot have an assignment yet
+          await assignUserToApp(config, appId, userId, appUserProfile, action === 'createUser' ? null : undefined);
+          log(`     ${style.badge.ok()} User assigned to app with attributes`);
+          assigned++;
+
+          // Create governance grant with entitlements
+          if (resourceId && Object.keys(entitlementsMap).length > 0) {
+            // Values Okta does not have yet are created first, so the grant can name them
+            for (const [key, value] of Object.entries(record)) {
+              if (!key.startsWith('ent_') || !value) continue;
+              const entitlementName = key.substring(4); // Remove 'ent_' prefix
+              const entitlement = entitlementsMap[entitlementName.toLowerCase()];
+              if (!entitlement || !entitlement.id || !entitlement.values) continue;
+
+              for (const val of new Set(splitEntitlementValues(value))) {
+                if (entitlement.values.find(ev => matchesInputValue(ev, val))?.id) continue;
+                try {
+                  log(`     ${style.badge.arrow()} New entitlement value detected: ${style.value('"' + val + '"')} for ${style.attr(entitlementName)}`);
+                  log(`       Creating new value in Okta...`);
+                  const newValue = await addEntitlementValue(config, entitlement.id, describeEntitlementValue(entitlementCatalog, entitlementName, val), appId);
+                  if (newValue && newValue.id) {
+                    log(`       ${style.badge.ok()} Created new entitlement value: ${style.value(val)} ${style.dim('(' + newValue.id + ')')}`);
+                    // Add to local cache so we don't try to create again
+                    entitlement.values.push(newValue);
+                  } else {
+                    log(`       ${style.badge.warn()} ${style.warning('Could not create entitlement value:')} ${val}`);
+                  }
+                } catch (createError) {
+                  log(`       ${style.badge.warn()} ${style.warning('Failed to create entitlement value:')} ${createError.message}`);
+                }
+              }
+            }
+
+            // Entitlements array in the Grants API format, as sync builds it
+            const entitlementsArray = buildUserEntitlements(record, entitlementsMap);
+
+            if (entitlementsArray.length > 0) {
+              try {
+                log(`     ${style.badge.arrow()} Creating governance grant with ${style.count(entitlementsArray.length)} entitlement(s)...`);
+
+                // Debug: log the payload for first user
+                if (i === 0) {
+                  const debugPayload = {
+                    grantType: "CUSTOM",
+                    targetPrincipal: { externalId: userId, type: "OKTA_USER" },
+                    actor: "ADMIN",
+                    target: { externalId: appId, type: "APPLICATION" },
+                    entitlements: entitlementsArray
+                  };
+                  log(`     ${style.badge.arrow()} ${style.dim('Debug payload:')}`);
+                  log(formatJsonCompact(debugPayload).split('\n').map(line => `       ${line}`).join('\n').substring(0, 1200));
+                }
+
+                const grantElapsed = startTimer();
+                const entitlement = describeGrantEntitlements(entitlementsArray, entitlementsMap);
+                try {
+                  const grant = await createEntitlementGrant(config, appId, userId, entitlementsArray);
+                  logEvent('info', { action: 'createGrant', user: username, entitlement, outcome: 'success', durationMs: grantElapsed() });
+                  if (grant?.id) grantIds.push(grant.id);
+                } catch (error) {
+                  logEvent('error', { action: 'createGrant', user: username, entitlement, outcome: 'failed', durationMs: grantElapsed(), error: error.message });
+                  addReportEntry('failures', { user: username, action: 'createGrant', entitlement, error: error.message });
+                  throw error;
+                }
+                log(`     ${style.badge.ok()} ${style.success('Governance grant created')}`);
+                grantsCreated++;
+              } catch (error) {
+                log(`     ${style.badge.warn()} ${style.warning('Grant creation failed:')} ${error.message}`);
+                // Don't fail the whole user - they're still assigned to the app
+              }
+            }
+          }
+
+          // Remember what was applied so the next sync can skip this row if it is unchanged
+          recordSyncedUser(syncState, username, {
+            hash: hashRecord(record),
+            contentHash: hashRecordContent(record, USERNAME_COLUMNS),
+            oktaUserId: userId,
+            grantIds
+          });
+
+          logEvent('info', { action, user: username, outcome: 'success', durationMs: elapsed() });
+          if (action === 'createUser') {
+            addReportEntry('usersAdded', { user: username, oktaUserId: userId, entitlements: grantIds.length > 0, reason: 'In CSV, no Okta user with this login: created and assigned' });
+          } else {
+            addReportEntry('usersUpdated', { user: username, oktaUserId: userId, reason: 'In CSV, existing Okta user: profile and app assignment refreshed' });
+          }
+          log('');
+        } catch (error) {
+          // Rate limits and transient errors were already retried by the Okta client
+          log(`     ${style.badge.fail()} ${style.error('Failed:')} ${error.message}`);
+          logEvent('error', { action, user: username, outcome: 'failed', durationMs: elapsed(), error: error.message });
+          addReportEntry('failures', { user: username, action, error: error.message });
+          failed++;
+          log('');
+        }
+      } finally {
+        console.log(lines.join('\n'));
+      }
+    };
+
+    await runPool(records, provisionRecord, {
+      concurrency: () => getProvisioningConcurrency(config)
+    });
+
+    if (!isDryRun()) {
+      syncState.csvFile = csvFilePath;
+      await saveSyncState(config, appId, syncState);
+    }
+
+    const summary = {
+      totalUsers: records.length,
+      created,
+      updated,
+      assigned,
+      grantsCreated,
+      failed,
+      durationMs: provisioningElapsed()
+    };
+    logSummary('processUsers', summary);
+    addReportSummary('processUsers', summary);
+
+    console.log(`   📊 ${style.label('User Provisioning Summary:')}`);
+    console.log(`     ${style.badge.bullet()} Total users in CSV: ${style.count(records.length)}`);
+    console.log(`     ${style.badge.bullet()} ${style.success('Created:')} ${style.count(created)}`);
+    console.log(`     ${style.badge.bullet()} Updated: ${style.count(updated)}`);
+    console.log(`     ${style.badge.bullet()} Assigned to app: ${style.count(assigned)}`);
+    if (grantsCreated > 0) {
+      console.log(`     ${style.badge.bullet()} Governance grants created: ${style.count(grantsCreated)}`);
+    }
+    if (failed > 0) {
+      console.log(`     ${style.badge.bullet()} ${style.error('Failed:')} ${style.count(failed)}`);
+    }
+    console.log('');
+
+    return summary;
+  } catch (error) {
+    console.log(`   ${style.badge.fail()} ${style.error('Error processing users:')} ${error.message}`);
+    console.log('');
+    logSummary('processUsers', { failed: 1, error: error.message, durationMs: provisioningElapsed() });
+    addReportEntry('failures', { action: 'processUsers', error: error.message });
+  }
+}
+
+/**
+ * Get current app user schema
+ */
+async function getAppUserSchema(config, appId) {
+  if (isPlannedId(appId)) {
+    return { definitions: { custom: { properties: {} } } };
+  }
+
+  return await oktaRequest(config, `/api/v1/meta/schemas/apps/${appId}/default`);
+}
+
+/**
+ * Get Okta native user profile attributes
+ * These are the standard attributes in Okta Universal Directory
+ */
+function getOktaNativeAttributes() {
+  return {
+    // Core attributes
+    'login': 'login',
+    'email': 'email',
+    'username': 'login',
+
+    // Name attributes
+    'firstname': 'firstName',
+    'first_name': 'firstName',
+    'fname': 'firstName',
+    'givenname': 'firstName',
+    'lastname': 'lastName',
+    'last_name': 'lastName',
+    'lname': 'lastName',
+    'surname': 'lastName',
+    'familyname': 'lastName',
+    'middlename': 'middleName',
+    'middle_name': 'middleName',
+    'displayname': 'displayName',
+    'display_name': 'displayName',
+    'nickname': 'nickName',
+    'nick_name': 'nickName',
+
+    // Title and prefix
+    'title': 'title',
+    'jobtitle': 'title',
+    'job_title': 'title',
+    'honorificprefix': 'honorificPrefix',
+    'prefix': 'honorificPrefix',
+    'honorificsuffix': 'honorificSuffix',
+    'suffix': 'honorificSuffix',
+
+    // Contact attributes
+    'primaryphone': 'primaryPhone',
+    'primary_phone': 'primaryPhone',
+    'phone': 'primaryPhone',
+    'phonenumber': 'primaryPhone',
+    'mobilephone': 'mobilePhone',
+    'mobile_phone': 'mobilePhone',
+    'mobile': 'mobilePhone',
+    'cellphone': 'mobilePhone',
+
+    // Address attributes
+    'streetaddress': 'streetAddress',
+    'street_address': 'streetAddress',
+    'address': 'streetAddress',
+    'street': 'streetAddress',
+    'city': 'city',
+    'state': 'state',
+    'stateprovince': 'state',
+    'province': 'state',
+    'zipcode': 'zipCode',
+    'zip_code': 'zipCode',
+    'zip': 'zipCode',
+    'postalcode': 'zipCode',
+    'postal_code': 'zipCode',
+    'countrycode': 'countryCode',
+    'country_code': 'countryCode',
+    'country': 'countryCode',
+    'postaladdress': 'postalAddress',
+    'postal_address': 'postalAddress',
+
+    // Locale and language
+    'preferredlanguage': 'preferredLanguage',
+    'preferred_language': 'preferredLanguage',
+    'language': 'preferredLanguage',
+    'locale': 'locale',
+    'timezone': 'timezone',
+    'time_zone': 'timezone',
+
+    // Organization attributes
+    'usertype': 'userType',
+    'user_type': 'userType',
+    'employeenumber': 'employeeNumber',
+    'employee_number': 'employeeNumber',
+    'employeeid': 'employeeNumber',
+    'employee_id': 'employeeNumber',
+    'costcenter': 'costCenter',
+    'cost_center': 'costCenter',
+    'organization': 'organization',
+    'org': 'organization',
+    'company': 'organization',
+    'division': 'division',
+    'department': 'department',
+    'dept': 'department',
+    'managerid': 'managerId',
+    'manager_id': 'managerId',
+    'manager': 'manager',
+
+    // Profile
+    'profileurl': 'profileUrl',
+    'profile_url': 'profileUrl'
+  };
+}
+
+/**
+ * Find matching Okta native attribute for a custom attribute name
+ */
+function findMatchingOktaAttribute(attributeName) {
+  const nativeAttributes = getOktaNativeAttributes();
+  const normalizedName = attributeName.toLowerCase().replace(/[-_\s]/g, '');
+
+  return nativeAttributes[normalizedName] || null;
+}
+
+/**
+ * Get app-to-user profile mapping
+ */
+async function getProfileMapping(config, appId) {
+  if (isPlannedId(appId)) {
+    // Okta creates the app-to-user mapping together with the app
+    return { id: plannedId('mapping'), properties: {} };
+  }
+
+  const mappings = await oktaPaginate(config, `/api/v1/mappings?sourceId=${appId}`);
+  // Find the mapping from app to user
+  return mappings.find(m => m.target.type === 'user');
+}
+
+/**
+ * Update profile mapping to add attribute mapping
+ */
+async function updateProfileMapping(config, mappingId, mappingProperties) {
+  if (isDryRun()) {
+    recordChange('updateProfileMapping', 'POST', `/api/v1/mappings/${mappingId}`, mappingId, mappingProperties);
+    return { id: mappingId, ...mappingProperties };
+  }
+
+  return await oktaRequest(config, `/api/v1/mappings/${mappingId}`, { method: 'POST', body: mappingProperties });
+}
+
+/**
+ * Create a custom attribute in app user schema
+ */
+async function createCustomAttribute(config, appId, attributeName) {
+  const customAttributeDefinition = {
+    definitions: {
+      custom: {
+        id: '#custom',
+        type: 'object',
+        properties: {
+          [attributeName]: {
+            title: attributeName,
+            description: `Custom attribute: ${attributeName}`,
+            type: 'string',
+            scope: 'NONE',
+            master: {
+              type: 'PROFILE_MASTER'
+            }
+          }
+        },
+        required: []
+      }
+    }
+  };
+
+  if (isDryRun()) {
+    recordChange('createCustomAttribute', 'POST', `/api/v1/meta/schemas/apps/${appId}/default`, attributeName, customAttributeDefinition);
+    return customAttributeDefinition;
+  }
+
+  const schema = await oktaRequest(config, `/api/v1/meta/schemas/apps/${appId}/default`, {
+    method: 'POST',
+    body: customAttributeDefinition
+  });
+  addReportEntry('attributesCreated', { name: attributeName });
+  return schema;
+}
+
+/**
+ * Process attribute mappings from app to Okta user profile
+ * profileTargets: { app attribute: Okta user attribute } for columns that set both
+ */
+async function processAttributeMappings(config, appId, createdAttributes, profileTargets) {
+  if (createdAttributes.length === 0) {
+    return;
+  }
+
+  console.log('');
+  setLogStep('profile-mapping');
+  console.log(`🔗 ${style.step('STEP 6: Profile Attribute Mapping')}`);
+  console.log(`   ${style.badge.arrow()} Analyzing custom attributes for Okta user profile mappings...`);
+  console.log('');
+
+  // Find matching Okta attributes
+  const matchedAttributes = [];
+  const unmatchedAttributes = [];
+
+  for (const attributeName of createdAttributes) {
+    const oktaAttribute = profileTargets[attributeName];
+    if (oktaAttribute) {
+      matchedAttributes.push({
+        customAttribute: attributeName,
+        oktaAttribute: oktaAttribute
+      });
+    } else {
+      unmatchedAttributes.push(attributeName);
+    }
+  }
+
+  console.log(`   ${style.badge.arrow()} Matched attributes: ${style.count(matchedAttributes.length)}`);
+  if (matchedAttributes.length > 0) {
+    matchedAttributes.forEach(match => {
+      console.log(`     ${style.badge.bullet()} ${style.attr(match.customAttribute)} ${style.dim('→')} ${style.value('user.' + match.oktaAttribute)}`);
+    });
+  }
+  console.log('');
+
+  if (unmatchedAttributes.length > 0) {
+    console.log(`   ${style.badge.arrow()} Unmatched attributes ${style.dim('(no standard Okta field)')}: ${style.count(unmatchedAttributes.length)}`);
+    unmatchedAttributes.forEach(attr => {
+      console.log(`     ${style.badge.bullet()} ${style.attr(attr)} ${style.dim('(will remain as custom attribute only)')}`);
+    });
+    console.log('');
+  }
+
+  if (matchedAttributes.length === 0) {
+    console.log(`   ${style.info('ℹ')} No attributes matched Okta user profile fields`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('Skipping profile mapping')}`);
+    return;
+  }
+
+  // Get the profile mapping
+  console.log(`   ${style.badge.arrow()} Fetching profile mapping configuration...`);
+  console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('GET /api/v1/mappings?sourceId=' + appId)}`);
+  const profileMapping = await getProfileMapping(config, appId);
+
+  if (!profileMapping) {
+    console.log(`   ${style.badge.fail()} ${style.error('Profile mapping not found for this application')}`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('This may happen if the app was just created')}`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('Mappings can be configured manually in Okta Admin Console')}`);
+    return;
+  }
+
+  console.log(`   ${style.badge.ok()} Profile mapping found ${style.dim('(ID: ' + profileMapping.id + ')')}`);
+  console.log('');
+
+  // Build mapping properties
+  const currentProperties = profileMapping.properties || {};
+  let mappingsAdded = 0;
+  let mappingsSkipped = 0;
+
+  console.log(`   ${style.badge.arrow()} Creating attribute mappings...`);
+  console.log('');
+
+  for (const match of matchedAttributes) {
+    const mappingKey = match.oktaAttribute;
+
+    // Check if mapping already exists
+    if (currentProperties[mappingKey]) {
+      console.log(`   ${style.badge.arrow()} Mapping for ${style.attr(match.customAttribute)}:`);
+      console.log(`     ${style.info('ℹ')} Already exists: ${style.value('user.' + mappingKey)}`);
+      mappingsSkipped++;
+    } else {
+      console.log(`   ${style.badge.arrow()} Mapping for ${style.attr(match.customAttribute)}:`);
+      console.log(`     ${style.badge.ok()} Creating: ${style.attr('appuser.' + match.customAttribute)} ${style.dim('→')} ${style.value('user.' + mappingKey)}`);
+
+      // Add new mapping
+      currentProperties[mappingKey] = {
+        expression: `appuser.${match.customAttribute}`
+      };
+      mappingsAdded++;
+    }
+    console.log('');
+  }
+
+  // Update the mapping if we added any
+  if (mappingsAdded > 0) {
+    console.log(`   ${style.badge.arrow()} Updating profile mapping with ${style.count(mappingsAdded)} new mapping(s)...`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('POST /api/v1/mappings/' + profileMapping.id)}`);
+
+    const updatedMapping = {
+      properties: currentProperties
+    };
+
+    await updateProfileMapping(config, profileMapping.id, updatedMapping);
+    console.log(`   ${style.badge.ok()} ${style.success('Profile mappings updated successfully')}`);
+  } else {
+    console.log(`   ${style.info('ℹ')} All matching attributes already have mappings`);
+  }
+
+  console.log('');
+  console.log(`   📊 ${style.label('Mapping Summary:')}`);
+  console.log(`     ${style.badge.bullet()} Total attributes analyzed: ${style.count(createdAttributes.length)}`);
+  console.log(`     ${style.badge.bullet()} Matched to Okta fields: ${style.count(matchedAttributes.length)}`);
+  console.log(`     ${style.badge.bullet()} ${style.success('Mappings created:')} ${style.count(mappingsAdded)}`);
+  console.log(`     ${style.badge.bullet()} Mappings already existed: ${style.count(mappingsSkipped)}`);
+  console.log(`     ${style.badge.bullet()} Unmatched attributes: ${style.count(unmatchedAttributes.length)}`);
+}
+
+/**
+ * Process CSV columns and create custom attributes
+ */
+async function processCustomAttributes(config, appId, csvFilePath) {
+  // Get CSV columns
+  const allColumns = await getCsvColumnsWithDetails(config, csvFilePath);
+  const columns = allColumns.included;
+  const excludedColumns = allColumns.excluded;
+
+  console.log(`   ${style.badge.ok()} CSV parsed successfully`);
+  console.log(`   ${style.badge.arrow()} Total columns found: ${style.count(allColumns.total)}`);
+
+  if (excludedColumns.length > 0) {
+    console.log(`   ${style.badge.arrow()} Excluded columns: ${style.count(excludedColumns.length)}`);
+    excludedColumns.forEach(col => console.log(`     ${style.badge.bullet()} ${style.attr(col)} ${style.dim('(skipped)')}`));
+  }
+
+  console.log(`   ${style.badge.arrow()} Columns to process: ${style.count(columns.length)}`);
+  if (columns.length > 0) {
+    columns.forEach(col => console.log(`     ${style.badge.bullet()} ${style.attr(col)}`));
+  }
+  console.log('');
+
+  if (columns.length === 0) {
+    console.log(`   ${style.info('ℹ')} No columns to process ${style.dim('(no column is an app attribute)')}`);
+    return []; // Return empty array for mapping
+  }
+
+  // Get existing schema
+  console.log(`   ${style.badge.arrow()} Fetching current app user schema from Okta...`);
+  console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('GET /api/v1/meta/schemas/apps/' + appId + '/default')}`);
+  const schema = await getAppUserSchema(config, appId);
+
+  const existingAttributes = schema.definitions?.custom?.properties || {};
+  const existingAttributeNames = Object.keys(existingAttributes);
+
+  console.log(`   ${style.badge.ok()} Schema retrieved successfully`);
+  console.log(`   ${style.badge.arrow()} Existing custom attributes: ${style.count(existingAttributeNames.length)}`);
+
+  if (existingAttributeNames.length > 0) {
+    console.log(`   ${style.badge.arrow()} Current attributes:`);
+    existingAttributeNames.forEach(attr => console.log(`     ${style.badge.bullet()} ${style.attr(attr)}`));
+  }
+  console.log('');
+
+  // Determine which attributes need to be created
+  const attributesToCreate = columns.filter(col => !existingAttributeNames.includes(col));
+  const attributesAlreadyExist = columns.filter(col => existingAttributeNames.includes(col));
+
+  if (attributesAlreadyExist.length > 0) {
+    console.log(`   ${style.badge.ok()} ${style.count(attributesAlreadyExist.length)} attribute(s) already exist ${style.dim('(skipping)')}:`);
+    attributesAlreadyExist.forEach(attr => console.log(`     ${style.badge.bullet()} ${style.attr(attr)}`));
+    console.log('');
+  }
+
+  if (attributesToCreate.length === 0) {
+    console.log(`   ${style.badge.ok()} ${style.success('All required attributes already exist')}`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('No new attributes need to be created')}`);
+    return columns; // Return all columns for mapping
+  }
+
+  console.log(`   ${style.badge.arrow()} Creating ${style.count(attributesToCreate.length)} new custom attribute(s)...`);
+  console.log('');
+
+  let successCount = 0;
+  let failureCount = 0;
+  const successfullyCreated = [];
+
+  for (const attributeName of attributesToCreate) {
+    try {
+      console.log(`   ${style.badge.arrow()} Creating attribute: ${style.attr('"' + attributeName + '"')}`);
+      console.log(`     ${style.dim('API Call:')} ${style.dim('POST /api/v1/meta/schemas/apps/' + appId + '/default')}`);
+      await createCustomAttribute(config, appId, attributeName);
+      console.log(`     ${style.badge.ok()} ${style.success('Successfully created')}`);
+      successCount++;
+      successfullyCreated.push(attributeName);
+    } catch (error) {
+      console.error(`     ${style.badge.fail()} ${style.error('Failed:')} ${error.message}`);
+      failureCount++;
+    }
+    console.log('');
+  }
+
+  console.log(`   📊 ${style.label('Custom Attribute Summary:')}`);
+  console.log(`     ${style.badge.bullet()} Total columns in CSV: ${style.count(allColumns.total)}`);
+  console.log(`     ${style.badge.bullet()} Already existed: ${style.count(attributesAlreadyExist.length)}`);
+  console.log(`     ${style.badge.bullet()} ${style.success('Successfully created:')} ${style.count(successCount)}`);
+  if (failureCount > 0) {
+    console.log(`     ${style.badge.bullet()} ${style.error('Failed to create:')} ${style.count(failureCount)}`);
+  }
+
+  // Return all columns (both newly created and already existing) for mapping
+  return columns;
+}
+
+/**
+ * Ensure all entitlement values from CSV exist in Okta
+ * Creates any missing values before user processing, described by the entitlement catalog
+ */
+async function ensureEntitlementValues(config, appId, catalog, entitlementsMap, entitlementCatalog = null) {
+  const newValuesCreated = [];
+
+  // Collect all unique values per entitlement from the CSV's catalog
+  const valuesByEntitlement = {};
+
+  for (const [column, values] of Object.entries(catalog)) {
+    const entitlementName = column.substring(4).toLowerCase();
+    const entitlement = entitlementsMap[entitlementName];
+
+    if (entitlement && entitlement.id) {
+      if (!valuesByEntitlement[entitlementName]) {
+        valuesByEntitlement[entitlementName] = new Set();
+      }
+      values.forEach(v => valuesByEntitlement[entitlementName].add(v));
+    }
+  }
+
+  // Check for new values and create them
+  for (const [entitlementName, valuesSet] of Object.entries(valuesByEntitlement)) {
+    const entitlement = entitlementsMap[entitlementName];
+    if (!entitlement || !entitlement.values) continue;
+
+    for (const val of valuesSet) {
+      const exists = entitlement.values.some(ev => matchesInputValue(ev, val));
+
+      if (!exists) {
+        try {
+          console.log(`   → New entitlement value detected: "${val}" for ${entitlementName}`);
+          const newValue = await addEntitlementValue(config, entitlement.id, describeEntitlementValue(entitlementCatalog, entitlementName, val), appId);
+          if (newValue && newValue.id) {
+            console.log(`     ✓ Created: ${val} (${newValue.id})`);
+            entitlement.values.push(newValue);
+            newValuesCreated.push({ entitlement: entitlementName, value: val });
+          }
+        } catch (error) {
+          console.log(`     ⚠ Failed to create "${val}": ${error.message}`);
+        }
+      }
+    }
+  }
+
+  return newValuesCreated;
+}
+
+/**
+ * "entitlement:value" labels for a grant's entitlements, used in structured log events
+ */
+function describeGrantEntitlements(entitlementsArray, entitlementsMap) {
+  const namesById = {};
+  for (const [name, entitlement] of Object.entries(entitlementsMap)) {
+    namesById[entitlement.id] = name;
+  }
+  return entitlementsArray.flatMap(entitlement =>
+    entitlement.values.map(value => `${namesById[entitlement.id] || entitlement.id}:${value.name || value.id}`)
+  );
+}
+
+/**
+ * Build entitlements array for a user from CSV record (ent_ columns and joined grants)
+ */
+function buildUserEntitlements(record, entitlementsMap) {
+  const entitlementsForGrant = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    if (key.startsWith('ent_') && value) {
+      const entitlementName = key.substring(4);
+      const entitlement = entitlementsMap[entitlementName.toLowerCase()];
+
+      if (entitlement && entitlement.id && entitlement.values) {
+        const csvValues = [...new Set(splitEntitlementValues(value))];
+
+        for (const val of csvValues) {
+          const entValue = entitlement.values.find(ev => matchesInputValue(ev, val));
+
+          if (entValue && entValue.id) {
+            if (!entitlementsForGrant[entitlement.id]) {
+              entitlementsForGrant[entitlement.id] = {
+                id: entitlement.id,
+                values: []
+              };
+            }
+            const alreadyAdded = entitlementsForGrant[entitlement.id].values.some(
+              v => v.id === entValue.id
+            );
+            if (!alreadyAdded) {
+              entitlementsForGrant[entitlement.id].values.push({
+                id: entValue.id,
+                name: entValue.name || val,
+                description: entValue.description || val,
+                label: entValue.name || val
+              });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return Object.values(entitlementsForGrant);
+}
+
+/**
+ * Entitlements of a grant as [{ id, values: [{ id }] }], the shape grants are created with
+ */
+function grantEntitlements(grant) {
+  return (grant.entitlements || []).map(entitlement => ({ id: entitlement.id, values: (entitlement.values || []).map(value => ({ id: value.id })) }));
+}
+
+/**
+ * Grant the entitlement values of a delta row the user does not hold yet
+ * @param {Array} heldGrants - The user's current grants on the app
+ * @returns {Promise<Object>} - { grantIds (all the user's grants after the change), entitlement (labels granted) }
+ */
+async function grantDeltaValues(config, appId, userId, record, entitlementsMap, heldGrants) {
+  const held = new Set(heldGrants.flatMap(grant => grantEntitlements(grant).flatMap(entitlement => entitlement.values.map(value => value.id))));
+  const missing = buildUserEntitlements(record, entitlementsMap)
+    .map(entitlement => ({ ...entitlement, values: entitlement.values.filter(value => !held.has(value.id)) }))
+    .filter(entitlement => entitlement.values.length > 0);
+  const grantIds = heldGrants.map(grant => grant.id);
+  if (missing.length === 0) return { grantIds, entitlement: [] };
+
+  const grant = await createEntitlementGrant(config, appId, userId, missing);
+  return { grantIds: grant?.id ? [...grantIds, grant.id] : grantIds, entitlement: describeGrantEntitlements(missing, entitlementsMap) };
+}
+
+/**
+ * Revoke the entitlement values of a delta row, keeping the user's other values: grants
+ * holding a revoked value are revoked and their remaining values granted again
+ * @returns {Promise<Object>} - { grantIds (all the user's grants after the change), entitlement (labels revoked) }
+ */
+async function revokeDeltaValues(config, appId, userId, record, entitlementsMap, heldGrants) {
+  const revoking = buildUserEntitlements(record, entitlementsMap);
+  const revokedIds = new Set(revoking.flatMap(entitlement => entitlement.values.map(value => value.id)));
+  const affected = heldGrants.filter(grant => grantEntitlements(grant).some(entitlement => entitlement.values.some(value => revokedIds.has(value.id))));
+  const grantIds = heldGrants.map(grant => grant.id);
+  if (affected.length === 0) return { grantIds, entitlement: [] };
+
+  const remaining = {};
+  for (const grant of affected) {
+    await revokeGrant(config, grant.id);
+    for (const entitlement of grantEntitlements(grant)) {
+      for (const value of entitlement.values.filter(value => !revokedIds.has(value.id))) {
+        remaining[entitlement.id] ??= { id: entitlement.id, values: [] };
+        if (!remaining[entitlement.id].values.some(kept => kept.id === value.id)) remaining[entitlement.id].values.push(value);
+      }
+    }
+  }
+
+  const kept = grantIds.filter(id => !affected.some(grant => grant.id === id));
+  const regrant = Object.values(remaining);
+  const grant = regrant.length > 0 ? await createEntitlementGrant(config, appId, userId, regrant) : null;
+
+  // Only values the user actually held were revoked
+  const heldIds = new Set(affected.flatMap(held => grantEntitlements(held).flatMap(entitlement => entitlement.values.map(value => value.id))));
+  const revoked = revoking
+    .map(entitlement => ({ ...entitlement, values: entitlement.values.filter(value => heldIds.has(value.id)) }))
+    .filter(entitlement => entitlement.values.length > 0);
+  return { grantIds: grant?.id ? [...kept, grant.id] : kept, entitlement: describeGrantEntitlements(revoked, entitlementsMap) };
+}
+
+/**
+ * Apply one delta row (see deltaInput.js) to Okta and the sync state
+ * @returns {Promise<Object>} - { outcome: 'added' | 'updated' | 'removed' | 'unchanged', entitlement, reason }
+ */
+async function applyDeltaChange(config, appId, change, context) {
+  const { schema, syncState, resourceId, entitlementsMap } = context;
+  // username keeps the file's spelling for Okta; key is the lowercased sync state key
+  const { action, username, key, record } = change;
+  const withGrants = Boolean(resourceId) && Object.keys(entitlementsMap).length > 0;
+  const entry = syncState.users[key];
+
+  // Only the users the file names are looked up; the sync state saves the user lookup
+  const match = entry ? null : await correlateUser(config, username, record, schema);
+  const user = match?.user ?? null;
+  const oktaUserId = entry?.oktaUserId ?? user?.id ?? null;
+  const appUser = oktaUserId ? await getAppUser(config, appId, oktaUserId) : null;
+  const heldGrants = async () => (appUser && withGrants ? await getUserGrants(config, appId, oktaUserId) : []);
+  const remember = (fields) => recordSyncedUser(syncState, username, {
+    // A partial row says nothing about the rest of the user, so the next snapshot sync checks them
+    hash: null,
+    contentHash: null,
+    oktaUserId,
+    grantIds: entry?.grantIds ?? null,
+    ...fields
+  });
+
+  switch (action) {
+    case 'ADD': {
+      let userId = oktaUserId;
+      let previousLogin = null;
+      let userChanged = false;
+      if (!userId) {
+        const created = await createUser(config, {
+          profile: buildUserProfile(username, record, schema),
+          credentials: { password: { value: generateSecurePassword() } }
+        });
+        userId = created.id;
+      } else {
+        // An existing user gets the row's profile as provisioning sets it; a new login renames them
+        const current = user || await findUser(config, userId);
+        const userProfile = buildUserProfile(username, record, schema);
+        userChanged = Object.entries(userProfile).some(([field, value]) => (current?.profile?.[field] ?? '') !== value);
+        if (userChanged) {
+          await updateUser(config, userId, { profile: userProfile }, current?.profile);
+        }
+        const login = current?.profile?.login;
+        if (login && login.toLowerCase() !== key) {
+          previousLogin = login;
+          forgetSyncedUser(syncState, previousLogin);
+        }
+      }
+      const appProfile = buildAppUserProfile(record, schema);
+      const profileChanged = !appUser || Object.entries(appProfile).some(([field, value]) => appUser.profile?.[field] !== value);
+      if (profileChanged) {
+        await assignUserToApp(config, appId, userId, appProfile, appUser);
+      }
+      const grants = withGrants ? await grantDeltaValues(config, appId, userId, record, entitlementsMap, await heldGrants()) : { grantIds: [], entitlement: [] };
+      recordSyncedUser(syncState, username, {
+        hash: hashRecord(record),
+        contentHash: hashRecordContent(record, USERNAME_COLUMNS),
+        oktaUserId: userId,
+        grantIds: grants.grantIds
+      });
+      if (!appUser) return { outcome: 'added', entitlement: grants.entitlement, reason: 'ADD row in delta file' };
+      if (previousLogin) {
+        return { outcome: 'updated', entitlement: grants.entitlement, reason: `ADD row in delta file for ${previousLogin}${match ? ' (same ' + match.rule + ')' : ''}: renamed` };
+      }
+      return userChanged || profileChanged || grants.entitlement.length > 0
+        ? { outcome: 'updated', entitlement: grants.entitlement, reason: 'ADD row in delta file for an assigned user' }
+        : { outcome: 'unchanged', entitlement: [], reason: 'already assigned as in the ADD row' };
+    }
+
+    case 'UPDATE': {
+      if (!appUser) throw new Error('not assigned to the app (ADD the user first)');
+      const appProfile = buildAppUserProfile(record, schema);
+      const changedFields = Object.keys(appProfile).filter(field => appUser.profile?.[field] !== appProfile[field]);
+      if (changedFields.length > 0) {
+        await updateAppUserProfile(config, appId, oktaUserId, appProfile, appUser.profile);
+      }
+
+      // Only the profile fields the row fills in
+      const current = user || await findUser(config, oktaUserId);
+      const profile = changedUserProfile(record, schema, current?.profile);
+      if (Object.keys(profile).length > 0) {
+        await updateUser(config, oktaUserId, { profile }, current?.profile);
+        changedFields.push(...Object.keys(profile));
+      }
+
+      remember({});
+      return changedFields.length > 0
+        ? { outcome: 'updated', entitlement: [], reason: `UPDATE row in delta file, changed: ${changedFields.join(', ')}` }
+        : { outcome: 'unchanged', entitlement: [], reason: 'UPDATE row matches Okta' };
+    }
+
+    case 'DELETE': {
+      if (!appUser) {
+        forgetSyncedUser(syncState, username);
+        return { outcome: 'unchanged', entitlement: [], reason: 'DELETE row for a user not assigned to the app' };
+      }
+      const grants = entry?.grantIds ? entry.grantIds.map(id => ({ id })) : await heldGrants();
+      for (const grant of grants) {
+        try {
+          await revokeGrant(config, grant.id);
+        } catch (error) {
+          // Continue even if grant revocation fails, as snapshot removals do
+          logEvent('warn', { action: 'revokeGrant', user: username, grantId: grant.id, outcome: 'failed', error: error.message });
+        }
+      }
+      await unassignUserFromApp(config, appId, oktaUserId);
+      forgetSyncedUser(syncState, username);
+      return { outcome: 'removed', entitlement: [], reason: `DELETE row in delta file (${grants.length} grant(s) revoked)` };
+    }
+
+    case 'GRANT':
+    case 'REVOKE': {
+      if (!appUser) {
+        if (action === 'REVOKE') return { outcome: 'unchanged', entitlement: [], reason: 'REVOKE row for a user not assigned to the app' };
+        throw new Error('not assigned to the app (ADD the user first)');
+      }
+      if (!withGrants) throw new Error('the app has no entitlements in Okta Governance');
+      const apply = action === 'GRANT' ? grantDeltaValues : revokeDeltaValues;
+      const grants = await apply(config, appId, oktaUserId, record, entitlementsMap, await heldGrants());
+      remember({ grantIds: grants.grantIds });
+      return grants.entitlement.length > 0
+        ? { outcome: 'updated', entitlement: grants.entitlement, reason: `${action} row in delta file` }
+        : { outcome: 'unchanged', entitlement: [], reason: action === 'GRANT' ? 'Values already granted' : 'Values not held' };
+    }
+
+    default:
+      throw new Error(`Unknown delta action "${action}"`);
+  }
+}
+
+/**
+ * SYNC of a delta file: apply each row's action in file order (see deltaInput.js)
+ * Users the file does not name are neither listed nor touched; DELETE rows still pass
+ * the mass-removal guards
+ */
+async function syncDeltaChanges(config, appId, dataset, resourceId, entitlementsMap, entitlementsCreated, options, syncElapsed) {
+  const { changes } = dataset;
+  const schema = getColumnSchema(dataset);
+  const syncState = await loadSyncState(config, appId);
+  const knownUsers = Object.keys(syncState.users).length;
+
+  console.log(`   → Delta file: ${changes.length} change(s) ${style.dim('(' + describeDeltaChanges(changes) + ')')}`);
+  console.log('');
+
+  // Users known from the sync state stand in for the assigned users, which a delta sync never lists
+  const deletions = changes.filter(change => change.action === 'DELETE');
+  const revocations = deletions.reduce((total, { key }) => total + (syncState.users[key]?.grantIds?.length ?? 1), 0);
+  const trackedGrants = Object.values(syncState.users).reduce((total, entry) => total + (entry.grantIds?.length || 0), 0);
+  const guardReasons = deletions.length > 0 && !options.allowMassRemoval
+    ? checkRemovalGuards(config, { removals: deletions.length, assignedUsers: knownUsers, revocations, totalGrants: Math.max(trackedGrants, knownUsers) })
+    : [];
+  const blockedRemovals = guardReasons.length > 0 ? deletions.length : 0;
+
+  if (blockedRemovals > 0) {
+    console.log(`   ${style.badge.fail()} ${colors.red}${colors.bold}SAFETY GUARD TRIPPED - ${deletions.length} DELETE row(s) NOT applied${colors.reset}`);
+    for (const reason of guardReasons) {
+      console.log(`     ${style.badge.bullet()} ${style.error(reason)}`);
+    }
+    console.log(`   ${style.badge.warn()} ${style.warning('The other rows are still applied. If these deletions are intended, run "sync --allow-mass-removal" once.')}`);
+    console.log('');
+    logEvent('error', { action: 'safetyGuard', outcome: 'blocked', removals: deletions.length, revocations, reasons: guardReasons });
+    for (const { username, key } of deletions) {
+      addReportEntry('removalsBlocked', { user: username, oktaUserId: syncState.users[key]?.oktaUserId ?? null, reason: guardReasons.join('; ') });
+    }
+  }
+
+  const counts = { added: 0, updated: 0, removed: 0, unchanged: 0, failed: 0 };
+  const context = { schema, syncState, resourceId, entitlementsMap };
+  const reportSections = { added: 'usersAdded', updated: 'usersUpdated', removed: 'usersRemoved' };
+  for (const change of changes) {
+    const { action, username, key, line } = change;
+    if (action === 'DELETE' && blockedRemovals > 0) continue;
+
+    const elapsed = startTimer();
+    try {
+      const { outcome, entitlement, reason } = await applyDeltaChange(config, appId, change, context);
+      counts[outcome]++;
+      const oktaUserId = syncState.users[key]?.oktaUserId ?? null;
+      console.log(`     ${outcome === 'unchanged' ? style.badge.skip() : style.badge.ok()} ${action} ${username}${entitlement.length > 0 ? ' ' + style.dim(entitlement.join(', ')) : ''}${outcome === 'unchanged' ? ' ' + style.dim('(' + reason + ')') : ''}`);
+      logEvent('info', { action: action.toLowerCase(), user: username, entitlement, line, outcome: outcome === 'unchanged' ? 'skipped' : 'success', durationMs: elapsed() });
+      if (reportSections[outcome]) {
+        addReportEntry(reportSections[outcome], { user: username, oktaUserId, entitlement, reason: `${reason} (line ${line})` });
+      }
+    } catch (error) {
+      counts.failed++;
+      console.log(`     ${style.badge.fail()} ${action} ${username}: ${error.message}`);
+      logEvent('error', { action: action.toLowerCase(), user: username, line, outcome: 'failed', durationMs: elapsed(), error: error.message });
+      addReportEntry('failures', { user: username, action: action.toLowerCase(), line, error: error.message });
+    }
+  }
+  console.log('');
+
+  console.log(`   📊 ${style.label('DELTA SYNC RESULTS')}`);
+  console.log(`     Entitlements Created: ${style.count(entitlementsCreated)}`);
+  console.log(`     Users Added:          ${style.count(counts.added)}`);
+  console.log(`     Users Updated:        ${style.count(counts.updated)}`);
+  console.log(`     Users Removed:        ${style.count(counts.removed)}`);
+  if (blockedRemovals > 0) {
+    console.log(`     ${style.error('Removals Blocked:')}     ${style.count(blockedRemovals)} ${style.dim('(safety guard)')}`);
+  }
+  console.log(`     Rows Unchanged:       ${style.count(counts.unchanged)}`);
+  if (counts.failed > 0) {
+    console.log(`     ${style.error('Failed:')}               ${style.count(counts.failed)}`);
+  }
+  console.log('');
+
+  const result = { ...counts, renamed: 0, blockedRemovals, entitlementsCreated };
+  const summary = { ...result, safetyGuard: guardReasons, mode: 'delta', changes: changes.length, durationMs: syncElapsed() };
+  logSummary('syncUsers', summary);
+  addReportSummary('syncUsers', summary);
+
+  // The state moves forward but the next full reconciliation stays due as scheduled
+  if (!isDryRun()) {
+    syncState.lastSyncAt = new Date().toISOString();
+    await saveSyncState(config, appId, syncState);
+  }
+  return result;
+}
+
+/**
+ * Match rows ({ username, record }) to Okta users by the correlation rules (see
+ * correlation.js), keeping the result on each row (match, or correlationError)
+ * Rows that match the same Okta user all fail: none of them is linked to it
+ * @returns {Promise<Map>} - Okta user ID -> the one row matched to that user
+ */
+async function correlateRows(config, rows, schema, concurrency = 1) {
+  await runPool(rows, async (row) => {
+    if (!row.username) return;
+    try {
+      row.match = await correlateUser(config, row.username, row.record, schema);
+    } catch (error) {
+      row.correlationError = error;
+    }
+  }, { concurrency });
+
+  const rowsById = new Map();
+  for (const row of rows) {
+    const userId = row.match?.user.id;
+    if (!userId || row.correlationError) continue;
+    if (!rowsById.has(userId)) rowsById.set(userId, []);
+    rowsById.get(userId).push(row);
+  }
+
+  const matched = new Map();
+  for (const [userId, shared] of rowsById.entries()) {
+    if (shared.length === 1) {
+      matched.set(userId, shared[0]);
+      continue;
+    }
+    const usernames = shared.map(row => row.username).join(', ');
+    for (const row of shared) {
+      row.correlationError = new Error(`Rows ${usernames} all match Okta user ${userId} (correlation rule ${row.match.rule})`);
+    }
+  }
+  return matched;
+}
+
+/**
+ * Match each addition to an Okta user by the correlation rules and pair it with the
+ * removal of that same user: the user's username changed
+ * The match is kept on the addition (match or correlationError) for the add step
+ */
+async function correlateAdditions(config, toAdd, toRemove, schema) {
+  const removalsById = new Map(toRemove.map(removal => [removal.oktaUser.id, removal]));
+  const matched = await correlateRows(config, toAdd, schema);
+
+  const renames = [];
+  for (const [userId, addition] of matched.entries()) {
+    if (removalsById.has(userId)) {
+      renames.push({ removal: removalsById.get(userId), addition, rule: addition.match.rule });
+    }
+  }
+  return renames;
+}
+
+/**
+ * Pair removals and additions whose rows are identical apart from the username
+ * Each pair is applied as a rename instead of revoking and re-granting access
+ */
+function detectRenames(toAdd, toRemove, stateUsers) {
+  const removalsByContent = new Map();
+  for (const removal of toRemove) {
+    const contentHash = stateUsers[removal.username]?.contentHash;
+    if (!contentHash) continue;
+    if (!removalsByContent.has(contentHash)) removalsByContent.set(contentHash, []);
+    removalsByContent.get(contentHash).push(removal);
+  }
+
+  const addsByContent = new Map();
+  for (const addition of toAdd) {
+    const contentHash = hashRecordContent(addition.record, USERNAME_COLUMNS);
+    if (!addsByContent.has(contentHash)) addsByContent.set(contentHash, []);
+    addsByContent.get(contentHash).push(addition);
+  }
+
+  const renames = [];
+  for (const [contentHash, removals] of removalsByContent.entries()) {
+    const additions = addsByContent.get(contentHash) || [];
+    // Only unambiguous one-to-one matches count as renames
+    if (removals.length === 1 && additions.length === 1) {
+      renames.push({ removal: removals[0], addition: additions[0] });
+    }
+  }
+
+  return renames;
+}
+
+/**
+ * Sync users from CSV with Okta - handles adds, updates, renames and deletes
+ *
+ * Uses the persisted sync state (see syncState.js) so unchanged rows are skipped
+ * and removals need no Okta scan. A full reconciliation against the app's users
+ * runs on first sync, when syncState.fullReconcileHours has elapsed, or with options.full.
+ */
+async function syncUsers(config, appId, csvFilePath, resourceId, entitlementsMap, options = {}) {
+  setLogStep('sync');
+  console.log('🔄 SYNC: Checking for changes...');
+  console.log('');
+  const syncElapsed = startTimer();
+
+  try {
+    // Read CSV to get expected state (users keyed by lowercased username)
+    const dataset = await loadDataset(config, csvFilePath);
+    const { users, catalog } = dataset;
+    const schema = getColumnSchema(dataset);
+    const csvUsers = Object.fromEntries(users);
+    const entitlementCatalog = await loadEntitlementCatalog(config, csvFilePath, dataset.manifest);
+    // Bad correlation rules fail the sync before any user is touched
+    getCorrelationRules(config);
+
+    // Ensure all entitlement values from CSV exist (create new ones if needed)
+    let entitlementsCreated = 0;
+    if (entitlementsMap && Object.keys(entitlementsMap).length > 0) {
+      console.log('   → Checking for new entitlement values...');
+      const newValues = await ensureEntitlementValues(config, appId, catalog, entitlementsMap, entitlementCatalog);
+      entitlementsCreated = newValues.length;
+      if (newValues.length > 0) {
+        console.log(`   ✓ Created ${newValues.length} new entitlement value(s):`);
+        for (const nv of newValues) {
+          console.log(`     • ${nv.entitlement}: "${nv.value}"`);
+        }
+        console.log('');
+      } else {
+        console.log('   ✓ All entitlement values already exist');
+      }
+    }
+
+    // A delta file lists changes, not the app's users: apply only those
+    if (dataset.delta) {
+      return await syncDeltaChanges(config, appId, dataset, resourceId, entitlementsMap, entitlementsCreated, options, syncElapsed);
+    }
+
+    // Load what previous runs applied to Okta
+    const syncState = await loadSyncState(config, appId);
+    const stateUsers = syncState.users;
+    const fullReconcile = options.full || isFullReconcileDue(config, syncState);
+
+    // Identify changes
+    const toAdd = [];
+    const toUpdate = [];
+    const toRemove = [];
+    let unchanged = 0;
+    let oktaUserCount;
+
+    if (fullReconcile) {
+      // Get current Okta state (the Okta client handles token refresh and rate limits)
+      console.log(`   → Full reconciliation${options.full ? '' : ' ' + style.dim(syncState.lastFullSyncAt ? '(scheduled)' : '(no previous sync state)')}: fetching current users from Okta...`);
+      const oktaAppUsers = await getAppUsers(config, appId);
+      oktaUserCount = oktaAppUsers.length;
+      console.log(`   ✓ Found ${oktaAppUsers.length} user(s) currently assigned to app`);
+
+      // Build map of Okta users (keyed by login/email)
+      const oktaUsers = {};
+      for (const appUser of oktaAppUsers) {
+        const login = appUser.credentials?.userName || appUser.profile?.email;
+        if (login) {
+          oktaUsers[login.toLowerCase()] = appUser;
+        }
+      }
+
+      // Check for new users (in CSV but not in Okta)
+      for (const [username, record] of Object.entries(csvUsers)) {
+        const oktaUser = oktaUsers[username];
+        if (!oktaUser) {
+          toAdd.push({ username, record });
+          continue;
+        }
+
+        // Row already applied and the app profile has not drifted in Okta - nothing to do
+        const entry = stateUsers[username];
+        const appProfile = buildAppUserProfile(record, schema);
+        const drifted = Object.entries(appProfile).some(([key, value]) => oktaUser.profile?.[key] !== value);
+        if (entry && entry.hash === hashRecord(record) && entry.oktaUserId === oktaUser.id && !drifted) {
+          unchanged++;
+        } else {
+          toUpdate.push({ username, record, oktaUser, grantIds: entry?.grantIds || null });
+        }
+      }
+
+      // Check for removed users (in Okta but not in CSV)
+      for (const [username, oktaUser] of Object.entries(oktaUsers)) {
+        if (!csvUsers[username]) {
+          toRemove.push({ username, oktaUser, grantIds: stateUsers[username]?.grantIds || null });
+        }
+      }
+
+      // Users unassigned directly in Okta are forgotten so they are re-added
+      for (const username of Object.keys(stateUsers)) {
+        if (!oktaUsers[username]) {
+          forgetSyncedUser(syncState, username);
+        }
+      }
+    } else {
+      console.log(`   → Incremental sync against state from ${style.dim(syncState.lastSyncAt)} ${style.dim('(last full reconciliation: ' + syncState.lastFullSyncAt + ')')}`);
+      oktaUserCount = Object.keys(stateUsers).length;
+
+      for (const [username, record] of Object.entries(csvUsers)) {
+        const entry = stateUsers[username];
+        if (!entry) {
+          toAdd.push({ username, record });
+        } else if (entry.hash !== hashRecord(record)) {
+          // Profile unknown without an Okta read; the row hash says it changed
+          toUpdate.push({ username, record, oktaUser: { id: entry.oktaUserId }, grantIds: entry.grantIds });
+        } else {
+          unchanged++;
+        }
+      }
+
+      for (const [username, entry] of Object.entries(stateUsers)) {
+        if (!csvUsers[username]) {
+          toRemove.push({ username, oktaUser: { id: entry.oktaUserId }, grantIds: entry.grantIds });
+        }
+      }
+    }
+
+    console.log(`   ✓ CSV contains ${Object.keys(csvUsers).length} user(s)`);
+    console.log('');
+
+    // Removal + addition of the same Okta user (by the correlation rules) or of the same
+    // row content is a rename, not a loss of access
+    const renames = await correlateAdditions(config, toAdd, toRemove, schema);
+    for (const { removal, addition } of renames) {
+      toRemove.splice(toRemove.indexOf(removal), 1);
+      toAdd.splice(toAdd.indexOf(addition), 1);
+      // The rest of the row changed too: update the renamed user afterwards
+      if (stateUsers[removal.username]?.contentHash !== hashRecordContent(addition.record, USERNAME_COLUMNS)) {
+        addition.update = { username: addition.username, record: addition.record, oktaUser: removal.oktaUser, grantIds: removal.grantIds };
+        toUpdate.push(addition.update);
+      }
+    }
+    for (const rename of detectRenames(toAdd, toRemove, stateUsers)) {
+      toRemove.splice(toRemove.indexOf(rename.removal), 1);
+      toAdd.splice(toAdd.indexOf(rename.addition), 1);
+      renames.push(rename);
+    }
+
+    console.log('   📊 Changes detected:');
+    console.log(`     • New users to add: ${toAdd.length}`);
+    console.log(`     • Users to update: ${toUpdate.length}`);
+    console.log(`     • Users renamed: ${renames.length}`);
+    console.log(`     • Users to remove: ${toRemove.length}`);
+    console.log(`     • Unchanged since last sync: ${unchanged}`);
+    console.log('');
+
+    let added = 0, updated = 0, renamed = 0, removed = 0, failed = 0;
+
+    // Apply renames as profile updates on the existing Okta user
+    if (renames.length > 0) {
+      console.log('   ✏️  Applying renames...');
+      for (const { removal, addition, rule } of renames) {
+        const elapsed = startTimer();
+        try {
+          console.log(`     → Renaming ${removal.username} → ${addition.username}${rule ? ' ' + style.dim('(same ' + rule + ')') : ''}...`);
+          await updateUser(config, removal.oktaUser.id, { profile: buildUserProfile(addition.username, addition.record, schema) }, rule ? addition.match.user.profile : undefined);
+
+          forgetSyncedUser(syncState, removal.username);
+          recordSyncedUser(syncState, addition.username, {
+            // A pending update records the row hash once it has been applied
+            hash: addition.update ? null : hashRecord(addition.record),
+            contentHash: hashRecordContent(addition.record, USERNAME_COLUMNS),
+            oktaUserId: removal.oktaUser.id,
+            grantIds: removal.grantIds
+          });
+
+          console.log(`     ✓ ${addition.username} renamed (access kept)`);
+          logEvent('info', { action: 'rename', user: addition.username, previousUser: removal.username, rule, outcome: 'success', durationMs: elapsed() });
+          addReportEntry('usersRenamed', {
+            user: addition.username,
+            previousUser: removal.username,
+            oktaUserId: removal.oktaUser.id,
+            reason: rule ? `Username changed in CSV, same ${rule}` : 'Username changed in CSV, rest of the row unchanged'
+          });
+          renamed++;
+        } catch (error) {
+          if (addition.update) toUpdate.splice(toUpdate.indexOf(addition.update), 1);
+          console.log(`     ✗ Failed to rename ${removal.username}: ${error.message}`);
+          logEvent('error', { action: 'rename', user: addition.username, previousUser: removal.username, outcome: 'failed', durationMs: elapsed(), error: error.message });
+          addReportEntry('failures', { user: removal.username, action: 'rename', error: error.message });
+          failed++;
+        }
+      }
+      console.log('');
+    }
+
+    // Resolve the grants each removal would revoke (IDs from sync state when known,
+    // otherwise look them up) so the safety guards work with real numbers
+    for (const removal of toRemove) {
+      try {
+        removal.grants = removal.grantIds ? removal.grantIds.map(id => ({ id })) : await getUserGrants(config, appId, removal.oktaUser.id);
+      } catch (error) {
+        removal.grants = [];
+        removal.grantLookupError = error;
+      }
+    }
+
+    // Mass-removal guards: a truncated CSV must not strip access from everyone
+    const plannedRevocations = toRemove.reduce((total, removal) => total + removal.grants.length, 0);
+    const trackedGrants = Object.values(syncState.users).reduce((total, entry) => total + (entry.grantIds?.length || 0), 0);
+    const guardReasons = toRemove.length > 0 && !options.allowMassRemoval
+      ? checkRemovalGuards(config, {
+          removals: toRemove.length,
+          assignedUsers: oktaUserCount,
+          revocations: plannedRevocations,
+          // The connector creates one grant per user, so the user count is a floor
+          totalGrants: Math.max(trackedGrants, oktaUserCount)
+        })
+      : [];
+    let blockedRemovals = 0;
+
+    if (guardReasons.length > 0) {
+      blockedRemovals = toRemove.length;
+      console.log(`   ${colors.red}${'═'.repeat(60)}${colors.reset}`);
+      console.log(`   ${style.badge.fail()} ${colors.red}${colors.bold}SAFETY GUARD TRIPPED - ${toRemove.length} removal(s) and ${plannedRevocations} grant revocation(s) NOT applied${colors.reset}`);
+      console.log(`   ${colors.red}${'═'.repeat(60)}${colors.reset}`);
+      for (const reason of guardReasons) {
+        console.log(`     ${style.badge.bullet()} ${style.error(reason)}`);
+      }
+      console.log('');
+      console.log(`   ${style.label('Would have removed:')}`);
+      for (const { username, grants } of toRemove.slice(0, 50)) {
+        console.log(`     ${style.badge.skip()} ${username} ${style.dim('(' + grants.length + ' grant(s))')}`);
+      }
+      if (toRemove.length > 50) {
+        console.log(`     ${style.dim('... and ' + (toRemove.length - 50) + ' more (see the run report)')}`);
+      }
+      console.log('');
+      console.log(`   ${style.badge.warn()} ${style.warning('Additions and updates are still applied. Check the CSV export; if these removals are intended,')}`);
+      console.log(`   ${style.warning('run "sync --allow-mass-removal" once or raise the limits in config.safety.')}`);
+      console.log('');
+
+      logEvent('error', {
+        action: 'safetyGuard',
+        outcome: 'blocked',
+        removals: toRemove.length,
+        revocations: plannedRevocations,
+        reasons: guardReasons
+      });
+      for (const { username, oktaUser, grants } of toRemove) {
+        addReportEntry('removalsBlocked', { user: username, oktaUserId: oktaUser.id, grants: grants.length, reason: guardReasons.join('; ') });
+      }
+    } else if (toRemove.length > 0) {
+      // Process removals first
+      console.log('   🗑️  Removing users no longer in CSV...');
+      for (const { username, oktaUser, grants, grantLookupError } of toRemove) {
+        const elapsed = startTimer();
+        try {
+          console.log(`     → Removing ${username}...`);
+          if (grantLookupError) {
+            throw grantLookupError;
+          }
+
+          // Revoke grants first
+          for (const grant of grants) {
+            try {
+              await revokeGrant(config, grant.id);
+              logEvent('info', { action: 'revokeGrant', user: username, grantId: grant.id, outcome: 'success' });
+            } catch (e) {
+              // Continue even if grant revocation fails
+              logEvent('warn', { action: 'revokeGrant', user: username, grantId: grant.id, outcome: 'failed', error: e.message });
+            }
+          }
+
+          // Unassign from app
+          await unassignUserFromApp(config, appId, oktaUser.id);
+          forgetSyncedUser(syncState, username);
+          console.log(`     ✓ ${username} removed`);
+          logEvent('info', { action: 'remove', user: username, outcome: 'success', durationMs: elapsed() });
+          addReportEntry('usersRemoved', { user: username, oktaUserId: oktaUser.id, grantsRevoked: grants.length, reason: 'No longer in CSV' });
+          removed++;
+        } catch (error) {
+          console.log(`     ✗ Failed to remove ${username}: ${error.message}`);
+          logEvent('error', { action: 'remove', user: username, outcome: 'failed', durationMs: elapsed(), error: error.message });
+          addReportEntry('failures', { user: username, action: 'remove', error: error.message });
+          failed++;
+        }
+      }
+      console.log('');
+    }
+
+    // Process additions
+    if (toAdd.length > 0) {
+      console.log('   ➕ Adding new users from CSV...');
+      for (const { username, record, match, correlationError } of toAdd) {
+        const elapsed = startTimer();
+        let entitlement = [];
+        try {
+          console.log(`     → Adding ${username}...`);
+          if (correlationError) {
+            throw correlationError;
+          }
+
+          // Build user profile
+          const userProfile = buildUserProfile(username, record, schema);
+
+          // Link the Okta user the correlation rules found (renamed if its login differs), or create one
+          let user = match?.user ?? null;
+          const existingUser = Boolean(user);
+          if (user) {
+            const previousLogin = await renameCorrelatedUser(config, match, username, record, schema);
+            if (previousLogin) console.log(`       ✓ Linked to ${previousLogin} ${style.dim('(same ' + match.rule + ')')} and renamed`);
+          } else {
+            const randomPassword = generateSecurePassword();
+            user = await createUser(config, {
+              profile: userProfile,
+              credentials: { password: { value: randomPassword } }
+            });
+          }
+
+          // Build app user profile (exclude identity and entitlement columns)
+          const appUserProfile = buildAppUserProfile(record, schema);
+
+          // Assign to app
+          await assignUserToApp(config, appId, user.id, appUserProfile, existingUser ? undefined : null);
+
+          // Create entitlement grants
+          const grantIds = [];
+          if (resourceId && Object.keys(entitlementsMap).length > 0) {
+            const entitlementsArray = buildUserEntitlements(record, entitlementsMap);
+            if (entitlementsArray.length > 0) {
+              entitlement = describeGrantEntitlements(entitlementsArray, entitlementsMap);
+              const grant = await createEntitlementGrant(config, appId, user.id, entitlementsArray);
+              if (grant?.id) grantIds.push(grant.id);
+            }
+          }
+
+          recordSyncedUser(syncState, username, {
+            hash: hashRecord(record),
+            contentHash: hashRecordContent(record, USERNAME_COLUMNS),
+            oktaUserId: user.id,
+            grantIds
+          });
+
+          console.log(`     ✓ ${username} added with entitlements`);
+          logEvent('info', { action: 'add', user: username, entitlement, outcome: 'success', durationMs: elapsed() });
+          addReportEntry('usersAdded', { user: username, oktaUserId: user.id, entitlement, reason: 'New row in CSV' });
+          added++;
+        } catch (error) {
+          console.log(`     ✗ Failed to add ${username}: ${error.message}`);
+          logEvent('error', { action: 'add', user: username, entitlement, outcome: 'failed', durationMs: elapsed(), error: error.message });
+          addReportEntry('failures', { user: username, action: 'add', error: error.message });
+          failed++;
+        }
+      }
+      console.log('');
+    }
+
+    // Process updates (check for attribute/entitlement changes)
+    if (toUpdate.length > 0) {
+      console.log('   🔄 Checking for updates...');
+      let updatesNeeded = 0;
+      let entitlementsUpdated = 0;
+      let checkedCount = 0;
+
+      for (const { username, record, oktaUser, grantIds } of toUpdate) {
+        const elapsed = startTimer();
+        let entitlement = [];
+        try {
+          // Expected app profile and Okta user profile, as provisioning builds them
+          // (incremental syncs have no app profile; the row hash already showed a change)
+          const appProfile = buildAppUserProfile(record, schema);
+          const currentProfile = oktaUser.profile;
+          const appChanged = !currentProfile || Object.entries(appProfile).some(([field, value]) => currentProfile[field] !== value);
+          const changedFields = currentProfile
+            ? Object.keys(appProfile).filter(field => currentProfile[field] !== appProfile[field])
+            : ['CSV row changed since last sync'];
+          const currentUser = await findUser(config, oktaUser.id);
+          const userProfile = changedUserProfile(record, schema, currentUser?.profile);
+          changedFields.push(...Object.keys(userProfile).filter(field => !changedFields.includes(field)));
+          // The row's entitlements are only known to have changed when the row did
+          const rowChanged = stateUsers[username]?.hash !== hashRecord(record);
+          if (changedFields.length === 0 && rowChanged) changedFields.push('CSV row changed since last sync');
+
+          let currentGrantIds = grantIds;
+
+          // Only make API calls if something actually changed
+          if (changedFields.length > 0) {
+            console.log(`     → Updating ${username} (changed: ${changedFields.slice(0, 3).join(', ')}${changedFields.length > 3 ? '...' : ''})...`);
+            if (appChanged) {
+              await updateAppUserProfile(config, appId, oktaUser.id, appProfile, currentProfile);
+            }
+            if (Object.keys(userProfile).length > 0) {
+              await updateUser(config, oktaUser.id, { profile: userProfile }, currentUser?.profile);
+            }
+
+            // Also update entitlements for this user
+            if (rowChanged && resourceId && Object.keys(entitlementsMap).length > 0) {
+              const expectedEntitlements = buildUserEntitlements(record, entitlementsMap);
+              if (expectedEntitlements.length > 0) {
+                // Revoke existing grants first (IDs from sync state when known)
+                const currentGrants = grantIds ? grantIds.map(id => ({ id })) : await getUserGrants(config, appId, oktaUser.id);
+                for (const grant of currentGrants) {
+                  try {
+                    await revokeGrant(config, grant.id);
+                  } catch (e) {
+                    // Continue
+                  }
+                }
+                // Create new grants
+                entitlement = describeGrantEntitlements(expectedEntitlements, entitlementsMap);
+                const grant = await createEntitlementGrant(config, appId, oktaUser.id, expectedEntitlements);
+                currentGrantIds = grant?.id ? [grant.id] : null;
+                entitlementsUpdated++;
+              }
+            }
+
+            console.log(`     ✓ ${username} updated`);
+            logEvent('info', { action: 'update', user: username, entitlement, changedFields, outcome: 'success', durationMs: elapsed() });
+            addReportEntry('usersUpdated', { user: username, oktaUserId: oktaUser.id, entitlement, reason: `Changed: ${changedFields.join(', ')}` });
+            updatesNeeded++;
+            updated++;
+          }
+
+          recordSyncedUser(syncState, username, {
+            hash: hashRecord(record),
+            contentHash: hashRecordContent(record, USERNAME_COLUMNS),
+            oktaUserId: oktaUser.id,
+            grantIds: currentGrantIds
+          });
+
+          checkedCount++;
+        } catch (error) {
+          console.log(`     ✗ Failed to update ${username}: ${error.message}`);
+          logEvent('error', { action: 'update', user: username, entitlement, outcome: 'failed', durationMs: elapsed(), error: error.message });
+          addReportEntry('failures', { user: username, action: 'update', error: error.message });
+          failed++;
+        }
+      }
+
+      if (updatesNeeded === 0) {
+        console.log(`     ✓ No changes detected (checked ${checkedCount} users)`);
+      } else {
+        console.log(`     ✓ Updated ${updatesNeeded} user(s), ${entitlementsUpdated} entitlement grant(s)`);
+      }
+      console.log('');
+    }
+
+    // Print verbose sync results
+    const syncTime = new Date().toLocaleTimeString();
+    console.log(`   ${colors.cyan}${'─'.repeat(50)}${colors.reset}`);
+    console.log(`   📊 ${style.label('SYNC RESULTS')} ${style.dim('[' + syncTime + ']')}`);
+    console.log(`   ${colors.cyan}${'─'.repeat(50)}${colors.reset}`);
+    console.log(`     Entitlements Created: ${style.count(entitlementsCreated)}`);
+    console.log(`     Users Added:          ${style.count(added)}`);
+    console.log(`     Users Updated:        ${style.count(updated)}`);
+    console.log(`     Users Renamed:        ${style.count(renamed)}`);
+    console.log(`     Users Removed:        ${style.count(removed)}`);
+    if (blockedRemovals > 0) {
+      console.log(`     ${style.error('Removals Blocked:')}     ${style.count(blockedRemovals)} ${style.dim('(safety guard)')}`);
+    }
+    console.log(`     Users Unchanged:      ${style.count(unchanged)}`);
+    if (failed > 0) {
+      console.log(`     ${style.error('Failed:')}               ${style.count(failed)}`);
+    }
+    console.log(`     Total in Okta:        ${style.count(oktaUserCount)} ${style.dim(fullReconcile ? '(from Okta)' : '(from sync state)')}`);
+    console.log(`     Total in CSV:         ${style.count(Object.keys(csvUsers).length)}`);
+    console.log(`   ${colors.cyan}${'─'.repeat(50)}${colors.reset}`);
+    console.log('');
+
+    const result = { added, updated, renamed, removed, blockedRemovals, unchanged, failed, entitlementsCreated };
+    const summary = {
+      ...result,
+      safetyGuard: guardReasons,
+      mode: fullReconcile ? 'full' : 'incremental',
+      totalInOkta: oktaUserCount,
+      totalInCsv: Object.keys(csvUsers).length,
+      durationMs: syncElapsed()
+    };
+    logSummary('syncUsers', summary);
+    addReportSummary('syncUsers', summary);
+
+    // Persist what was applied (a dry run changes nothing, so it must not move the state forward)
+    if (!isDryRun()) {
+      const now = new Date().toISOString();
+      syncState.csvFile = csvFilePath;
+      syncState.lastSyncAt = now;
+      if (fullReconcile) {
+        syncState.lastFullSyncAt = now;
+      }
+      await saveSyncState(config, appId, syncState);
+    }
+
+    // Role Mining in sync mode (if enabled)
+    if (config.roleMining?.syncMode === 'every') {
+      console.log(`   ${style.badge.arrow()} Running role mining analysis...`);
+      try {
+        const { runRoleMining } = await import('./roleMining.js');
+        await runRoleMining(config, appId, resourceId, entitlementsMap, csvFilePath);
+      } catch (error) {
+        console.log(`   ${style.badge.warn()} ${style.warning('Role mining error:')} ${error.message}`);
+      }
+    }
+
+    return result;
+  } catch (error) {
+    console.log(`   ${style.badge.fail()} ${style.error('Sync error:')} ${error.message}`);
+    console.log('');
+    const result = { added: 0, updated: 0, renamed: 0, removed: 0, blockedRemovals: 0, unchanged: 0, failed: 1 };
+    logSummary('syncUsers', { ...result, error: error.message, durationMs: syncElapsed() });
+    addReportEntry('failures', { action: 'syncUsers', error: error.message });
+    return result;
+  }
+}
+
+/**
+ * STEP 3: Find the application in Okta, creating it when allowed
+ * Returns { app, created }; app is null when it does not exist and creation is disabled
+ */
+async function ensureAppStep(config, appName, csvFilePath, { create = true } = {}) {
+  setLogStep('application');
+  console.log(`🔧 ${style.step('STEP 3: Application Processing')}`);
+  console.log(`   ${style.badge.arrow()} CSV File: ${style.name(csvFilePath)}`);
+  console.log(`   ${style.badge.arrow()} Application Name: ${style.name('"' + appName + '"')}`);
+  console.log('');
+
+  // Check if app exists
+  console.log(`   ${style.badge.arrow()} Querying Okta API to check if application exists...`);
+  console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('GET /api/v1/apps?q=' + encodeURIComponent(appName))}`);
+  const existingApp = await findAppByName(config, appName);
+
+  if (existingApp) {
+    console.log(`   ${style.badge.ok()} ${style.success('Application found in Okta!')}`);
+    console.log('');
+    console.log(`   📊 ${style.label('Application Details:')}`);
+    console.log(`     ${style.badge.bullet()} App ID: ${style.id(existingApp.id)}`);
+    console.log(`     ${style.badge.bullet()} Status: ${style.value(existingApp.status)}`);
+    console.log(`     ${style.badge.bullet()} Sign-On Mode: ${style.attr(existingApp.signOnMode)}`);
+    console.log('');
+    if (create) {
+      console.log(`   ${style.badge.arrow()} Skipping application creation ${style.dim('(already exists)')}`);
+      console.log('');
+    }
+    setReportContext({ app: { id: existingApp.id, label: existingApp.label, created: false } });
+    return { app: existingApp, created: false };
+  }
+
+  if (!create) {
+    console.log(`   ${style.info('ℹ')} Application does not exist in Okta`);
+    console.log('');
+    return { app: null, created: false };
+  }
+
+  console.log(`   ${style.info('ℹ')} Application does not exist in Okta`);
+  console.log(`   ${style.badge.arrow()} Preparing SAML 2.0 application definition...`);
+  console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('POST /api/v1/apps')}`);
+  console.log('');
+  const newApp = await createSamlApp(config, appName);
+  console.log(`   ${style.badge.ok()} ${style.success('Application created successfully!')}`);
+  console.log('');
+  console.log(`   📊 ${style.label('New Application Details:')}`);
+  console.log(`     ${style.badge.bullet()} App ID: ${style.id(newApp.id)}`);
+  console.log(`     ${style.badge.bullet()} Name: ${style.name(newApp.label)}`);
+  console.log(`     ${style.badge.bullet()} Status: ${style.value(newApp.status)}`);
+  console.log(`     ${style.badge.bullet()} Sign-On Mode: ${style.attr(newApp.signOnMode)}`);
+  console.log('');
+  console.log(`   💡 ${style.warning('NOTE:')} SAML settings use placeholder values.`);
+  console.log(`   ${style.dim('Update SSO URLs and audience in Okta Admin Console.')}`);
+  console.log('');
+  setReportContext({ app: { id: newApp.id, label: newApp.label, created: true } });
+  return { app: newApp, created: true };
+}
+
+/**
+ * Find an existing application or fail with a pointer to the provisioning commands
+ */
+async function requireApp(config, appName, csvFilePath) {
+  const { app } = await ensureAppStep(config, appName, csvFilePath, { create: false });
+  if (!app) {
+    throw new Error(`Application "${appName}" not found in Okta. Run the "init" or "provision" command first.`);
+  }
+  return app;
+}
+
+/**
+ * STEP 4: Register app with governance and enable entitlement management
+ * With register disabled, only looks up an existing governance resource
+ * Returns { resourceId, registered }; resourceId is null when governance is unavailable
+ */
+async function ensureGovernanceStep(config, app, { register = true } = {}) {
+  setLogStep('governance');
+  console.log(`🔐 ${style.step('STEP 4: Entitlement Management Configuration')}`);
+  let governanceResourceId = null;
+  let registered = false;
+
+  // First check if resource already exists
+  console.log(`   ${style.badge.arrow()} Checking if app is registered in Governance...`);
+  console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('GET /governance/api/v1/resources?filter=source.id eq "' + app.id + '"')}`);
+  governanceResourceId = await getGovernanceResourceId(config, app.id);
+
+  if (governanceResourceId) {
+    console.log(`   ${style.badge.ok()} App already registered in Governance: ${style.id(governanceResourceId)}`);
+  } else if (!register) {
+    console.log(`   ${style.badge.warn()} ${style.warning('App is not registered in Governance')} ${style.dim('(run "init" or "provision" to register it)')}`);
+  } else {
+    // Try to opt-in the app to governance / enable entitlement management
+    console.log(`   ${style.badge.arrow()} App not registered in Governance, enabling entitlement management...`);
+    try {
+      const resource = await registerGovernanceResource(config, app.id, app.label);
+      governanceResourceId = resource.id;
+      registered = true;
+      console.log(`   ${style.badge.ok()} Governance resource ID: ${style.id(governanceResourceId)}`);
+    } catch (error) {
+      console.log(`   ${style.badge.warn()} ${style.warning('Could not enable entitlement management:')} ${error.message}`);
+      console.log(`   ${style.badge.arrow()} ${style.dim('This feature requires Okta Identity Governance (OIG) license')}`);
+      console.log(`   ${style.badge.arrow()} ${style.dim('Entitlements may need to be enabled manually in Admin Console')}`);
+      console.log('');
+    }
+  }
+
+  // Enable entitlement management if we have a resource ID
+  if (governanceResourceId && register) {
+    console.log(`   ${style.badge.arrow()} Enabling entitlement management...`);
+    console.log(`   ${style.badge.arrow()} ${style.dim('API Call:')} ${style.dim('PUT /governance/api/v1/resources/' + governanceResourceId + '/entitlement-management')}`);
+    try {
+      await enableEntitlementManagement(config, governanceResourceId);
+      console.log(`   ${style.badge.ok()} ${style.success('Entitlement management enabled successfully')}`);
+      console.log(`   ${style.badge.arrow()} App is now ready for entitlement creation`);
+    } catch (error) {
+      console.log(`   ${style.badge.warn()} ${style.warning('Could not enable entitlement management:')} ${error.message}`);
+      console.log(`   ${style.badge.arrow()} ${style.dim('Entitlement management may already be enabled')}`);
+    }
+  }
+  console.log('');
+
+  setReportContext({ governanceResource: governanceResourceId ? { id: governanceResourceId, registered } : null });
+  return { resourceId: governanceResourceId, registered };
+}
+
+/**
+ * STEPS 5-6: Create custom attributes from CSV columns and map them to the Okta user profile
+ */
+async function customAttributeStep(config, appId, csvFilePath) {
+  setLogStep('custom-attributes');
+  console.log(`🏷️  ${style.step('STEP 5: Custom Attribute Management')}`);
+  console.log(`   ${style.badge.arrow()} Reading CSV column headers...`);
+  console.log(`   ${style.badge.arrow()} Filtering out entitlement, identity and profile-only columns...`);
+  const attributes = await processCustomAttributes(config, appId, csvFilePath);
+
+  // Process attribute mappings to Okta user profile
+  if (attributes && attributes.length > 0) {
+    const schema = getColumnSchema(await loadDataset(config, csvFilePath));
+    const profileTargets = {};
+    for (const [column, attribute] of Object.entries(schema.attributes)) {
+      if (schema.profile[column]) profileTargets[attribute] = schema.profile[column];
+    }
+    await processAttributeMappings(config, appId, attributes, profileTargets);
+  }
+  return attributes || [];
+}
+
+// Dataset and run the validation report was last printed for (once per run is enough)
+let lastValidation = null;
+
+/**
+ * Pre-flight: validate the CSV before any Okta call
+ * Invalid rows are quarantined (left out of the run and written to the quarantine CSV);
+ * in strict mode any error aborts instead
+ */
+async function validateCsvStep(config, csvFilePath) {
+  const dataset = await loadDataset(config, csvFilePath);
+  const runId = getJournalRunId();
+  if (lastValidation?.dataset === dataset && lastValidation.runId === runId) {
+    return dataset;
+  }
+  lastValidation = { dataset, runId };
+
+  const { records, quarantined, headerErrors, warnings, warningCount, dialect } = dataset;
+  const errorCount = quarantined.length + headerErrors.length;
+  const strict = isStrictValidation(config);
+
+  setLogStep('validation');
+  console.log(`🔎 ${style.step('PRE-FLIGHT: CSV Validation')}${strict ? ' ' + style.dim('(strict)') : ''}`);
+  console.log(`   ${style.badge.arrow()} Input: ${style.value(describeInput(dataset))}`);
+  for (const detection of dialect.detected) {
+    console.log(`     ${style.badge.bullet()} ${style.dim('detected')} ${detection}`);
+  }
+  if (dataset.manifest) {
+    const renamed = Object.keys(dataset.sourceNames).length;
+    console.log(`   ${style.badge.arrow()} Column manifest: ${style.name(dataset.manifest.source)} ${style.dim('(' + Object.keys(dataset.manifest.declared).length + ' attribute/profile column(s), ' + renamed + ' renamed, unmapped columns: ' + dataset.manifest.unmapped + ')')}`);
+    for (const [column, expression] of Object.entries(dataset.manifest.computed)) {
+      console.log(`     ${style.badge.bullet()} ${style.attr(column)} = ${style.dim(expression)}`);
+    }
+  }
+  if (dataset.grants) {
+    const { grants } = dataset;
+    console.log(`   ${style.badge.arrow()} Grants file: ${style.name(grants.file)} ${style.dim('(' + grants.rows + ' row(s): ' + grants.active + ' active, ' + grants.inactive + ' outside their start/end dates)')}`);
+    if (grants.unknownUsers.length > 0) {
+      const shown = grants.unknownUsers.slice(0, 5).join(', ') + (grants.unknownUsers.length > 5 ? ', ...' : '');
+      console.log(`   ${style.badge.warn()} ${style.warning(grants.unknownUsers.length + ' grants file user(s) not in the accounts file, their grants are ignored')} ${style.dim('(' + shown + ')')}`);
+    }
+  }
+  // Entitlement columns with their own value policy (delimiter, quoting, case)
+  const entitlementValues = {};
+  for (const column of dataset.columns.filter(col => col.startsWith('ent_'))) {
+    const policy = getEntitlementPolicy(config, column);
+    if (!isDefaultPolicy(policy)) {
+      entitlementValues[column] = describeEntitlementPolicy(policy);
+      console.log(`     ${style.badge.bullet()} ${style.attr(column)} values: ${entitlementValues[column]}`);
+    }
+  }
+  logEvent('info', { action: 'input', format: dataset.format, input: describeInput(dataset), detected: dialect.detected, manifest: dataset.manifest?.source ?? null, entitlementValues });
+  if (dataset.delta) {
+    console.log(`   ${style.badge.ok()} Delta file ${style.dim('(action column "' + dataset.delta.actionColumn + '")')}: ${style.count(dataset.changes.length)} valid change(s) ${style.dim('(' + describeDeltaChanges(dataset.changes) + ')')}`);
+  } else {
+    console.log(`   ${style.badge.ok()} ${style.count(records.length)} valid row(s)`);
+  }
+
+  for (const reason of headerErrors) {
+    console.log(`   ${style.badge.fail()} ${style.error(reason)}`);
+    logEvent('error', { action: 'validate', outcome: 'headerError', error: reason });
+    addReportEntry('validationErrors', { line: 1, reason });
+  }
+
+  const quarantineFile = await writeQuarantineFile(config, csvFilePath, dataset);
+  if (quarantined.length > 0) {
+    console.log(`   ${style.badge.fail()} ${style.error(quarantined.length + ' row(s) quarantined')} ${style.dim('→ ' + quarantineFile)}`);
+    for (const { line, username, reasons } of quarantined.slice(0, 20)) {
+      console.log(`     ${style.badge.bullet()} line ${line}${username ? ' ' + style.name(username) : ''}: ${reasons.join('; ')}`);
+    }
+    if (quarantined.length > 20) {
+      console.log(`     ${style.dim('... and ' + (quarantined.length - 20) + ' more (see ' + quarantineFile + ')')}`);
+    }
+    for (const { line, username, reasons } of quarantined) {
+      logEvent('warn', { action: 'validate', outcome: 'quarantined', line, user: username, error: reasons.join('; ') });
+      addReportEntry('validationErrors', { line, user: username, reason: reasons.join('; ') });
+    }
+  }
+
+  if (warningCount > 0) {
+    console.log(`   ${style.badge.warn()} ${style.warning(warningCount + ' value(s) normalized')} ${style.dim('(whitespace, case duplicates)')}`);
+    for (const { line, column, reason } of warnings.slice(0, 5)) {
+      console.log(`     ${style.badge.bullet()} line ${line} ${style.attr(column)}: ${reason}`);
+    }
+    if (warningCount > 5) {
+      console.log(`     ${style.dim('... and ' + (warningCount - 5) + ' more (see the run report)')}`);
+    }
+    for (const warning of warnings) {
+      addReportEntry('validationWarnings', warning);
+    }
+  }
+  console.log('');
+
+  addReportSummary('validation', { format: dataset.format, input: describeInput(dataset), detected: dialect.detected, manifest: dataset.manifest?.source ?? null, entitlementValues, grants: dataset.grants, delta: dataset.delta, validRows: dataset.changes ? dataset.changes.length : records.length, quarantined: quarantined.length, headerErrors: headerErrors.length, warnings: warningCount, quarantineFile });
+
+  if (strict && errorCount > 0) {
+    throw new Error(`CSV validation failed in strict mode: ${errorCount} error(s)${quarantineFile ? ' (rows listed in ' + quarantineFile + ')' : ''}`);
+  }
+  return dataset;
+}
+
+/**
+ * INBOX: list what the drop folder holds and archive superseded files
+ * @returns {Object} - { ready, superseded, waiting } from scanInbox
+ */
+async function inboxScanStep(settings) {
+  setLogStep('inbox');
+  console.log(`📥 ${style.step('INBOX: Drop Folder')} ${style.dim('(' + settings.dir + ')')}`);
+  const scan = await scanInbox(settings);
+
+  for (const candidate of scan.ready) {
+    console.log(`   ${style.badge.ok()} ${style.name(candidate.fileName)} ${style.dim('→ ' + candidate.app)}`);
+  }
+  for (const candidate of scan.superseded) {
+    const archived = isDryRun() ? null : await archiveInboxFile(settings, candidate);
+    console.log(`   ${style.badge.skip()} ${style.name(candidate.fileName)} ${style.dim('superseded by a newer file' + (archived ? ', archived' : ''))}`);
+    logEvent('info', { action: 'inbox', file: candidate.fileName, outcome: 'superseded' });
+  }
+  for (const candidate of scan.waiting) {
+    const reason = settings.readyMarker ? `waiting for ${candidate.fileName}${settings.readyMarker}` : 'still being written';
+    console.log(`   ${style.badge.bullet()} ${style.name(candidate.fileName)} ${style.dim(reason)}`);
+  }
+  if (scan.ready.length === 0) {
+    console.log(`   ${style.badge.arrow()} No complete files to process`);
+  }
+  console.log('');
+  return scan;
+}
+
+/**
+ * Start a run: journal every Okta write under a new run ID and collect its audit report
+ * Dry runs write nothing, so they get neither (the plan covers them)
+ * Reports can be disabled with "reports": { "enabled": false }; the journal cannot
+ */
+function beginRun(config, kind, metadata, csvFilePath) {
+  if (isDryRun()) {
+    return null;
+  }
+  const runId = createRunId(kind);
+  startJournalRun(config, runId);
+  if (config.reports?.enabled !== false) {
+    startReport(kind, { runId, ...metadata, csvFile: csvFilePath }, config);
+  }
+  return runId;
+}
+
+/**
+ * Finish the active run: write its audit report and say how to undo it
+ * @returns {Object|null} - { runId, changes, report: { jsonPath, htmlPath } }, or null outside a run
+ */
+async function endRun() {
+  const run = endJournalRun();
+  const paths = await finishReport();
+  if (paths) {
+    console.log(`📄 Run report written: ${style.name(paths.htmlPath)} ${style.dim('(' + paths.jsonPath + ')')}`);
+  }
+  if (run && run.entries > 0) {
+    console.log(`🧾 ${style.count(run.entries)} change(s) journaled as run ${style.id(run.runId)} ${style.dim('(undo with: node index.js rollback ' + run.runId + ')')}`);
+  }
+  if (paths || run?.entries > 0) {
+    console.log('');
+  }
+  return run ? { runId: run.runId, changes: run.entries, report: paths } : null;
+}
+
+function requireCsvFile(options) {
+  if (!options.csvFile) {
+    throw new Error('csvFile is required');
+  }
+  // "Book.xlsx#Sheet" needs the workbook; the sheet is checked when it is read
+  if (!fs.existsSync(parseInputReference(options.csvFile).file)) {
+    throw new Error(`CSV file not found: ${options.csvFile}`);
+  }
+  return options.csvFile;
+}
+
+// Name of the operation the current async context runs in (nested calls are allowed)
+const operationContext = new AsyncLocalStorage();
+let activeOperation = null;
+
+/**
+ * Create a connector bound to one Okta configuration
+ *
+ * Operations take explicit options and return structured results. Their console
+ * output is silent unless logging is configured. The Okta writes of each operation
+ * are journaled and reported as one run (returned as `run`); wrap several operations
+ * in withRun() to record them as a single run instead.
+ *
+ * Dry runs, reports and the journal are process-wide, so one operation runs at a
+ * time per process; a concurrent call is rejected rather than mixed into the other.
+ *
+ * @param {Object} config - Okta configuration, same shape as config.json
+ * @param {Object} options - { logging: { level, format, write } (default silent), or 'inherit' for the process-wide logger }
+ * @returns {Object} - The connector operations
+ */
+export function createConnector(config, options = {}) {
+  if (!config?.oktaDomain) {
+    throw new Error('config.oktaDomain is required');
+  }
+  if (!config.apiToken && !config.clientId) {
+    throw new Error('config needs an apiToken or an OAuth clientId');
+  }
+  const logging = options.logging ?? {};
+
+  // Logging scope, one-at-a-time guard and optional dry run around every operation
+  const operation = (name, callOptions, fn) => {
+    const execute = async () => {
+      if (operationContext.getStore()) {
+        return fn();
+      }
+      if (activeOperation) {
+        throw new Error(`Cannot start "${name}" while "${activeOperation}" is running`);
+      }
+
+      activeOperation = name;
+      const ownDryRun = Boolean(callOptions.dryRun) && !isDryRun();
+      if (ownDryRun) startDryRun();
+      let result;
+      let plannedChanges;
+      try {
+        result = await operationContext.run(name, fn);
+      } finally {
+        if (ownDryRun) plannedChanges = stopDryRun();
+        activeOperation = null;
+      }
+      return ownDryRun ? { ...result, plannedChanges } : result;
+    };
+    return logging === 'inherit' ? execute() : runWithLogSettings(logging, execute);
+  };
+
+  // Journal and report fn's writes as one run, unless a run is already active
+  const recorded = async (kind, metadata, csvFilePath, fn) => {
+    if (getJournalRunId()) {
+      return { result: await fn(), run: null };
+    }
+    beginRun(config, kind, metadata, csvFilePath);
+    try {
+      const result = await fn();
+      return { result, run: await endRun() };
+    } catch (error) {
+      // An aborted run still leaves evidence of what it changed before failing
+      addReportEntry('failures', { action: metadata.command, error: error.message });
+      await endRun();
+      throw error;
+    }
+  };
+
+  // App, governance resource and entitlements for operations on an existing app;
+  // values already known from an earlier result are reused instead of looked up
+  const resolveTarget = async (opts) => {
+    const csvFile = requireCsvFile(opts);
+    await validateCsvStep(config, csvFile);
+    const app = opts.app || await requireApp(config, opts.appName || appNameFor(config, csvFile), csvFile);
+    const resourceId = opts.resourceId !== undefined
+      ? opts.resourceId
+      : (await ensureGovernanceStep(config, app, { register: false })).resourceId;
+    const entitlements = opts.entitlements || await processEntitlements(config, app.id, csvFile, resourceId) || {};
+    return { csvFile, app, resourceId, entitlements };
+  };
+
+  return {
+    /**
+     * Find or create the application, register it with governance and create
+     * custom attributes for the CSV's profile columns
+     * @param {Object} opts - { csvFile, appName (default: manifest app, workbook sheet or CSV filename), dryRun }
+     * @returns {Object} - { app, created, resourceId, governanceRegistered, attributes, run }
+     */
+    ensureApp: (opts = {}) => operation('ensureApp', opts, async () => {
+      const csvFile = requireCsvFile(opts);
+      const appName = opts.appName || appNameFor(config, csvFile);
+      const { result, run } = await recorded('initial', { command: 'ensureApp' }, csvFile, async () => {
+        await validateCsvStep(config, csvFile);
+        const { app, created } = await ensureAppStep(config, appName, csvFile);
+        const governance = await ensureGovernanceStep(config, app);
+        const attributes = await customAttributeStep(config, app.id, csvFile);
+        return { app, created, resourceId: governance.resourceId, governanceRegistered: governance.registered, attributes };
+      });
+      return { ...result, run };
+    }),
+
+    /**
+     * Create the entitlements and values found in the CSV's ent_ columns
+     * @param {Object} opts - { csvFile, appName or app, resourceId, dryRun }
+     * @returns {Object} - { app, resourceId, entitlements, run } (entitlements by attribute name)
+     */
+    ensureEntitlements: (opts = {}) => operation('ensureEntitlements', opts, async () => {
+      const { result, run } = await recorded('initial', { command: 'ensureEntitlements' }, opts.csvFile, async () => {
+        const { app, resourceId, entitlements } = await resolveTarget({ ...opts, entitlements: undefined });
+        return { app, resourceId, entitlements };
+      });
+      return { ...result, run };
+    }),
+
+    /**
+     * Create or update every CSV user, assign them to the app and grant their entitlements
+     * @param {Object} opts - { csvFile, appName or app, resourceId, entitlements, dryRun }
+     * @returns {Object} - { totalUsers, created, updated, assigned, grantsCreated, failed, durationMs, run }
+     */
+    provisionUsers: (opts = {}) => operation('provisionUsers', opts, async () => {
+      const { result, run } = await recorded('initial', { command: 'provisionUsers' }, opts.csvFile, async () => {
+        const target = await resolveTarget(opts);
+        return processUsers(config, target.app.id, target.csvFile, target.resourceId, target.entitlements);
+      });
+      return { ...result, run };
+    }),
+
+    /**
+     * Reconcile the app's users and grants with the CSV
+     * @param {Object} opts - { csvFile, appName or app, resourceId, entitlements, full, allowMassRemoval, trigger, dryRun }
+     * @returns {Object} - { added, updated, renamed, removed, blockedRemovals, unchanged, failed, entitlementsCreated, run }
+     */
+    sync: (opts = {}) => operation('sync', opts, async () => {
+      const { result, run } = await recorded('sync', { command: 'sync', trigger: opts.trigger }, opts.csvFile, async () => {
+        const target = await resolveTarget(opts);
+        return syncUsers(config, target.app.id, target.csvFile, target.resourceId, target.entitlements, {
+          full: opts.full,
+          allowMassRemoval: opts.allowMassRemoval
+        });
+      });
+      return { ...result, run };
+    }),
+
+    /**
+     * Process the drop folder (see inbox.js): set up and sync the app of the newest
+     * complete file per application, then archive the file, or move it to the failed
+     * directory with an error sidecar. A dry run leaves every file where it is.
+     * @param {Object} opts - { dir (default inbox.dir), full, allowMassRemoval, dryRun }
+     * @returns {Object} - { processed: [{ file, app, status, error, movedTo, result }], superseded, waiting, pruned }
+     */
+    processInbox: (opts = {}) => operation('processInbox', opts, async () => {
+      const settings = getInboxSettings(config, opts.dir);
+      const scan = await inboxScanStep(settings);
+
+      const processed = [];
+      for (const candidate of scan.ready) {
+        const appName = appNameFor(config, path.join(settings.dir, candidate.app));
+        const entry = { file: candidate.fileName, app: appName, status: null, error: null, movedTo: null, result: null };
+        try {
+          const { result, run } = await recorded('sync', { command: 'inbox', trigger: candidate.fileName }, candidate.file, async () => {
+            await validateCsvStep(config, candidate.file);
+            const { app } = await ensureAppStep(config, appName, candidate.file);
+            const { resourceId } = await ensureGovernanceStep(config, app);
+            await customAttributeStep(config, app.id, candidate.file);
+            const entitlements = await processEntitlements(config, app.id, candidate.file, resourceId) || {};
+            return syncUsers(config, app.id, candidate.file, resourceId, entitlements, {
+              full: opts.full,
+              allowMassRemoval: opts.allowMassRemoval
+            });
+          });
+          entry.result = { ...result, run };
+          if (result.failed > 0 || result.blockedRemovals > 0) {
+            entry.error = [
+              result.failed > 0 ? `${result.failed} user(s) failed` : null,
+              result.blockedRemovals > 0 ? `${result.blockedRemovals} removal(s) blocked by the safety guards` : null
+            ].filter(Boolean).join(', ');
+          }
+        } catch (error) {
+          entry.error = error.message;
+        }
+
+        entry.status = entry.error ? 'failed' : 'archived';
+        if (!isDryRun()) {
+          entry.movedTo = entry.error
+            ? await failInboxFile(settings, candidate, { app: appName, error: entry.error, runId: entry.result?.run?.runId ?? null, result: entry.result })
+            : await archiveInboxFile(settings, candidate);
+        }
+        if (entry.error) {
+          console.log(`   ${style.badge.fail()} ${style.error('Inbox file failed:')} ${style.name(candidate.fileName)} - ${entry.error}${entry.movedTo ? ' ' + style.dim('→ ' + entry.movedTo) : ''}`);
+        } else {
+          console.log(`   ${style.badge.ok()} Inbox file processed: ${style.name(candidate.fileName)}${entry.movedTo ? ' ' + style.dim('→ ' + entry.movedTo) : ''}`);
+        }
+        console.log('');
+        logEvent(entry.error ? 'error' : 'info', { action: 'inbox', file: candidate.fileName, app: appName, outcome: entry.status, error: entry.error ?? undefined });
+        processed.push(entry);
+      }
+
+      const pruned = isDryRun() ? 0 : await pruneInboxHistory(settings);
+      if (pruned > 0) {
+        console.log(`   ${style.badge.arrow()} Deleted ${style.count(pruned)} archived/failed file(s) older than ${settings.historyDays} day(s)`);
+        console.log('');
+      }
+      return {
+        processed,
+        superseded: scan.superseded.map(candidate => candidate.fileName),
+        waiting: scan.waiting.map(candidate => candidate.fileName),
+        pruned
+      };
+    }),
+
+    /**
+     * Find common entitlement combinations and create bundles for them (config.roleMining)
+     * @param {Object} opts - { csvFile, appName or app, resourceId, entitlements, dryRun }
+     * @returns {Object} - { bundlesCreated, usersCovered, coveragePercentage, totalCandidates, run }
+     */
+    mineRoles: (opts = {}) => operation('mineRoles', opts, async () => {
+      const { result, run } = await recorded('mine', { command: 'mineRoles' }, opts.csvFile, async () => {
+        const target = await resolveTarget(opts);
+        const { runRoleMining } = await import('./roleMining.js');
+        return runRoleMining(config, target.app.id, target.resourceId, target.entitlements, target.csvFile);
+      });
+      return { ...result, run };
+    }),
+
+    /**
+     * Read-only overview of the CSV and the app's state in Okta
+     * @param {Object} opts - { csvFile, appName }
+     * @returns {Object} - { csvFile, rows, quarantinedRows, dialect, entitlementColumns, appName, app, resourceId, entitlements, assignedUsers }
+     */
+    status: (opts = {}) => operation('status', opts, async () => {
+      const csvFile = requireCsvFile(opts);
+      const appName = opts.appName || appNameFor(config, csvFile);
+      const dataset = await loadDataset(config, csvFile);
+      const status = {
+        csvFile,
+        rows: dataset.records.length,
+        quarantinedRows: dataset.quarantined.length,
+        dialect: describeInput(dataset),
+        entitlementColumns: Object.keys(dataset.catalog).length,
+        appName,
+        app: null,
+        resourceId: null,
+        entitlements: null,
+        assignedUsers: null
+      };
+
+      const { app } = await ensureAppStep(config, appName, csvFile, { create: false });
+      if (!app) return status;
+      status.app = { id: app.id, label: app.label, status: app.status };
+
+      status.resourceId = await getGovernanceResourceId(config, app.id);
+      if (status.resourceId) {
+        try {
+          const entitlements = await getAppEntitlements(config, status.resourceId, app.id);
+          status.entitlements = {
+            count: entitlements.length,
+            values: entitlements.reduce((sum, ent) => sum + (ent.values?.length || 0), 0)
+          };
+        } catch (error) {
+          status.entitlements = { error: error.message };
+        }
+      }
+
+      status.assignedUsers = (await getAppUsers(config, app.id)).length;
+      return status;
+    }),
+
+    /**
+     * Runs recorded in the journal, newest first: [{ runId, entries, firstAt, lastAt }]
+     */
+    listRuns: async () => listJournalRuns(await readJournal(config)),
+
+    /**
+     * Undo a run's journaled writes in reverse order, then clear the sync state of
+     * the affected apps so the next sync reconciles fully
+     * @param {Object} opts - { runId, onResult({ entry, status, steps, error }), dryRun }
+     * @returns {Object} - { rollbackRunId, entries, undone, skipped, failed, appIds, syncStateCleared }
+     */
+    rollback: (opts = {}) => operation('rollback', opts, async () => {
+      if (!opts.runId) {
+        throw new Error('runId is required');
+      }
+      const onResult = opts.onResult || (() => {});
+      const result = await rollbackRun(config, opts.runId, (outcome) => {
+        const { entry, status, error } = outcome;
+        logEvent(status === 'failed' ? 'error' : 'info', { action: `undo:${entry.action}`, user: entry.login || entry.userId, outcome: status, error: error?.message });
+        onResult(outcome);
+      });
+
+      // Okta no longer matches what the sync state says was applied
+      result.syncStateCleared = !isDryRun() && result.appIds.length > 0;
+      if (result.syncStateCleared) {
+        for (const appId of result.appIds) {
+          await clearSyncState(config, appId);
+        }
+      }
+      return result;
+    }),
+
+    /**
+     * Record every write made by fn (usually several operations) as one run
+     * @param {string} kind - Run kind used in the run ID, e.g. "initial"
+     * @param {Object} metadata - Report fields such as { command, csvFile }
+     * @param {Function} fn - async () => result
+     * @returns {Object} - { result, run }
+     */
+    withRun: (kind, metadata, fn) => operation('withRun', {}, () =>
+      recorded(kind, metadata, metadata.csvFile, fn)
+    )
+  };
+}
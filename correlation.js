@@ -0,0 +1,52 @@
+/**
+ * Correlation: which Okta user an input row stands for
+ *
+ * By default a row is the Okta user whose login is the row's username, so a changed
+ * email address looks like one user leaving and another arriving, and their access is
+ * revoked and granted again. correlation.rules names Okta profile attributes to match
+ * on instead, most stable first:
+ *
+ *   "correlation": { "rules": ["employeeNumber", "email", "login"] }
+ *
+ * A row is matched by the first rule that it has a value for (the value the row sets for
+ * that profile attribute, so login and email fall back to the username) and that finds
+ * an Okta user. login is looked up directly, other attributes through the users search;
+ * a rule that finds more than one user fails the row rather than guessing. When the
+ * matched user's login differs from the row's username, the user was renamed: the
+ * profile is updated and the user keeps their assignment and grants.
+ *
+ *   correlation.rules  - profile attributes to match rows on, in order (default ["login"])
+ */
+
+const DEFAULT_RULES = ['login'];
+const ATTRIBUTE_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Correlation rules in the order they are tried
+ */
+export function getCorrelationRules(config) {
+  const rules = config.correlation?.rules ?? DEFAULT_RULES;
+  if (!Array.isArray(rules) || rules.length === 0 || !rules.every(rule => typeof rule === 'string' && ATTRIBUTE_PATTERN.test(rule))) {
+    throw new Error(`correlation.rules must be a list of Okta profile attributes, e.g. ["employeeNumber", "email", "login"] (got ${JSON.stringify(rules)})`);
+  }
+  return rules;
+}
+
+/**
+ * The keys a row is correlated on, in rule order
+ * @param {Object} profile - The Okta user profile built from the row
+ * @returns {Array} - [{ attribute, value }] for each rule the row has a value for
+ */
+export function correlationKeys(rules, profile) {
+  return rules
+    .map(attribute => ({ attribute, value: profile[attribute] }))
+    .filter(({ value }) => value !== undefined && value !== null && String(value).trim() !== '');
+}
+
+/**
+ * Users search expression for one correlation key
+ */
+export function searchExpression({ attribute, value }) {
+  const quoted = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  return `profile.${attribute} eq "${quoted}"`;
+}
@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * CSV dialect: how a file is encoded and split into fields
+ *
+ * Settings come from config.csv, overridden per file by config.csv.files[<file name>]:
+ *
+ *   delimiter  - field separator, or "auto" (default): the most consistent of , ; tab |
+ *   quote      - quote character (default "), false to disable quoting
+ *   escape     - escape character inside quotes (default ")
+ *   encoding   - any WHATWG encoding name, or "auto" (default): BOM, UTF-16 byte
+ *                pattern, valid UTF-8, else windows-1252
+ *   bom        - strip a byte order mark (default true)
+ *   headerRow  - line number of the header (default 1; lines above it are skipped)
+ *   comment    - lines starting with this character are skipped (default none)
+ *
+ * Auto-detection samples the start of the file and records what it decided in
+ * dialect.detected so the validation step can report it.
+ */
+
+const SAMPLE_BYTES = 64 * 1024;
+const SAMPLE_LINES = 10;
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+const DEFAULTS = {
+  delimiter: 'auto',
+  quote: '"',
+  escape: '"',
+  encoding: 'auto',
+  bom: true,
+  headerRow: 1,
+  comment: null
+};
+
+/**
+ * Dialect settings for a file: config.csv merged with its config.csv.files entry
+ */
+export function getCsvSettings(config, csvFilePath) {
+  const { files = {}, ...settings } = config.csv || {};
+  const explicit = { ...settings, ...files[path.basename(csvFilePath)] };
+  const merged = { ...DEFAULTS, ...explicit, headerRowSet: explicit.headerRow !== undefined };
+
+  if (merged.encoding !== 'auto') {
+    try {
+      new TextDecoder(merged.encoding);
+    } catch {
+      throw new Error(`csv.encoding "${merged.encoding}" is not a supported encoding`);
+    }
+  }
+  if (typeof merged.delimiter !== 'string' || merged.delimiter === '') {
+    throw new Error('csv.delimiter must be a non-empty string or "auto"');
+  }
+  if (!Number.isInteger(merged.headerRow) || merged.headerRow < 1) {
+    throw new Error(`csv.headerRow must be a line number of 1 or more (got ${merged.headerRow})`);
+  }
+  return merged;
+}
+
+async function readSample(csvFilePath) {
+  const handle = await fs.promises.open(csvFilePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function detectEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return { encoding: 'utf-8', reason: 'UTF-8 byte order mark' };
+  }
+  if (sample[0] === 0xff && sample[1] === 0xfe) {
+    return { encoding: 'utf-16le', reason: 'UTF-16 little-endian byte order mark' };
+  }
+  if (sample[0] === 0xfe && sample[1] === 0xff) {
+    return { encoding: 'utf-16be', reason: 'UTF-16 big-endian byte order mark' };
+  }
+
+  // ASCII text in UTF-16 without a BOM has a zero byte in every other position
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < Math.min(sample.length, 1024); i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const pairs = Math.min(sample.length, 1024) / 2;
+  if (pairs > 0 && oddZeros > pairs * 0.4 && evenZeros < pairs * 0.1) {
+    return { encoding: 'utf-16le', reason: 'UTF-16 little-endian byte pattern' };
+  }
+  if (pairs > 0 && evenZeros > pairs * 0.4 && oddZeros < pairs * 0.1) {
+    return { encoding: 'utf-16be', reason: 'UTF-16 big-endian byte pattern' };
+  }
+
+  try {
+    // stream: true so a character cut off at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { encoding: 'utf-8', reason: 'valid UTF-8' };
+  } catch {
+    return { encoding: 'windows-1252', reason: 'not valid UTF-8' };
+  }
+}
+
+// Occurrences of a delimiter outside quoted sections of one line
+function countDelimiter(line, delimiter, quote) {
+  let count = 0;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (quote && line[i] === quote) {
+      quoted = !quoted;
+    } else if (!quoted && line.startsWith(delimiter, i)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+function detectDelimiter(lines, quote) {
+  let best = null;
+  for (const delimiter of DELIMITER_CANDIDATES) {
+    const headerCount = countDelimiter(lines[0], delimiter, quote);
+    if (headerCount === 0) continue;
+    const consistent = lines.filter(line => countDelimiter(line, delimiter, quote) === headerCount).length;
+    if (!best || consistent > best.consistent || (consistent === best.consistent && headerCount > best.headerCount)) {
+      best = { delimiter, consistent, headerCount };
+    }
+  }
+  return best;
+}
+
+function describeDelimiter(delimiter) {
+  return delimiter === '\t' ? 'tab' : `"${delimiter}"`;
+}
+
+/**
+ * Resolve the dialect of a CSV file, auto-detecting what the settings leave open
+ * @returns {Promise<Object>} - { delimiter, quote, escape, encoding, bom, headerRow, comment, detected: [descriptions] }
+ */
+export async function resolveDialect(config, csvFilePath) {
+  const { headerRowSet, ...settings } = getCsvSettings(config, csvFilePath);
+  const dialect = { ...settings, detected: [] };
+  const needsSample = settings.encoding === 'auto' || settings.delimiter === 'auto';
+  if (!needsSample) return dialect;
+
+  const sample = await readSample(csvFilePath);
+
+  if (settings.encoding === 'auto') {
+    const { encoding, reason } = detectEncoding(sample);
+    dialect.encoding = encoding;
+    dialect.detected.push(`encoding ${encoding} (${reason})`);
+  }
+
+  if (settings.delimiter === 'auto') {
+    const text = new TextDecoder(dialect.encoding).decode(sample);
+    let lines = text.split(/\r?\n/).slice(settings.headerRow - 1);
+    if (settings.comment) {
+      lines = lines.filter(line => !line.startsWith(settings.comment));
+    }
+
+    // Excel writes a "sep=;" line above the header to name the delimiter
+    const hint = /^sep=(.)$/.exec(lines[0] || '');
+    if (hint) {
+      dialect.delimiter = hint[1];
+      dialect.detected.push(`delimiter ${describeDelimiter(hint[1])} (Excel "sep=" line)`);
+      if (!headerRowSet) {
+        dialect.headerRow = settings.headerRow + 1;
+        dialect.detected.push(`header on line ${dialect.headerRow} (below the "sep=" line)`);
+      }
+    } else {
+      // When the sample stops mid-file its last line may be cut off, so it is left out
+      const complete = sample.length < SAMPLE_BYTES ? lines : lines.slice(0, -1);
+      const sampleLines = complete.filter(line => line !== '').slice(0, SAMPLE_LINES);
+      const best = sampleLines.length > 0 ? detectDelimiter(sampleLines, settings.quote) : null;
+      dialect.delimiter = best ? best.delimiter : ',';
+      dialect.detected.push(best
+        ? `delimiter ${describeDelimiter(best.delimiter)} (${best.headerCount + 1} columns, consistent on ${best.consistent}/${sampleLines.length} sampled lines)`
+        : 'delimiter "," (default, no candidate found in the header)');
+    }
+  }
+
+  return dialect;
+}
+
+/**
+ * csv-parse options for a dialect (decoding and BOM handling happen before parsing)
+ */
+export function parserOptions(dialect) {
+  return {
+    delimiter: dialect.delimiter,
+    quote: dialect.quote === false ? null : dialect.quote,
+    escape: dialect.escape,
+    from_line: dialect.headerRow,
+    ...(dialect.comment ? { comment: dialect.comment, comment_no_infix: true } : {})
+  };
+}
+
+/**
+ * Decode a byte stream into text chunks for the parser
+ */
+export async function* decodeStream(input, dialect) {
+  const decoder = new TextDecoder(dialect.encoding, { ignoreBOM: !dialect.bom });
+  for await (const chunk of input) {
+    const text = decoder.decode(chunk, { stream: true });
+    if (text) yield text;
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+/**
+ * One-line summary of a dialect, e.g. delimiter ";" · encoding utf-16le · header line 1
+ */
+export function describeDialect(dialect) {
+  const parts = [
+    `delimiter ${describeDelimiter(dialect.delimiter)}`,
+    `encoding ${dialect.encoding}`,
+    `header line ${dialect.headerRow}`
+  ];
+  if (dialect.comment) parts.push(`comments "${dialect.comment}"`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import { inputBaseName } from './inputAdapters.js';
+import { getEntitlementPolicy, parseEntitlementCell, formatEntitlementCell, applyCasePolicy } from './entitlementValues.js';
+
+/**
+ * Pre-flight input validation
+ *
+ * Records are checked while the input is read (see dataset.js), before any Okta call:
+ *
+ *   errors   - the row is quarantined: left out of the run and written to the
+ *              quarantine CSV with the reason. Missing username, login that is not
+ *              a well-formed email, username already used by an earlier row (except
+ *              in delta files, see deltaInput.js), an entitlement cell that cannot be
+ *              split (see entitlementValues.js).
+ *   warnings - the value is normalized and the row continues: stray whitespace,
+ *              entitlement values that differ from an earlier one only by case.
+ *
+ * Header problems (blank headers, "ent_" without a name) drop the column and count
+ * as errors. With validation.strict (or --strict) any error aborts the run instead.
+ *
+ *   validation.strict          - abort on any error (default false)
+ *   validation.quarantineDir   - where <csv name>.quarantine.csv is written (default ./quarantine;
+ *                                a workbook sheet writes <workbook>.<sheet>.quarantine.csv)
+ */
+
+const DEFAULT_QUARANTINE_DIR = './quarantine';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_COLUMNS = ['email', 'mail'];
+
+// Warnings are counted in full but only this many are kept with details
+export const MAX_WARNING_DETAILS = 100;
+
+export function isStrictValidation(config) {
+  return config.validation?.strict === true;
+}
+
+/**
+ * Check a record's login; Okta logins default to email format and the
+ * connector also uses the login as email when the row has no email column
+ */
+function checkLogin(record, username, isEmailColumn) {
+  const hasEmailColumn = Object.keys(record).some(col => isEmailColumn(col) && record[col]);
+  if ((username.includes('@') || !hasEmailColumn) && !EMAIL_PATTERN.test(username)) {
+    return `Login "${username}" is not a valid email address`;
+  }
+  return null;
+}
+
+/**
+ * Create the validator for one pass over an input file
+ * Entitlement cells leave the validator as arrays of values, split by their column's policy
+ *
+ * @param {Object} config - Configuration (entitlementValues policies)
+ * @param {Object} options - { usernameOf: record => username or null, isEmailColumn: column => boolean (default: email, mail),
+ *   allowDuplicates: whether a username may appear on several rows (default false) }
+ * @returns {Object} - { headerErrors, checkColumn(column, position) => kept, validate(record, line) => { errors, warnings } }
+ */
+export function createRowValidator(config, { usernameOf, isEmailColumn = column => EMAIL_COLUMNS.includes(column.toLowerCase()), allowDuplicates = false }) {
+  const headerErrors = [];
+  const ignoredColumns = new Set();
+  const policies = {}; // ent_ column -> entitlement value policy
+
+  // Columns are checked as they are first seen: the CSV header, or new JSON properties
+  const checkColumn = (column, position) => {
+    if (column === '') {
+      headerErrors.push(`Column ${position} has an empty header (column ignored)`);
+    } else if (column === 'ent_') {
+      headerErrors.push(`Entitlement column ${position} ("ent_") has no entitlement name (column ignored)`);
+    } else {
+      // Resolved up front so a bad policy fails the read instead of every row
+      if (column.startsWith('ent_')) policies[column] = getEntitlementPolicy(config, column);
+      return true;
+    }
+    ignoredColumns.add(column);
+    return false;
+  };
+
+  const firstLineByUsername = new Map();
+  const canonicalValues = {}; // ent_ column -> Map(lowercased value -> first spelling)
+
+  // Splits a cell by its column's policy (arrays from JSON input are already split)
+  const normalizeEntitlementCell = (column, cellValue, warnings) => {
+    const policy = policies[column] ??= getEntitlementPolicy(config, column);
+    const canonical = canonicalValues[column] ??= new Map();
+    const values = [];
+    for (const raw of parseEntitlementCell(cellValue, policy)) {
+      const value = raw.trim().replace(/\s+/g, ' ');
+      if (!value) continue;
+      if (value !== raw.trim()) {
+        warnings.push({ column, reason: `Whitespace collapsed in value "${raw.trim()}"` });
+      }
+      const key = value.toLowerCase();
+      const first = canonical.get(key);
+      if (first === undefined) {
+        canonical.set(key, applyCasePolicy(value, policy));
+      } else if (first !== value && policy.case === 'first') {
+        warnings.push({ column, reason: `Value "${value}" differs from "${first}" only by case (using "${first}")` });
+      }
+      const chosen = canonical.get(key);
+      if (!values.includes(chosen)) values.push(chosen);
+    }
+    return values;
+  };
+
+  const validate = (record, line) => {
+    const errors = [];
+    const warnings = [];
+
+    for (const column of ignoredColumns) {
+      delete record[column];
+    }
+
+    for (const [column, cellValue] of Object.entries(record)) {
+      if (column.startsWith('ent_')) {
+        try {
+          record[column] = normalizeEntitlementCell(column, cellValue, warnings);
+        } catch (error) {
+          errors.push(`Column ${column} cannot be split: ${error.message}`);
+        }
+        continue;
+      }
+      if (typeof cellValue !== 'string') continue;
+      const value = cellValue.trim();
+      if (value !== cellValue) {
+        warnings.push({ column, reason: 'Leading/trailing whitespace removed' });
+      }
+      record[column] = value;
+    }
+
+    const username = usernameOf(record);
+    if (!username) {
+      errors.push('No username/email value');
+    } else {
+      const loginError = checkLogin(record, username, isEmailColumn);
+      if (loginError) errors.push(loginError);
+
+      const key = username.toLowerCase();
+      if (firstLineByUsername.has(key) && !allowDuplicates) {
+        errors.push(`Duplicate username "${username}" (first seen on line ${firstLineByUsername.get(key)})`);
+      } else if (errors.length === 0) {
+        firstLineByUsername.set(key, line);
+      }
+    }
+
+    return { errors, warnings: warnings.map(warning => ({ line, ...warning })) };
+  };
+
+  return { headerErrors, checkColumn, validate };
+}
+
+function escapeCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Where the quarantine CSV for a source CSV is written
+ */
+export function getQuarantineFile(config, csvFilePath) {
+  const dir = config.validation?.quarantineDir || DEFAULT_QUARANTINE_DIR;
+  return path.join(dir, `${inputBaseName(csvFilePath)}.quarantine.csv`);
+}
+
+/**
+ * Write the quarantined rows (line, reason, then the original columns) as comma-separated
+ * UTF-8 whatever the input's dialect, or remove a stale quarantine file when nothing is
+ * quarantined any more
+ * @returns {Promise<string|null>} - The quarantine file path, or null when there is none
+ */
+export async function writeQuarantineFile(config, csvFilePath, { columns, sourceNames = {}, quarantined }) {
+  const filePath = getQuarantineFile(config, csvFilePath);
+  if (quarantined.length === 0) {
+    await fs.promises.rm(filePath, { force: true });
+    return null;
+  }
+
+  // Split entitlement cells are written back in their column's format
+  const cellOf = (record, column) => column.startsWith('ent_')
+    ? formatEntitlementCell(record[column], getEntitlementPolicy(config, column))
+    : record[column];
+
+  // Columns renamed by a manifest are written under their input header
+  const header = ['_line', '_reason', ...columns.map(column => sourceNames[column] ?? column)];
+  const lines = [header.map(escapeCsvValue).join(',')];
+  for (const { line, reasons, record } of quarantined) {
+    lines.push([line, reasons.join('; '), ...columns.map(column => cellOf(record, column))].map(escapeCsvValue).join(','));
+  }
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, lines.join('\n') + '\n');
+  return filePath;
+}
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_DEBOUNCE_MS = 2000;
+const DEFAULT_STABLE_CHECK_MS = 500;
+
+/**
+ * SHA-256 of a file's contents, or null if it cannot be read right now
+ * (e.g. mid-replace by an editor or export job)
+ */
+export async function hashFile(filePath) {
+  try {
+    // Streamed so a large CSV is never held in memory just to detect a change
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function statOrNull(filePath) {
+  try {
+    const stats = await fs.promises.stat(filePath);
+    return { size: stats.size, mtimeMs: stats.mtimeMs };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a file stops changing: size and mtime identical across two checks
+ * Returns false if the file disappeared
+ */
+async function waitForStableFile(filePath, stableCheckMs) {
+  let previous = await statOrNull(filePath);
+  while (previous) {
+    await sleep(stableCheckMs);
+    const current = await statOrNull(filePath);
+    if (current && current.size === previous.size && current.mtimeMs === previous.mtimeMs) {
+      return true;
+    }
+    previous = current;
+  }
+  return false;
+}
+
+/**
+ * Watch a CSV file and call onChange(hash) once its content has really changed
+ *
+ * - The parent directory is watched, so files replaced via rename (editors, export
+ *   jobs writing a temp file first) keep being tracked
+ * - Bursts of events are debounced, then the file must be stable before it is read
+ * - The content hash is compared with the last one seen, so touches and rewrites
+ *   with identical content do not trigger
+ *
+ * @param {string} filePath - CSV file to watch
+ * @param {Function} onChange - async (hash) => void
+ * @param {Object} options - { initialHash, debounceMs, stableCheckMs, onError }
+ * @returns {Object} - { close(), setLastHash(hash) }
+ */
+export function watchCsvFile(filePath, onChange, options = {}) {
+  const debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+  const stableCheckMs = options.stableCheckMs ?? DEFAULT_STABLE_CHECK_MS;
+  const onError = options.onError || (() => {});
+  const directory = path.dirname(path.resolve(filePath));
+  const fileName = path.basename(filePath);
+
+  let lastHash = options.initialHash || null;
+  let debounceTimer = null;
+  let closed = false;
+
+  const checkForChange = async () => {
+    try {
+      if (!await waitForStableFile(filePath, stableCheckMs) || closed) return;
+
+      const hash = await hashFile(filePath);
+      if (!hash || hash === lastHash) return;
+
+      lastHash = hash;
+      await onChange(hash);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const watcher = fs.watch(directory, (eventType, changedFile) => {
+    // Some platforms do not report the filename; treat that as a possible change
+    if (changedFile && changedFile.toString() !== fileName) return;
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(checkForChange, debounceMs);
+  });
+  watcher.on('error', onError);
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(debounceTimer);
+      watcher.close();
+    },
+    // Keep in step with syncs triggered elsewhere (e.g. the safety-net interval)
+    setLastHash(hash) {
+      lastHash = hash;
+    }
+  };
+}
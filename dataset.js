@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import { getInputAdapter, parseInputReference } from './inputAdapters.js';
+import { createRowValidator, MAX_WARNING_DETAILS } from './csvValidation.js';
+import { loadManifest, createColumnMapper, createTransform } from './columnManifest.js';
+import { findGrantsFile, readGrantsFile } from './grantsFile.js';
+import { getEntitlementPolicy, parseEntitlementCell } from './entitlementValues.js';
+import { getDeltaSettings, checkDeltaRow } from './deltaInput.js';
+
+/**
+ * Single-pass ingestion of the input file
+ *
+ * The input adapter (see inputAdapters.js) streams the file's records once and
+ * everything a run needs is built along the way, so the file is never held in
+ * memory as one string:
+ *
+ *   columns      - column names in the order they were first seen (after the column
+ *                  manifest, including its computed columns)
+ *   records      - valid records (objects keyed by column, ent_ columns as arrays of values)
+ *   users        - Map of lowercased username -> record
+ *   catalog      - { ent_<Name>: [sorted unique values] }
+ *   matrix       - the records that carry at least one entitlement (role mining input)
+ *   quarantined  - records that failed validation: { line, username, reasons, record }
+ *   headerErrors, warnings, warningCount - see csvValidation.js
+ *   format       - the adapter that read the file: csv, json, ndjson or xlsx
+ *   dialect      - how the file was read (CSV dialect or JSON mapping) with what was auto-detected
+ *   manifest     - the column manifest applied (see columnManifest.js) or null, with
+ *                  declared: { column: { profile, attribute } } for the columns it describes
+ *   sourceNames  - { column: input header } for columns the manifest renamed
+ *   grants       - the grants file joined into the records (see grantsFile.js) or null:
+ *                  { file, rows, active, inactive, unreadable, unknownUsers }
+ *   delta        - { actionColumn } for a delta file (see deltaInput.js), otherwise null
+ *   changes      - a delta file's valid rows in file order, { line, action, username (as
+ *                  written, for Okta), key (lowercased, for the sync state), record }
+ *                  (null for a snapshot); records, users and matrix then hold only its ADD
+ *                  rows, and the catalog the values of its ADD and GRANT rows
+ *
+ * The dataset is cached for the file's current size, modification time and read
+ * settings (and the grants file's, for the current day), so the steps of one run (attributes, entitlements, provisioning, sync,
+ * role mining) share one pass and a changed file is read again. Everything the records and
+ * their validation depend on (manifest, entitlement value policies, validation settings,
+ * delta settings) is part of the cache key, so changed rules validate the file again.
+ */
+
+// Column names (case-insensitive) tried in order to find a record's username/login
+export const USERNAME_COLUMNS = ['username', 'login', 'email', 'user', 'userid', 'user_id', 'mail'];
+
+let cached = null; // { key, promise }
+
+/**
+ * Find the username/login value of a record
+ */
+export function findRecordUsername(record) {
+  for (const key of USERNAME_COLUMNS) {
+    const matchingCol = Object.keys(record).find(col => col.toLowerCase() === key);
+    if (matchingCol && record[matchingCol]) {
+      return record[matchingCol];
+    }
+  }
+  return null;
+}
+
+/**
+ * Values of an entitlement column. Records from the dataset hold them as arrays, split
+ * by the column's policy (see entitlementValues.js); an unsplit cell is refused rather
+ * than guessed at
+ */
+export function splitEntitlementValues(cellValue) {
+  if (cellValue === undefined || cellValue === null || cellValue === '') return [];
+  if (!Array.isArray(cellValue)) {
+    throw new TypeError(`Entitlement cell ${JSON.stringify(cellValue)} was not split by its column's policy`);
+  }
+  return cellValue.map(v => String(v).trim()).filter(v => v);
+}
+
+async function fileVersion(file) {
+  const stats = await fs.promises.stat(file, { bigint: true });
+  return `${path.resolve(file)}:${stats.size}:${stats.mtimeNs}`;
+}
+
+// A workbook sheet is cached by the workbook file's version (the sheet is part of the settings)
+async function fileKey(filePath, settings) {
+  const { file } = parseInputReference(filePath);
+  return `${await fileVersion(file)}:${JSON.stringify(settings)}`;
+}
+
+async function buildDataset(config, filePath, adapter, settings, manifest, grantsFile, delta) {
+  const grants = grantsFile ? await readGrantsFile(config, grantsFile) : null;
+  const columns = [];
+  const seenColumns = new Set();
+  const transform = createTransform(manifest);
+  const mapper = createColumnMapper(manifest);
+  const validator = createRowValidator(config, {
+    usernameOf: findRecordUsername,
+    isEmailColumn: column => ['email', 'mail'].includes(column.toLowerCase()) || mapper.declared[column]?.profile === 'email',
+    // A delta file names a user once per change
+    allowDuplicates: Boolean(delta)
+  });
+  const records = [];
+  const users = new Map();
+  const valueSets = {};
+  const matrix = [];
+  const quarantined = [];
+  const warnings = [];
+  const changes = [];
+  let warningCount = 0;
+  let sawActionColumn = false;
+
+  // A delta file's action column is taken out of each row before it is mapped
+  const isActionColumn = column => Boolean(delta) && column.toLowerCase() === delta.actionColumn.toLowerCase();
+  const takeAction = (input) => {
+    const column = Object.keys(input).find(isActionColumn);
+    if (column === undefined) return '';
+    sawActionColumn = true;
+    const action = input[column];
+    delete input[column];
+    return action;
+  };
+
+  const addColumn = (column) => {
+    if (column === null || seenColumns.has(column)) return;
+    seenColumns.add(column);
+    if (validator.checkColumn(column, seenColumns.size)) {
+      columns.push(column);
+      if (column.startsWith('ent_')) valueSets[column] = new Set();
+    }
+  };
+
+  // Grants join each account row as ent_ values, merged with any ent_ column of the same name
+  const grantColumns = (grants?.entitlementNames ?? []).map(name => `ent_${name}`);
+  const joinedUsers = new Set();
+  const joinGrants = (record) => {
+    const username = findRecordUsername(record);
+    const entry = username ? grants.users.get(username.toLowerCase()) : null;
+    if (entry) joinedUsers.add(username.toLowerCase());
+    for (const column of grantColumns) {
+      const existing = Object.keys(record).find(key => key.toLowerCase() === column.toLowerCase()) ?? column;
+      const values = entry?.entitlements[column.substring(4)] ?? [];
+      try {
+        record[existing] = [...parseEntitlementCell(record[existing], getEntitlementPolicy(config, existing)), ...values];
+      } catch {
+        // Left as it is: the validator quarantines the row with the reason
+      }
+    }
+    return entry?.errors ?? [];
+  };
+
+  const readColumns = (header) => {
+    transform.columns(header.filter(column => !isActionColumn(column))).forEach(column => addColumn(mapper.column(column)));
+    grantColumns.forEach(addColumn);
+  };
+  for await (const { record: input, line, error } of adapter.readRecords(filePath, settings, readColumns)) {
+    if (error) {
+      quarantined.push({ line, username: null, reasons: [error], record: mapper.record(input) });
+      continue;
+    }
+    const actionText = delta ? takeAction(input) : null;
+    const computed = transform.record(input);
+    const record = mapper.record(computed.record);
+    if (computed.errors.length > 0) {
+      quarantined.push({ line, username: findRecordUsername(record), reasons: computed.errors, record });
+      continue;
+    }
+    const grantErrors = grants ? joinGrants(record) : [];
+    Object.keys(record).forEach(addColumn);
+
+    const result = validator.validate(record, line);
+    warningCount += result.warnings.length;
+    warnings.push(...result.warnings.slice(0, MAX_WARNING_DETAILS - warnings.length));
+    const hasEntitlements = Object.keys(valueSets).some(column => splitEntitlementValues(record[column]).length > 0);
+    const deltaRow = delta ? checkDeltaRow(actionText, hasEntitlements) : null;
+    if (result.errors.length > 0 || grantErrors.length > 0 || deltaRow?.errors.length > 0) {
+      quarantined.push({ line, username: findRecordUsername(record), reasons: [...(deltaRow?.errors ?? []), ...result.errors, ...grantErrors], record });
+      continue;
+    }
+
+    const username = findRecordUsername(record);
+    if (deltaRow) {
+      changes.push({ line, action: deltaRow.action, username, key: username.toLowerCase(), record });
+      // Only values being granted have to exist in Okta
+      if (deltaRow.action !== 'ADD' && deltaRow.action !== 'GRANT') continue;
+    }
+
+    for (const [column, values] of Object.entries(valueSets)) {
+      splitEntitlementValues(record[column]).forEach(value => values.add(value));
+    }
+    if (deltaRow?.action === 'GRANT') continue;
+
+    records.push(record);
+    users.set(username.toLowerCase(), record);
+    if (hasEntitlements) matrix.push(record);
+  }
+
+  const catalog = {};
+  if (records.length > 0 || changes.length > 0) {
+    for (const [column, values] of Object.entries(valueSets)) {
+      catalog[column] = Array.from(values).sort();
+    }
+  }
+
+  validator.headerErrors.push(...transform.problems(), ...mapper.problems());
+  if (delta && !sawActionColumn && (records.length > 0 || quarantined.length > 0)) {
+    validator.headerErrors.push(`Delta input has no "${delta.actionColumn}" column`);
+  }
+
+  return {
+    file: filePath,
+    columns,
+    records,
+    users,
+    catalog,
+    matrix,
+    quarantined,
+    headerErrors: validator.headerErrors,
+    warnings,
+    warningCount,
+    format: adapter.format,
+    dialect: settings,
+    manifest: manifest && { ...manifest, declared: mapper.declared },
+    sourceNames: mapper.sourceNames,
+    grants: grants && {
+      file: grants.file,
+      rows: grants.rows,
+      active: grants.active,
+      inactive: grants.inactive,
+      unreadable: grants.unreadable,
+      unknownUsers: [...grants.users.values()].filter(entry => !joinedUsers.has(entry.user.toLowerCase())).map(entry => entry.user)
+    },
+    delta,
+    changes: delta ? changes : null
+  };
+}
+
+/**
+ * One-line summary of how a dataset's file was read
+ */
+export function describeInput(dataset) {
+  return getInputAdapter(dataset.file).describe(dataset.dialect);
+}
+
+/**
+ * Read an input file (or reuse the pass over the same file version)
+ * @returns {Promise<Object>} - { file, columns, records, users, catalog, matrix, quarantined, headerErrors, warnings, warningCount, format, dialect, manifest, sourceNames, grants, delta, changes }
+ */
+export async function loadDataset(config, filePath) {
+  const adapter = getInputAdapter(filePath);
+  let settings;
+  let manifest;
+  let grantsFile;
+  let delta;
+  let key;
+  try {
+    settings = await adapter.resolveSettings(config, filePath);
+    manifest = loadManifest(config, filePath);
+    grantsFile = findGrantsFile(filePath, manifest);
+    delta = getDeltaSettings(config, manifest);
+    // The manifest, entitlement value policies, validation settings and grants change the
+    // records or which of them are quarantined, so they are part of the key; grants start and
+    // end by the day
+    const grantsVersion = grantsFile && [await fileVersion(grantsFile.file), new Date().toISOString().slice(0, 10)];
+    key = await fileKey(filePath, [settings, manifest, config.entitlementValues ?? null, config.validation ?? null, grantsVersion, delta]);
+  } catch (error) {
+    throw new Error(`Error reading ${adapter.format.toUpperCase()} file: ${error.message}`);
+  }
+
+  if (cached?.key !== key) {
+    const promise = buildDataset(config, filePath, adapter, settings, manifest, grantsFile, delta).catch(error => {
+      if (cached?.promise === promise) cached = null;
+      throw new Error(`Error reading ${adapter.format.toUpperCase()} file: ${error.message}`);
+    });
+    cached = { key, promise };
+  }
+
+  return cached.promise;
+}
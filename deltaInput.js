@@ -0,0 +1,80 @@
+/**
+ * Delta input: change feeds instead of full snapshots
+ *
+ * Some source systems can only export what changed. In a delta file every row carries an
+ * action, and a sync applies exactly those operations (see syncDeltaChanges in
+ * connector.js): users the file does not name are left alone, the app's users are never
+ * listed, and nothing is removed that the file does not ask to remove.
+ *
+ *   action,username,firstName,department,ent_Role
+ *   ADD,dave@example.com,Dave,IT,viewer
+ *   UPDATE,carol@example.com,,Finance,
+ *   GRANT,alice@example.com,,,admin
+ *   REVOKE,bob@example.com,,,viewer
+ *   DELETE,erin@example.com,,,
+ *
+ *   ADD     - create the Okta user (or set an existing user's profile from the row), assign
+ *             them with the row's attributes and grant the row's entitlement values
+ *   UPDATE  - set the row's non-empty profile fields and attributes (empty cells are kept)
+ *   DELETE  - revoke the user's grants and unassign them (mass-removal guards apply)
+ *   GRANT   - grant the row's entitlement values the user does not hold yet
+ *   REVOKE  - revoke the row's entitlement values, keeping the user's other values
+ *
+ * An input is a delta file when its manifest names the action column ("action", see
+ * columnManifest.js), or with delta.enabled (or --delta), which reads the column named by
+ * delta.actionColumn (default "action"). Actions are case-insensitive, and a user may
+ * appear on several rows, applied in file order. Every action is idempotent, so a delta
+ * file applied twice changes nothing the second time.
+ *
+ *   delta.enabled       - read inputs without a manifest action column as delta files (default false)
+ *   delta.actionColumn  - the action column of those inputs (default "action")
+ */
+
+export const DELTA_ACTIONS = ['ADD', 'UPDATE', 'DELETE', 'GRANT', 'REVOKE'];
+const DEFAULT_ACTION_COLUMN = 'action';
+
+/**
+ * Delta settings of an input, or null when it is a snapshot
+ * @param {Object|null} manifest - The input's column manifest
+ * @returns {Object|null} - { actionColumn }
+ */
+export function getDeltaSettings(config, manifest) {
+  if (manifest?.action) return { actionColumn: manifest.action };
+  if (config.delta?.enabled) return { actionColumn: config.delta.actionColumn || DEFAULT_ACTION_COLUMN };
+  return null;
+}
+
+/**
+ * Read a delta row's action and check it fits the row
+ * @param {string} text - The action cell
+ * @param {boolean} hasEntitlements - Whether the row has entitlement values
+ * @returns {Object} - { action (upper case, null when unreadable), errors }
+ */
+export function checkDeltaRow(text, hasEntitlements) {
+  const action = String(text ?? '').trim().toUpperCase();
+  if (!action) {
+    return { action: null, errors: ['No action'] };
+  }
+  if (!DELTA_ACTIONS.includes(action)) {
+    return { action: null, errors: [`Unknown action "${text}" (expected ${DELTA_ACTIONS.join(', ')})`] };
+  }
+
+  const errors = [];
+  if ((action === 'GRANT' || action === 'REVOKE') && !hasEntitlements) {
+    errors.push(`${action} row without entitlement values`);
+  }
+  if ((action === 'UPDATE' || action === 'DELETE') && hasEntitlements) {
+    errors.push(`${action} row with entitlement values (access changes through GRANT and REVOKE rows)`);
+  }
+  return { action, errors };
+}
+
+/**
+ * "2 ADD · 1 GRANT" summary of a delta file's changes
+ */
+export function describeDeltaChanges(changes) {
+  const counts = DELTA_ACTIONS
+    .map(action => [action, changes.filter(change => change.action === action).length])
+    .filter(([, count]) => count > 0);
+  return counts.length > 0 ? counts.map(([action, count]) => `${count} ${action}`).join(' · ') : 'no changes';
+}
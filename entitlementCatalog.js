@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { getInputAdapter, parseInputReference, inputBaseName } from './inputAdapters.js';
+import { undatedName } from './inbox.js';
+
+/**
+ * Entitlement catalog: what access reviewers see for each entitlement and value
+ *
+ * Without a catalog an entitlement is described as "<Name> entitlement from CSV" and a
+ * value by its own text. A catalog file next to the input, <input name>.catalog.json or
+ * <input name>.catalog.csv (a timestamped drop file uses that of its undated name), or
+ * the manifest's "catalog" path (relative to the input's directory) describes them:
+ *
+ *   {
+ *     "Role": {
+ *       "displayName": "Finance Role", "description": "Role in the ledger app",
+ *       "owner": "finance-it@example.com", "risk": "high", "requestable": true,
+ *       "values": {
+ *         "admin": { "displayName": "Administrator", "description": "Full control", "risk": "critical", "requestable": false }
+ *       }
+ *     }
+ *   }
+ *
+ *   entitlement,value,displayName,description,owner,risk,requestable
+ *   Role,,Finance Role,Role in the ledger app,finance-it@example.com,high,yes
+ *   Role,admin,Administrator,Full control,,critical,no
+ *
+ * Entitlements (the ent_ column name without the prefix) and values match
+ * case-insensitively. The display name becomes the name shown in Okta while the input's
+ * text stays the externalValue, which is what entitlements and values are matched on.
+ * Okta has no owner, risk or requestable field, so they are added to the description
+ * (a value inherits its entitlement's owner, and nothing under a non-requestable
+ * entitlement is requestable); values that are not requestable are also left out of
+ * mined role bundles. Metadata is applied when entitlements and values are created, and
+ * existing ones whose name or description differ from it are updated.
+ */
+
+const CATALOG_EXTENSIONS = ['.json', '.csv'];
+const METADATA_KEYS = ['displayName', 'description', 'owner', 'risk', 'requestable'];
+const REQUESTABLE_TEXT = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+/**
+ * Whether a file name is a catalog file (left out of input discovery and the inbox)
+ */
+export function isCatalogFileName(fileName) {
+  return /\.catalog\.(json|csv)$/i.test(fileName);
+}
+
+/**
+ * Whether an Okta entitlement or value stands for the given input text: its
+ * externalValue, or its name for one created without
+ */
+export function matchesInputValue(item, text) {
+  const key = item?.externalValue || item?.name;
+  return Boolean(key) && key.toLowerCase() === String(text).toLowerCase();
+}
+
+// The catalog file of an input, or null when it has none
+function findCatalogFile(reference, manifest) {
+  const { file, sheet } = parseInputReference(reference);
+  const directory = path.dirname(file);
+
+  if (manifest?.catalog) {
+    const catalogFile = path.resolve(directory, manifest.catalog);
+    if (!fs.existsSync(catalogFile)) {
+      throw new Error(`Catalog file ${catalogFile} (from the manifest) not found`);
+    }
+    return catalogFile;
+  }
+
+  const { name, timestamp } = undatedName(path.basename(file));
+  const references = [reference, ...(timestamp ? [path.join(directory, name) + (sheet ? `#${sheet}` : '')] : [])];
+  const candidates = references.flatMap(candidate =>
+    CATALOG_EXTENSIONS.map(extension => path.join(directory, `${inputBaseName(candidate)}.catalog${extension}`))
+  );
+  return candidates.find(candidate => fs.existsSync(candidate)) ?? null;
+}
+
+// Check one entry's metadata; blank fields are left out
+function normalizeMetadata(entry, where) {
+  const metadata = {};
+  for (const key of METADATA_KEYS) {
+    const raw = entry[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+    if (key === 'requestable') {
+      const requestable = typeof raw === 'boolean' ? raw : REQUESTABLE_TEXT[String(raw).trim().toLowerCase()];
+      if (requestable === undefined) throw new Error(`${where}: "requestable" must be yes or no (got "${raw}")`);
+      metadata.requestable = requestable;
+    } else {
+      if (typeof raw !== 'string') throw new Error(`${where}: "${key}" must be text`);
+      if (raw.trim()) metadata[key] = raw.trim();
+    }
+  }
+  return metadata;
+}
+
+function entitlementEntry(entitlements, name) {
+  const key = name.toLowerCase();
+  if (!entitlements.has(key)) entitlements.set(key, { metadata: {}, values: new Map() });
+  return entitlements.get(key);
+}
+
+function readJsonCatalog(catalogFile) {
+  const document = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(document)) throw new Error('must be a JSON object of entitlements');
+
+  const entitlements = new Map();
+  for (const [name, entry] of Object.entries(document)) {
+    if (!isObject(entry)) throw new Error(`"${name}" must be an object`);
+    const { values = {}, ...fields } = entry;
+    const unknown = Object.keys(fields).filter(key => !METADATA_KEYS.includes(key));
+    if (unknown.length > 0) throw new Error(`"${name}": unknown setting(s) ${unknown.join(', ')} (expected ${[...METADATA_KEYS, 'values'].join(', ')})`);
+    if (!isObject(values)) throw new Error(`"${name}": "values" must map values to their metadata`);
+
+    const target = entitlementEntry(entitlements, name);
+    target.metadata = normalizeMetadata(fields, `"${name}"`);
+    for (const [value, valueEntry] of Object.entries(values)) {
+      if (!isObject(valueEntry)) throw new Error(`"${name}" value "${value}" must be an object`);
+      target.values.set(value.toLowerCase(), normalizeMetadata(valueEntry, `"${name}" value "${value}"`));
+    }
+  }
+  return entitlements;
+}
+
+async function readCsvCatalog(config, catalogFile) {
+  const adapter = getInputAdapter(catalogFile);
+  const settings = await adapter.resolveSettings(config, catalogFile);
+  const entitlements = new Map();
+  const column = (record, key) => {
+    const header = Object.keys(record).find(name => name.toLowerCase() === key.toLowerCase());
+    return header ? String(record[header] ?? '').trim() : '';
+  };
+
+  for await (const { record, line, error } of adapter.readRecords(catalogFile, settings, () => {})) {
+    if (error) throw new Error(`line ${line}: ${error}`);
+    const name = column(record, 'entitlement');
+    if (!name) throw new Error(`line ${line}: no entitlement`);
+    const value = column(record, 'value');
+    const fields = Object.fromEntries(METADATA_KEYS.map(key => [key, column(record, key)]));
+    const metadata = normalizeMetadata(fields, `line ${line}`);
+    const target = entitlementEntry(entitlements, name);
+    if (value) target.values.set(value.toLowerCase(), metadata);
+    else target.metadata = metadata;
+  }
+  return entitlements;
+}
+
+/**
+ * The entitlement catalog of an input, or null when it has none
+ * @param {Object|null} manifest - The input's column manifest
+ * @returns {Promise<Object|null>} - { file, entitlements: Map(lowercased name -> { metadata, values: Map(lowercased value -> metadata) }) }
+ */
+export async function loadEntitlementCatalog(config, reference, manifest) {
+  const catalogFile = findCatalogFile(reference, manifest);
+  if (!catalogFile) return null;
+
+  try {
+    const entitlements = path.extname(catalogFile).toLowerCase() === '.csv'
+      ? await readCsvCatalog(config, catalogFile)
+      : readJsonCatalog(catalogFile);
+    return { file: catalogFile, entitlements };
+  } catch (error) {
+    throw new Error(`Catalog ${catalogFile}: ${error.message}`);
+  }
+}
+
+// Description with the owner, risk and requestable flag reviewers need, which Okta has no fields for
+function describe(base, { owner, risk, requestable }) {
+  const details = [];
+  if (owner) details.push(`Owner: ${owner}`);
+  if (risk) details.push(`Risk: ${risk}`);
+  if (requestable === false) details.push('Not requestable');
+  return details.length > 0 ? `${base} [${details.join(' | ')}]` : base;
+}
+
+/**
+ * Name and description of an entitlement, from its catalog entry if it has one
+ * @returns {Object} - { name, externalValue, description, cataloged }
+ */
+export function describeEntitlement(catalog, name) {
+  const metadata = catalog?.entitlements.get(name.toLowerCase())?.metadata;
+  const cataloged = Boolean(metadata && Object.keys(metadata).length > 0);
+  return {
+    name: metadata?.displayName || name,
+    externalValue: name,
+    description: describe(metadata?.description || `${name} entitlement from CSV`, metadata || {}),
+    cataloged
+  };
+}
+
+/**
+ * Name and description of an entitlement value, from its catalog entry if it has one
+ * @returns {Object} - { name, externalValue, description, cataloged }
+ */
+export function describeEntitlementValue(catalog, entitlementName, value) {
+  const entry = catalog?.entitlements.get(entitlementName.toLowerCase());
+  const metadata = entry?.values.get(value.toLowerCase());
+  const owner = metadata?.owner || entry?.metadata.owner;
+  const requestable = entry?.metadata.requestable === false ? false : metadata?.requestable;
+  return {
+    name: metadata?.displayName || value,
+    externalValue: value,
+    description: describe(metadata?.description || value, { owner, risk: metadata?.risk, requestable }),
+    cataloged: Boolean((metadata && Object.keys(metadata).length > 0) || owner || requestable === false)
+  };
+}
+
+/**
+ * Whether an entitlement value may be requested (and so bundled into a mined role)
+ */
+export function isRequestable(catalog, entitlementName, value) {
+  const entry = catalog?.entitlements.get(entitlementName.toLowerCase());
+  if (!entry) return true;
+  return entry.metadata.requestable !== false && entry.values.get(value.toLowerCase())?.requestable !== false;
+}
@@ -0,0 +1,182 @@
+/**
+ * Entitlement value policy: how an ent_<Name> cell holds several values
+ *
+ * Settings come from config.entitlementValues, overridden per column by
+ * entitlementValues.columns[<Name>] (the entitlement name, with or without "ent_"):
+ *
+ *   delimiter  - separator between values (default ","), or "newline" (one value per
+ *                line of the cell), "json" (the cell is a JSON array) or "none" (one value)
+ *   quote      - a value wrapped in this character may contain the delimiter, a doubled
+ *                quote inside it is a literal quote (default "), false to disable
+ *   escape     - character that makes the next one literal, e.g. "\\" (default none)
+ *   case       - "first" (default): values differing only by case use the first spelling
+ *                seen; "lower" / "upper": every value is converted
+ *
+ * Cells are parsed once while the input is read (see dataset.js), so provisioning,
+ * sync and role mining all see the same values. Arrays from JSON input are taken as
+ * they are. Okta matches entitlement values case-insensitively whatever the policy.
+ */
+
+const DEFAULTS = {
+  delimiter: ',',
+  quote: '"',
+  escape: null,
+  case: 'first'
+};
+
+const CASE_POLICIES = ['first', 'lower', 'upper'];
+
+function columnKey(column) {
+  return column.replace(/^ent_/i, '').toLowerCase();
+}
+
+/**
+ * Policy for an entitlement column: config.entitlementValues merged with its columns entry
+ */
+export function getEntitlementPolicy(config, column) {
+  const { columns = {}, ...settings } = config.entitlementValues || {};
+  const override = Object.entries(columns).find(([name]) => columnKey(name) === columnKey(column))?.[1];
+  const policy = { ...DEFAULTS, ...settings, ...override };
+
+  if (typeof policy.delimiter !== 'string' || policy.delimiter === '') {
+    throw new Error(`entitlementValues delimiter for ${column} must be a non-empty string, "newline", "json" or "none"`);
+  }
+  if (!CASE_POLICIES.includes(policy.case)) {
+    throw new Error(`entitlementValues case for ${column} must be one of ${CASE_POLICIES.join(', ')} (got "${policy.case}")`);
+  }
+  return policy;
+}
+
+/**
+ * Whether a column uses anything but the default policy (for the pre-flight summary)
+ */
+export function isDefaultPolicy(policy) {
+  return Object.entries(DEFAULTS).every(([key, value]) => policy[key] === value);
+}
+
+/**
+ * One-line summary of a policy, e.g. split on "|" · quote " · case lower
+ */
+export function describeEntitlementPolicy(policy) {
+  const split = {
+    newline: 'one value per line',
+    json: 'JSON array',
+    none: 'single value'
+  }[policy.delimiter] || `split on "${policy.delimiter}"`;
+  const parts = [split];
+  if (!['json', 'none'].includes(policy.delimiter)) {
+    parts.push(policy.quote ? `quote ${policy.quote}` : 'no quoting');
+    if (policy.escape) parts.push(`escape ${policy.escape}`);
+  }
+  parts.push(`case ${policy.case}`);
+  return parts.join(' · ');
+}
+
+// Length of the delimiter at position i of a cell, 0 when there is none
+function delimiterAt(text, i, delimiter) {
+  if (delimiter === 'newline') {
+    if (text.startsWith('\r\n', i)) return 2;
+    return text[i] === '\n' || text[i] === '\r' ? 1 : 0;
+  }
+  return text.startsWith(delimiter, i) ? delimiter.length : 0;
+}
+
+function splitCell(text, { delimiter, quote, escape }) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (escape && char === escape && escape !== quote && i + 1 < text.length) {
+      current += text[++i];
+    } else if (quote && char === quote) {
+      if (quoted && text[i + 1] === quote) {
+        current += quote;
+        i++;
+      } else if (quoted) {
+        quoted = false;
+      } else if (current.trim() === '') {
+        // A quote only opens a quoted value at the start of the value
+        quoted = true;
+        current = '';
+      } else {
+        current += char;
+      }
+    } else {
+      const length = quoted ? 0 : delimiterAt(text, i, delimiter);
+      if (length > 0) {
+        values.push(current);
+        current = '';
+        i += length - 1;
+      } else {
+        current += char;
+      }
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`unterminated ${quote} quote`);
+  }
+  values.push(current);
+  return values;
+}
+
+/**
+ * Values of one entitlement cell under a policy (trimmed, empty values dropped)
+ * Throws when the cell cannot be read: an unterminated quote or invalid JSON array
+ */
+export function parseEntitlementCell(cellValue, policy) {
+  if (Array.isArray(cellValue)) return cellValue.map(String);
+  const text = String(cellValue ?? '');
+  if (text.trim() === '') return [];
+
+  let values;
+  if (policy.delimiter === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`not a JSON array (${error.message})`);
+    }
+    if (!Array.isArray(parsed) || parsed.some(value => typeof value === 'object')) {
+      throw new Error('not a JSON array of values');
+    }
+    values = parsed.filter(value => value !== null).map(String);
+  } else if (policy.delimiter === 'none') {
+    values = [text];
+  } else {
+    values = splitCell(text, policy);
+  }
+  return values.map(value => value.trim()).filter(value => value);
+}
+
+/**
+ * Write values back as one cell under a policy (used for the quarantine file, so a
+ * quarantined row's cells read as they did in the input)
+ */
+export function formatEntitlementCell(values, policy) {
+  if (!Array.isArray(values)) return values;
+  if (policy.delimiter === 'json') return JSON.stringify(values);
+  if (policy.delimiter === 'none') return values.join(',');
+
+  const separator = policy.delimiter === 'newline' ? '\n' : policy.delimiter;
+  const escapable = Boolean(policy.escape) && policy.escape !== policy.quote;
+  return values.map(value => {
+    // The escape character is escaped first, or a value ending in it would swallow the delimiter
+    const escaped = escapable ? value.split(policy.escape).join(policy.escape + policy.escape) : value;
+    const needsQuoting = value.includes(separator) || (policy.quote && value.startsWith(policy.quote));
+    if (!needsQuoting) return escaped;
+    if (policy.quote) return policy.quote + escaped.split(policy.quote).join(policy.quote + policy.quote) + policy.quote;
+    return escapable ? escaped.split(separator).join(policy.escape + separator) : value;
+  }).join(separator);
+}
+
+/**
+ * Apply a policy's case rule to a value that is not a case duplicate
+ */
+export function applyCasePolicy(value, policy) {
+  if (policy.case === 'lower') return value.toLowerCase();
+  if (policy.case === 'upper') return value.toUpperCase();
+  return value;
+}
@@ -0,0 +1,272 @@
+/**
+ * Expressions for computed columns (see columnManifest.js)
+ *
+ * A small, side-effect free language evaluated per record; values are strings:
+ *
+ *   lower(trim(First)) + '.' + lower(Last) + '@corp.com'
+ *   lookup('departments', [Dept Code], 'Unknown')
+ *   date(HireDate, 'MM/DD/YYYY', 'YYYY-MM-DD')
+ *
+ *   'text' or "text"   - string literal (a doubled quote is a literal quote)
+ *   123                - number literal, used as text
+ *   Name, [Any Header] - column value (header names match case-insensitively)
+ *   a + b              - concatenation
+ *   fn(a, b, ...)      - function call, see FUNCTIONS
+ *
+ * Expressions are parsed once, and literal arguments a function can check up front (the
+ * pattern of replace()) are checked then, so a bad manifest fails before any row is read.
+ * A function that cannot produce a value (an unparseable date, a missing lookup entry
+ * without a default) throws, and the row is quarantined.
+ */
+
+const DATE_TOKENS = ['YYYY', 'YY', 'MM', 'M', 'DD', 'D', 'HH', 'mm', 'ss'];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "'" || char === '"') {
+      let value = '';
+      i++;
+      while (true) {
+        if (i >= text.length) throw new Error(`unterminated ${char}quoted${char} text`);
+        if (text[i] === char && text[i + 1] === char) {
+          value += char;
+          i += 2;
+        } else if (text[i] === char) {
+          i++;
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      tokens.push({ type: 'string', value });
+    } else if (char === '[') {
+      const end = text.indexOf(']', i);
+      if (end === -1) throw new Error('unterminated [column] reference');
+      tokens.push({ type: 'column', value: text.slice(i + 1, end).trim() });
+      i = end + 1;
+    } else if (/[0-9]/.test(char)) {
+      const match = /^[0-9]+(\.[0-9]+)?/.exec(text.slice(i));
+      tokens.push({ type: 'string', value: match[0] });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(text.slice(i));
+      tokens.push({ type: 'name', value: match[0] });
+      i += match[0].length;
+    } else if ('+(),'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      throw new Error(`unexpected character "${char}"`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree of { type: 'string' | 'column' | 'call' | 'concat', ... }
+ */
+function parse(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+
+  const expect = (type) => {
+    const token = tokens[position++];
+    if (token?.type !== type) throw new Error(`expected "${type}"${token ? '' : ' before the end'}`);
+  };
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('unexpected end of expression');
+    if (token.type === 'string' || token.type === 'column') return token;
+    if (token.type === '(') {
+      const inner = concat();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      if (tokens[position]?.type !== '(') return { type: 'column', value: token.value };
+      position++;
+      const args = [];
+      if (tokens[position]?.type !== ')') {
+        do {
+          args.push(concat());
+        } while (tokens[position]?.type === ',' && ++position);
+      }
+      expect(')');
+      const fn = FUNCTIONS[token.value.toLowerCase()];
+      if (!fn) throw new Error(`unknown function ${token.value}() (available: ${Object.keys(FUNCTIONS).join(', ')})`);
+      if (args.length < fn.min || args.length > fn.max) {
+        throw new Error(`${token.value}() takes ${fn.min === fn.max ? fn.min : fn.min + ' to ' + (fn.max === Infinity ? 'any number of' : fn.max)} argument(s)`);
+      }
+      const node = { type: 'call', name: token.value.toLowerCase(), args };
+      if (fn.compile) node.compiled = fn.compile(args);
+      return node;
+    }
+    throw new Error(`unexpected "${token.type}"`);
+  };
+
+  const concat = () => {
+    const parts = [primary()];
+    while (tokens[position]?.type === '+') {
+      position++;
+      parts.push(primary());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+  };
+
+  const tree = concat();
+  if (position < tokens.length) throw new Error(`unexpected "${tokens[position].value ?? tokens[position].type}"`);
+  return tree;
+}
+
+// Regular expression for a date format, with the token each group captures
+function dateFormatPattern(format) {
+  const order = [];
+  let source = '';
+  for (let i = 0; i < format.length;) {
+    const token = DATE_TOKENS.find(candidate => format.startsWith(candidate, i));
+    if (token) {
+      order.push(token);
+      source += token.length === 1 ? '(\\d{1,2})' : `(\\d{${token.length}})`;
+      i += token.length;
+    } else {
+      source += format[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      i++;
+    }
+  }
+  return { regex: new RegExp(`^${source}$`), order };
+}
+
+function parseDate(value, format) {
+  if (!format || format.toUpperCase() === 'ISO') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`"${value}" is not a date`);
+    return { YYYY: date.getUTCFullYear(), MM: date.getUTCMonth() + 1, DD: date.getUTCDate(), HH: date.getUTCHours(), mm: date.getUTCMinutes(), ss: date.getUTCSeconds() };
+  }
+
+  const { regex, order } = dateFormatPattern(format);
+  const match = regex.exec(value);
+  if (!match) throw new Error(`"${value}" does not match the date format ${format}`);
+  const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+  order.forEach((token, index) => {
+    const number = Number(match[index + 1]);
+    if (token === 'YY') parts.YYYY = number < 70 ? 2000 + number : 1900 + number;
+    else if (token === 'M') parts.MM = number;
+    else if (token === 'D') parts.DD = number;
+    else parts[token] = number;
+  });
+  const check = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD));
+  if (check.getUTCMonth() !== parts.MM - 1 || check.getUTCDate() !== parts.DD) {
+    throw new Error(`"${value}" is not a valid date`);
+  }
+  return parts;
+}
+
+function formatDate(parts, format) {
+  const pad = (number, length) => String(number).padStart(length, '0');
+  const values = {
+    YYYY: pad(parts.YYYY, 4), YY: pad(parts.YYYY % 100, 2), MM: pad(parts.MM, 2), M: String(parts.MM),
+    DD: pad(parts.DD, 2), D: String(parts.DD), HH: pad(parts.HH, 2), mm: pad(parts.mm, 2), ss: pad(parts.ss, 2)
+  };
+  let output = '';
+  for (let i = 0; i < format.length;) {
+    const token = DATE_TOKENS.find(candidate => format.startsWith(candidate, i));
+    output += token ? values[token] : format[i];
+    i += token ? token.length : 1;
+  }
+  return output;
+}
+
+// Regular expression of a replace() pattern
+function patternRegex(pattern) {
+  try {
+    return new RegExp(pattern, 'g');
+  } catch (error) {
+    throw new Error(`replace() pattern "${pattern}" is not a valid regular expression (${error.message})`);
+  }
+}
+
+/**
+ * Functions available to expressions: { min, max, compile(argNodes), call(args, context, compiled) }
+ * Arguments arrive as strings; context is { lookups }. compile, when present, runs once
+ * when the expression is parsed and what it returns is passed to every call
+ */
+const FUNCTIONS = {
+  lower: { min: 1, max: 1, call: ([value]) => value.toLowerCase() },
+  upper: { min: 1, max: 1, call: ([value]) => value.toUpperCase() },
+  trim: { min: 1, max: 1, call: ([value]) => value.trim().replace(/\s+/g, ' ') },
+  // Letters without accents, for logins: "Zoë" -> "Zoe"
+  ascii: { min: 1, max: 1, call: ([value]) => value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '') },
+  substr: {
+    min: 2,
+    max: 3,
+    call: ([value, start, length]) => value.substr(Number(start), length === undefined ? undefined : Number(length))
+  },
+  replace: {
+    min: 3,
+    max: 3,
+    // A literal pattern is compiled (and checked) once; one read from a column per row
+    compile: ([, pattern]) => (pattern.type === 'string' ? patternRegex(pattern.value) : null),
+    call: ([value, pattern, replacement], context, regex) => value.replace(regex ?? patternRegex(pattern), replacement)
+  },
+  default: { min: 2, max: 2, call: ([value, fallback]) => value || fallback },
+  coalesce: { min: 1, max: Infinity, call: values => values.find(value => value) ?? '' },
+  lookup: {
+    min: 2,
+    max: 3,
+    call: ([table, key, fallback], { lookups }) => {
+      const entries = lookups[table];
+      if (!entries) throw new Error(`no lookup table "${table}"`);
+      // Own entries only: a cell like "constructor" must not find Object.prototype's
+      if (Object.hasOwn(entries, key)) return String(entries[key]);
+      const match = Object.keys(entries).find(candidate => candidate.toLowerCase() === key.toLowerCase());
+      if (match !== undefined) return String(entries[match]);
+      if (fallback !== undefined) return fallback;
+      throw new Error(`"${key}" is not in lookup table "${table}"`);
+    }
+  },
+  date: {
+    min: 2,
+    max: 3,
+    // date(value, to) reads ISO dates; date(value, from, to) reads the given format
+    call: ([value, from, to]) => {
+      if (!value) return '';
+      return to === undefined ? formatDate(parseDate(value, 'ISO'), from) : formatDate(parseDate(value, from), to);
+    }
+  }
+};
+
+/**
+ * Compile an expression
+ * @returns {Object} - { columns: [referenced column names], evaluate(valueOf, context) => string }
+ *   valueOf(column) returns a column's value; context is { lookups }
+ */
+export function compileExpression(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('expression must be a non-empty string');
+  }
+  const tree = parse(text);
+
+  const columns = [];
+  const collect = (node) => {
+    if (node.type === 'column' && !columns.includes(node.value)) columns.push(node.value);
+    (node.args || node.parts || []).forEach(collect);
+  };
+  collect(tree);
+
+  const evaluate = (node, valueOf, context) => {
+    switch (node.type) {
+      case 'string': return node.value;
+      case 'column': return valueOf(node.value);
+      case 'concat': return node.parts.map(part => evaluate(part, valueOf, context)).join('');
+      default: return FUNCTIONS[node.name].call(node.args.map(arg => evaluate(arg, valueOf, context)), context, node.compiled);
+    }
+  };
+
+  return { columns, evaluate: (valueOf, context) => evaluate(tree, valueOf, context) };
+}
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import { getInputAdapter, parseInputReference, inputBaseName } from './inputAdapters.js';
+
+/**
+ * Grants file: entitlements in long format, one row per user and value
+ *
+ * Apps with hundreds of permissions per user do not fit in ent_ columns, so the input
+ * can be split into an accounts file (one row per user, any supported format) and a
+ * grants file next to it:
+ *
+ *   user,entitlement,value,start,end
+ *   alice@example.com,Role,admin,,
+ *   alice@example.com,Permission,Export Reports,2024-05-01,2024-06-30
+ *
+ * The grants file of an input is <input name>.grants.csv (or .ndjson, .jsonl, .xlsx)
+ * next to it, or the manifest's "grants" (see columnManifest.js): a path, or
+ * { file, user, entitlement, value, start, end } naming the file and its columns.
+ * Paths are relative to the input's directory.
+ *
+ * While the accounts file is read (see dataset.js) each user's grants become
+ * ent_<entitlement> values of their record, so everything downstream sees the usual
+ * record model. Only grants active today count: a start date in the future or an end
+ * date in the past leaves the grant out (an end date without a time includes that day).
+ * A grant row that cannot be read quarantines its user's account row, so a partial set
+ * of grants never revokes the rest.
+ */
+
+const GRANTS_EXTENSIONS = ['.csv', '.ndjson', '.jsonl', '.xlsx'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grants file columns (case-insensitive) tried in order when none is configured
+const DEFAULT_COLUMNS = {
+  user: ['user', 'username', 'login', 'email', 'userid', 'user_id'],
+  entitlement: ['entitlement', 'entitlement_name', 'permission_type', 'type'],
+  value: ['value', 'entitlement_value', 'permission', 'role'],
+  start: ['start', 'start_date', 'startdate', 'valid_from', 'from'],
+  end: ['end', 'end_date', 'enddate', 'valid_to', 'until', 'to']
+};
+
+/**
+ * Whether a file name is a grants file (left out of input discovery and the inbox)
+ */
+export function isGrantsFileName(fileName) {
+  return /\.grants\.[^.]+$/i.test(fileName);
+}
+
+/**
+ * The grants file of an input, or null when it has none
+ * @param {Object|null} manifest - The input's column manifest
+ * @returns {Object|null} - { file, columns: { user, entitlement, value, start, end } } (unset columns are found by name)
+ */
+export function findGrantsFile(reference, manifest) {
+  const { file } = parseInputReference(reference);
+  const directory = path.dirname(file);
+  const declared = typeof manifest?.grants === 'string' ? { file: manifest.grants } : manifest?.grants;
+  const { file: declaredFile, ...columns } = declared || {};
+
+  if (declaredFile) {
+    const grantsFile = path.resolve(directory, declaredFile);
+    if (!fs.existsSync(grantsFile)) {
+      throw new Error(`Grants file ${grantsFile} (from the manifest) not found`);
+    }
+    return { file: grantsFile, columns };
+  }
+
+  const base = path.join(directory, `${inputBaseName(reference)}.grants`);
+  const grantsFile = GRANTS_EXTENSIONS.map(extension => base + extension).find(candidate => fs.existsSync(candidate));
+  if (!grantsFile && declared) {
+    throw new Error(`The manifest declares grants columns but there is no ${path.basename(base)}.csv`);
+  }
+  return grantsFile ? { file: grantsFile, columns } : null;
+}
+
+// A date, or the end of the day for a date without a time when it ends a grant
+function parseGrantDate(text, isEnd) {
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) return null;
+  return isEnd && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + DAY_MS : time;
+}
+
+/**
+ * Read a grants file into each user's active entitlement values
+ * @param {Object} config - Configuration (dialect settings of the grants file)
+ * @param {Object} grantsFile - From findGrantsFile
+ * @param {number} now - Time grants must be active at (ms)
+ * @returns {Promise<Object>} - { file, users: Map(lowercased user -> { entitlements: { Name: [values] }, errors, line }),
+ *   entitlementNames, rows, active, inactive, unreadable }
+ */
+export async function readGrantsFile(config, grantsFile, now = Date.now()) {
+  const adapter = getInputAdapter(grantsFile.file);
+  const settings = await adapter.resolveSettings(config, grantsFile.file);
+  const columns = {};
+  const users = new Map();
+  const entitlementNames = [];
+  const stats = { rows: 0, active: 0, inactive: 0, unreadable: 0 };
+
+  const resolveColumns = (header) => {
+    for (const [role, candidates] of Object.entries(DEFAULT_COLUMNS)) {
+      const wanted = grantsFile.columns[role] ? [grantsFile.columns[role]] : candidates;
+      columns[role] = wanted.map(name => header.find(column => column.toLowerCase() === name.toLowerCase())).find(Boolean) ?? null;
+      if (!columns[role] && (grantsFile.columns[role] || ['user', 'entitlement', 'value'].includes(role))) {
+        throw new Error(`Grants file ${path.basename(grantsFile.file)} has no ${grantsFile.columns[role] ? '"' + grantsFile.columns[role] + '"' : role} column (columns: ${header.join(', ')})`);
+      }
+    }
+  };
+
+  const userEntry = (user, line) => {
+    const key = user.toLowerCase();
+    if (!users.has(key)) users.set(key, { user, entitlements: {}, errors: [], line });
+    return users.get(key);
+  };
+
+  for await (const { record, line, error } of adapter.readRecords(grantsFile.file, settings, resolveColumns)) {
+    stats.rows++;
+    // JSON grants have no header: the first record names the columns
+    if (!columns.user) resolveColumns(Object.keys(record));
+    const cell = role => (columns[role] ? String(record[columns[role]] ?? '').trim() : '');
+    const user = cell('user');
+    if (!user) {
+      stats.unreadable++;
+      continue;
+    }
+    const entry = userEntry(user, line);
+    const entitlement = cell('entitlement');
+    const value = cell('value');
+    const start = cell('start');
+    const end = cell('end');
+
+    const problem = error ||
+      (!entitlement || !value ? 'no entitlement or value' : null) ||
+      (start && parseGrantDate(start, false) === null ? `start date "${start}" is not a date` : null) ||
+      (end && parseGrantDate(end, true) === null ? `end date "${end}" is not a date` : null);
+    if (problem) {
+      stats.unreadable++;
+      entry.errors.push(`Grants line ${line}: ${problem}`);
+      continue;
+    }
+
+    const name = entitlementNames.find(known => known.toLowerCase() === entitlement.toLowerCase()) ?? entitlement;
+    if (!entitlementNames.includes(name)) entitlementNames.push(name);
+    if ((start && parseGrantDate(start, false) > now) || (end && parseGrantDate(end, true) <= now)) {
+      stats.inactive++;
+      continue;
+    }
+    stats.active++;
+    (entry.entitlements[name] ??= []).push(value);
+  }
+
+  return { file: grantsFile.file, users, entitlementNames, ...stats };
+}
@@ -0,0 +1,217 @@
+import fs from 'fs';
+import path from 'path';
+import { isGrantsFileName } from './grantsFile.js';
+
+/**
+ * Drop-folder ingestion
+ *
+ * Upstream jobs drop timestamped exports into an inbox directory, e.g.
+ * Salesforce_2024-05-01T0200.csv. Files belong to the application named by the file
+ * name without its timestamp (Salesforce.csv, which is also where its manifest is
+ * looked up, see columnManifest.js). Each pass processes only the newest complete
+ * file per application; older complete files are superseded and archived unprocessed.
+ *
+ *   inbox.dir            - directory scanned (required for the inbox command, or --inbox)
+ *   inbox.archiveDir     - where processed files go (default <dir>/archive)
+ *   inbox.failedDir      - where failed files go, each with a <file>.error.json sidecar
+ *                          (default <dir>/failed)
+ *   inbox.historyDays    - archived and failed files older than this are deleted (default 30,
+ *                          0 keeps them forever)
+ *   inbox.settleSeconds  - a file is complete once unchanged for this long (default 30)
+ *   inbox.readyMarker    - with e.g. ".done", a file is only complete once <file>.done exists
+ *
+ * Hidden files, Excel lock files, partial downloads (.tmp, .part, ...), manifests,
+ * entitlement catalogs and grants files are never picked up; a file's grants file
+ * (<file name>.grants.csv, see grantsFile.js) is moved along with it.
+ */
+
+const DEFAULT_HISTORY_DAYS = 30;
+const DEFAULT_SETTLE_SECONDS = 30;
+const INPUT_EXTENSIONS = ['.csv', '.json', '.ndjson', '.jsonl', '.xlsx'];
+const PARTIAL_EXTENSIONS = ['.tmp', '.part', '.partial', '.crdownload', '.filepart', '.download'];
+const SIDECAR_SUFFIXES = ['.manifest.json', '.error.json', '.catalog.json', '.catalog.csv'];
+
+// Timestamp at the end of a file name: 20240501, 2024-05-01, 2024-05-01T02:00, 20240501_020000, ...
+const TIMESTAMP_PATTERN = /^(.*?)[ _.-]*(\d{4})-?(\d{2})-?(\d{2})(?:[T _.-]?(\d{2})[:.-]?(\d{2})(?:[:.-]?(\d{2}))?)?Z?$/;
+
+/**
+ * Inbox settings with defaults; dir overrides inbox.dir
+ */
+export function getInboxSettings(config, dir = null) {
+  const settings = config.inbox || {};
+  const inboxDir = dir || settings.dir;
+  if (!inboxDir) {
+    throw new Error('No inbox directory: set inbox.dir in the config or pass --inbox <dir>');
+  }
+  const historyDays = settings.historyDays ?? DEFAULT_HISTORY_DAYS;
+  const settleSeconds = settings.settleSeconds ?? DEFAULT_SETTLE_SECONDS;
+  if (!Number.isFinite(historyDays) || historyDays < 0) {
+    throw new Error(`inbox.historyDays must be a number of days, 0 to keep everything (got ${historyDays})`);
+  }
+  if (!Number.isFinite(settleSeconds) || settleSeconds < 0) {
+    throw new Error(`inbox.settleSeconds must be a number of seconds (got ${settleSeconds})`);
+  }
+  return {
+    dir: inboxDir,
+    archiveDir: settings.archiveDir || path.join(inboxDir, 'archive'),
+    failedDir: settings.failedDir || path.join(inboxDir, 'failed'),
+    historyDays,
+    settleSeconds,
+    readyMarker: settings.readyMarker || null
+  };
+}
+
+/**
+ * A file name without its timestamp, and the timestamp as a sortable string
+ * @returns {Object} - { name, timestamp } (timestamp null and name unchanged when there is none)
+ */
+export function undatedName(fileName) {
+  const extension = path.extname(fileName);
+  const match = TIMESTAMP_PATTERN.exec(path.basename(fileName, extension));
+  if (!match || !match[1]) return { name: fileName, timestamp: null };
+  const [, stem, ...parts] = match;
+  const [month, day] = [Number(parts[1]), Number(parts[2])];
+  if (month < 1 || month > 12 || day < 1 || day > 31) return { name: fileName, timestamp: null };
+  return { name: stem + extension, timestamp: parts.map(part => part || '00').join('') };
+}
+
+function isInputFile(fileName, readyMarker) {
+  const lower = fileName.toLowerCase();
+  if (fileName.startsWith('.') || fileName.startsWith('~$')) return false;
+  if (readyMarker && lower.endsWith(readyMarker.toLowerCase())) return false;
+  if (SIDECAR_SUFFIXES.some(suffix => lower.endsWith(suffix)) || isGrantsFileName(fileName)) return false;
+  if (PARTIAL_EXTENSIONS.includes(path.extname(lower))) return false;
+  return INPUT_EXTENSIONS.includes(path.extname(lower));
+}
+
+/**
+ * Find the files to process: the newest complete file per application
+ * @returns {Promise<Object>} - { ready, superseded, waiting }, lists of
+ *   { file, fileName, app (undated file name), timestamp, mtimeMs }
+ */
+export async function scanInbox(settings) {
+  const entries = await fs.promises.readdir(settings.dir, { withFileTypes: true });
+  const names = new Set(entries.map(entry => entry.name));
+  const now = Date.now();
+
+  const complete = [];
+  const waiting = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !isInputFile(entry.name, settings.readyMarker)) continue;
+    const file = path.join(settings.dir, entry.name);
+    const stats = await fs.promises.stat(file);
+    const { name, timestamp } = undatedName(entry.name);
+    const candidate = { file, fileName: entry.name, app: name, timestamp, mtimeMs: stats.mtimeMs };
+
+    const settled = now - stats.mtimeMs >= settings.settleSeconds * 1000;
+    const marked = !settings.readyMarker || names.has(entry.name + settings.readyMarker);
+    (settled && marked ? complete : waiting).push(candidate);
+  }
+
+  // Newest first: by the timestamp in the name, then by modification time
+  complete.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || '') || b.mtimeMs - a.mtimeMs);
+  const ready = [];
+  const superseded = [];
+  for (const candidate of complete) {
+    const key = candidate.app.toLowerCase();
+    (ready.some(picked => picked.app.toLowerCase() === key) ? superseded : ready).push(candidate);
+  }
+  return { ready, superseded, waiting };
+}
+
+// Move a file into a directory without overwriting an earlier file of the same name;
+// the moved file is dated now, so history is kept from when it left the inbox
+async function moveInto(file, dir) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const extension = path.extname(file);
+  const base = path.basename(file, extension);
+  let destination = path.join(dir, base + extension);
+  for (let n = 1; fs.existsSync(destination); n++) {
+    destination = path.join(dir, `${base}.${n}${extension}`);
+  }
+  try {
+    await fs.promises.rename(file, destination);
+  } catch (error) {
+    // Archive on another filesystem
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(file, destination);
+    await fs.promises.unlink(file);
+  }
+  const now = new Date();
+  await fs.promises.utimes(destination, now, now);
+  return destination;
+}
+
+async function removeReadyMarker(settings, candidate) {
+  if (!settings.readyMarker) return;
+  await fs.promises.rm(candidate.file + settings.readyMarker, { force: true });
+}
+
+// The grants file dropped with an input goes wherever the input goes
+async function moveGrantsFiles(candidate, dir) {
+  const prefix = `${path.basename(candidate.fileName, path.extname(candidate.fileName))}.grants.`;
+  for (const name of await fs.promises.readdir(path.dirname(candidate.file))) {
+    if (name.startsWith(prefix) && isGrantsFileName(name)) {
+      await moveInto(path.join(path.dirname(candidate.file), name), dir);
+    }
+  }
+}
+
+/**
+ * Move a processed (or superseded) file to the archive
+ * @returns {Promise<string>} - Where the file now is
+ */
+export async function archiveInboxFile(settings, candidate) {
+  const destination = await moveInto(candidate.file, settings.archiveDir);
+  await moveGrantsFiles(candidate, settings.archiveDir);
+  await removeReadyMarker(settings, candidate);
+  return destination;
+}
+
+/**
+ * Move a file that could not be processed to the failed directory, with a
+ * <file>.error.json sidecar describing the failure
+ * @param {Object} details - { app, error, ... } written to the sidecar
+ * @returns {Promise<string>} - Where the file now is
+ */
+export async function failInboxFile(settings, candidate, details) {
+  const destination = await moveInto(candidate.file, settings.failedDir);
+  await moveGrantsFiles(candidate, settings.failedDir);
+  await removeReadyMarker(settings, candidate);
+  const sidecar = {
+    file: candidate.fileName,
+    failedAt: new Date().toISOString(),
+    ...details
+  };
+  await fs.promises.writeFile(`${destination}.error.json`, JSON.stringify(sidecar, null, 2));
+  return destination;
+}
+
+/**
+ * Delete archived and failed files older than inbox.historyDays
+ * @returns {Promise<number>} - Number of files deleted
+ */
+export async function pruneInboxHistory(settings) {
+  if (settings.historyDays === 0) return 0;
+  const cutoff = Date.now() - settings.historyDays * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+  for (const dir of [settings.archiveDir, settings.failedDir]) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const file = path.join(dir, entry.name);
+      const stats = await fs.promises.stat(file);
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(file);
+        pruned++;
+      }
+    }
+  }
+  return pruned;
+}
@@ -0,0 +1,346 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { parse } from 'csv-parse';
+import ExcelJS from 'exceljs';
+import { resolveDialect, parserOptions, decodeStream, describeDialect } from './csvDialect.js';
+
+/**
+ * Input adapters: read a source file as records for the dataset (see dataset.js)
+ *
+ * Every adapter produces the same record model: a flat object keyed by column name,
+ * with strings for username and profile columns and either a comma-separated string
+ * or an array of values for ent_<Name> columns.
+ *
+ *   csv     - .csv and any other extension (dialect: see csvDialect.js)
+ *   json    - .json: an array of user objects, the document itself or at jsonInput.recordsPath
+ *   ndjson  - .ndjson / .jsonl: one user object per line, streamed
+ *   xlsx    - .xlsx: one worksheet, header row then one user per row (the workbook is loaded whole)
+ *
+ * JSON mapping (config.jsonInput, overridden per file by jsonInput.files[<file name>]),
+ * paths use dots and [index], e.g. "profile.login" or "emails[0].value":
+ *
+ *   recordsPath   - where the array of users is inside a .json document (default: the document)
+ *   username      - path of the username (default: found like a CSV username column)
+ *   fields        - { column: path } profile columns (default: every top-level string, number or boolean)
+ *   entitlements  - { name: path } arrays (or comma-separated strings) of entitlement values
+ *                   (default: top-level properties named ent_<Name>)
+ *
+ * Workbooks hold one application per sheet. A sheet is addressed as "Book.xlsx#Sheet name";
+ * a bare "Book.xlsx" means xlsxInput.sheet, or the only visible sheet. Settings
+ * (config.xlsxInput, overridden per workbook by xlsxInput.files[<file name>]):
+ *
+ *   sheet      - sheet to read when the reference names none
+ *   headerRow  - row number of the header (default 1; rows above it are skipped)
+ *   appNames   - { sheet name: application label } (default: the sheet name)
+ */
+
+/**
+ * Value at a path like "profile.login" or "emails[0].value" (undefined when missing)
+ */
+function getPath(value, pathExpression) {
+  return pathExpression
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function toColumnValue(value) {
+  return isScalar(value) ? String(value) : '';
+}
+
+function toEntitlementValue(value) {
+  if (Array.isArray(value)) return value.filter(isScalar).map(String);
+  return toColumnValue(value);
+}
+
+/**
+ * Flatten one JSON user object into a record
+ */
+function toRecord(item, mapping) {
+  const record = {};
+
+  if (mapping.fields) {
+    for (const [column, fieldPath] of Object.entries(mapping.fields)) {
+      record[column] = toColumnValue(getPath(item, fieldPath));
+    }
+  } else {
+    for (const [key, value] of Object.entries(item)) {
+      if (!key.startsWith('ent_') && isScalar(value)) record[key] = String(value);
+    }
+  }
+
+  if (mapping.username) {
+    record.username = toColumnValue(getPath(item, mapping.username));
+  }
+
+  if (mapping.entitlements) {
+    for (const [name, entitlementPath] of Object.entries(mapping.entitlements)) {
+      record[`ent_${name}`] = toEntitlementValue(getPath(item, entitlementPath));
+    }
+  } else {
+    for (const [key, value] of Object.entries(item)) {
+      if (key.startsWith('ent_')) record[key] = toEntitlementValue(value);
+    }
+  }
+
+  return record;
+}
+
+function isUserObject(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item);
+}
+
+/**
+ * JSON mapping for a file: config.jsonInput merged with its jsonInput.files entry
+ */
+function getJsonMapping(config, filePath) {
+  const { files = {}, ...mapping } = config.jsonInput || {};
+  return { ...mapping, ...files[path.basename(filePath)], detected: [] };
+}
+
+function describeJsonMapping(format, mapping) {
+  const parts = [format === 'json' ? `JSON array${mapping.recordsPath ? ' at "' + mapping.recordsPath + '"' : ''}` : 'NDJSON'];
+  if (mapping.username) parts.push(`username "${mapping.username}"`);
+  parts.push(mapping.fields ? `${Object.keys(mapping.fields).length} mapped field(s)` : 'top-level fields');
+  parts.push(mapping.entitlements ? `${Object.keys(mapping.entitlements).length} mapped entitlement(s)` : 'ent_* properties');
+  return parts.join(' · ');
+}
+
+/**
+ * Split an input reference into the file on disk and the workbook sheet it names
+ * ("Book.xlsx#HR" -> { file: "Book.xlsx", sheet: "HR" }; other inputs have no sheet)
+ */
+export function parseInputReference(reference) {
+  const match = /^(.*\.xlsx)#(.+)$/i.exec(reference);
+  return match ? { file: match[1], sheet: match[2] } : { file: reference, sheet: null };
+}
+
+/**
+ * File name of an input without its extension, plus the sheet for a workbook sheet
+ * ("Book.xlsx#HR" -> "Book.HR"), for files written about it (quarantine, manifest)
+ */
+export function inputBaseName(reference) {
+  const { file, sheet } = parseInputReference(reference);
+  return path.basename(file, path.extname(file)) + (sheet ? `.${sheet.replace(/[^\w.-]+/g, '_')}` : '');
+}
+
+/**
+ * Workbook settings for a file: config.xlsxInput merged with its xlsxInput.files entry
+ */
+function getXlsxSettings(config, file) {
+  const { files = {}, appNames, ...settings } = config.xlsxInput || {};
+  const merged = { sheet: null, headerRow: 1, ...settings, ...files[path.basename(file)] };
+  if (!Number.isInteger(merged.headerRow) || merged.headerRow < 1) {
+    throw new Error(`xlsxInput.headerRow must be a row number of 1 or more (got ${merged.headerRow})`);
+  }
+  return merged;
+}
+
+/**
+ * Default application label for an input: the workbook sheet it reads (through
+ * xlsxInput.appNames), otherwise the file name without the extension
+ */
+export function inputAppName(config, reference) {
+  const { file, sheet } = parseInputReference(reference);
+  const configuredSheet = path.extname(file).toLowerCase() === '.xlsx' ? getXlsxSettings(config, file).sheet : null;
+  const sheetName = sheet || configuredSheet;
+  if (sheetName) {
+    return config.xlsxInput?.appNames?.[sheetName] || sheetName;
+  }
+  return path.basename(file, path.extname(file));
+}
+
+// The whole workbook is loaded: ExcelJS's streaming reader can reach a worksheet before
+// the workbook part that names it, and then fails on valid workbooks now and then
+async function openWorkbook(file) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(file);
+  return workbook;
+}
+
+/**
+ * Sheets of a workbook in workbook order: [{ name, hidden }]
+ */
+export async function listWorkbookSheets(file) {
+  const workbook = await openWorkbook(file);
+  return workbook.worksheets.map(worksheet => ({
+    name: worksheet.name,
+    hidden: worksheet.state !== undefined && worksheet.state !== 'visible'
+  }));
+}
+
+/**
+ * Text of a cell: rich text joined, formula results, hyperlink text, dates as
+ * ISO dates (with the time only when there is one), errors as empty
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(run => run.text).join('');
+  if ('result' in value || value.formula || value.sharedFormula) return cellText(value.result);
+  if ('text' in value) return cellText(value.text);
+  return '';
+}
+
+const csvAdapter = {
+  format: 'csv',
+  resolveSettings: resolveDialect,
+  describe: describeDialect,
+
+  async *readRecords(filePath, dialect, onColumns) {
+    const input = Readable.from(decodeStream(fs.createReadStream(filePath), dialect));
+    const parser = parse({
+      ...parserOptions(dialect),
+      columns: header => {
+        onColumns(header);
+        return header;
+      },
+      skip_empty_lines: true,
+      trim: true,
+      info: true
+    });
+    input.on('error', error => parser.destroy(error));
+    input.pipe(parser);
+
+    for await (const { record, info } of parser) {
+      yield { record, line: info.lines };
+    }
+  }
+};
+
+// A JSON document has to be parsed whole; NDJSON is the streaming choice for large exports
+const jsonAdapter = {
+  format: 'json',
+  resolveSettings: async (config, filePath) => getJsonMapping(config, filePath),
+  describe: mapping => describeJsonMapping('json', mapping),
+
+  async *readRecords(filePath, mapping) {
+    const text = (await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = mapping.recordsPath ? getPath(document, mapping.recordsPath) : document;
+    if (!Array.isArray(items)) {
+      throw new Error(`${mapping.recordsPath ? '"' + mapping.recordsPath + '"' : 'The document'} is not an array of users (set jsonInput.recordsPath)`);
+    }
+
+    // JSON records are numbered by their position in the array
+    for (let i = 0; i < items.length; i++) {
+      yield isUserObject(items[i])
+        ? { record: toRecord(items[i], mapping), line: i + 1 }
+        : { record: {}, line: i + 1, error: 'Not a JSON object' };
+    }
+  }
+};
+
+const ndjsonAdapter = {
+  format: 'ndjson',
+  resolveSettings: async (config, filePath) => getJsonMapping(config, filePath),
+  describe: mapping => describeJsonMapping('ndjson', mapping),
+
+  async *readRecords(filePath, mapping) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+    let line = 0;
+    for await (const text of lines) {
+      line++;
+      const trimmed = (line === 1 ? text.replace(/^\uFEFF/, '') : text).trim();
+      if (!trimmed) continue;
+
+      let item;
+      try {
+        item = JSON.parse(trimmed);
+      } catch (error) {
+        yield { record: {}, line, error: `Invalid JSON: ${error.message}` };
+        continue;
+      }
+      yield isUserObject(item)
+        ? { record: toRecord(item, mapping), line }
+        : { record: {}, line, error: 'Not a JSON object' };
+    }
+  }
+};
+
+const xlsxAdapter = {
+  format: 'xlsx',
+
+  async resolveSettings(config, reference) {
+    const { file, sheet } = parseInputReference(reference);
+    const settings = { ...getXlsxSettings(config, file), detected: [] };
+    if (sheet) {
+      settings.sheet = sheet;
+    } else if (!settings.sheet) {
+      const visible = (await listWorkbookSheets(file)).filter(candidate => !candidate.hidden);
+      if (visible.length !== 1) {
+        const names = visible.map(candidate => `"${candidate.name}"`).join(', ');
+        throw new Error(`${path.basename(file)} has ${visible.length} sheets (${names}); choose one with "${path.basename(file)}#<sheet>", --sheet or xlsxInput.sheet`);
+      }
+      settings.sheet = visible[0].name;
+      settings.detected.push(`sheet "${settings.sheet}" (the only sheet in the workbook)`);
+    }
+    return settings;
+  },
+
+  describe: settings => `sheet "${settings.sheet}" · header row ${settings.headerRow}`,
+
+  async *readRecords(reference, settings, onColumns) {
+    const { file } = parseInputReference(reference);
+    const workbook = await openWorkbook(file);
+    const worksheet = workbook.worksheets.find(candidate => candidate.name === settings.sheet);
+    if (!worksheet) {
+      const names = workbook.worksheets.map(candidate => `"${candidate.name}"`).join(', ');
+      throw new Error(`Sheet "${settings.sheet}" not found in ${path.basename(file)} (sheets: ${names})`);
+    }
+
+    let header = null;
+    for (let number = settings.headerRow; number <= worksheet.rowCount; number++) {
+      // row.values is 1-based: index 0 is always empty
+      const cells = Array.from(worksheet.getRow(number).values.slice(1), value => cellText(value).trim());
+      if (!header) {
+        // Rows above the header may be blank; the header is the first row with a value
+        if (cells.every(cell => cell === '')) continue;
+        while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+        header = cells;
+        onColumns(header);
+        continue;
+      }
+      if (cells.every(cell => cell === '')) continue;
+
+      const record = {};
+      header.forEach((column, i) => { record[column] = cells[i] ?? ''; });
+      const extra = cells.findIndex((cell, i) => i >= header.length && cell !== '');
+      yield extra === -1
+        ? { record, line: number }
+        : { record, line: number, error: `Value in column ${extra + 1}, which has no header` };
+    }
+  }
+};
+
+const ADAPTERS_BY_EXTENSION = {
+  '.json': jsonAdapter,
+  '.ndjson': ndjsonAdapter,
+  '.jsonl': ndjsonAdapter,
+  '.xlsx': xlsxAdapter
+};
+
+/**
+ * Adapter for an input, chosen by its file extension (CSV unless it is JSON/NDJSON/XLSX)
+ */
+export function getInputAdapter(reference) {
+  const { file } = parseInputReference(reference);
+  return ADAPTERS_BY_EXTENSION[path.extname(file).toLowerCase()] || csvAdapter;
+}
@@ -0,0 +1,281 @@
+import fs from 'fs';
+import { oktaRequest, OktaNotFoundError } from './oktaClient.js';
+import { isDryRun, recordChange } from './plan.js';
+import { createRunId } from './report.js';
+import { matchesInputValue } from './entitlementCatalog.js';
+
+const DEFAULT_JOURNAL_FILE = './journal.jsonl';
+
+/**
+ * Append-only journal of every write made to Okta
+ *
+ * One JSON object per line: { id, runId, seq, at, action, ...details }. Each entry
+ * carries the before-state needed to undo it, so `rollback <runId>` can replay a
+ * run's entries in reverse. Undone entries are marked by appending "rollback"
+ * entries; nothing is ever rewritten, and an interrupted rollback can simply be
+ * run again.
+ */
+
+let journalFile = DEFAULT_JOURNAL_FILE;
+let currentRunId = null;
+let sequence = 0;
+
+function getJournalFile(config) {
+  return config.journal?.file || DEFAULT_JOURNAL_FILE;
+}
+
+/**
+ * Start journaling writes under a run ID (shared with the run's report)
+ */
+export function startJournalRun(config, runId) {
+  journalFile = getJournalFile(config);
+  currentRunId = runId;
+  sequence = 0;
+}
+
+/**
+ * Stop journaling writes
+ * @returns {Object|null} - { runId, entries } for the run that ended
+ */
+export function endJournalRun() {
+  if (!currentRunId) return null;
+  const run = { runId: currentRunId, entries: sequence };
+  currentRunId = null;
+  return run;
+}
+
+/**
+ * Run ID writes are currently journaled under (null outside a run)
+ */
+export function getJournalRunId() {
+  return currentRunId;
+}
+
+/**
+ * Whether writes are being journaled (never during dry runs, which write nothing)
+ * Callers use this to skip before-state lookups that nobody would read
+ */
+export function isJournaling() {
+  return currentRunId !== null && !isDryRun();
+}
+
+function appendEntry(entry) {
+  // Synchronous append: the entry is on disk before the next write is attempted
+  fs.appendFileSync(journalFile, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Record a completed write with its before-state
+ *
+ * @param {string} action - Name of the API helper, e.g. "unassignUserFromApp"
+ * @param {Object} details - IDs plus `before` needed to undo the write
+ */
+export function journalMutation(action, details) {
+  if (!isJournaling()) return;
+  sequence++;
+  appendEntry({
+    id: `${currentRunId}#${sequence}`,
+    runId: currentRunId,
+    seq: sequence,
+    at: new Date().toISOString(),
+    action,
+    ...details
+  });
+}
+
+/**
+ * Read every journal entry (a truncated last line from a crash is ignored)
+ */
+export async function readJournal(config) {
+  let data;
+  try {
+    data = await fs.promises.readFile(getJournalFile(config), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Partial line from an interrupted write
+    }
+  }
+  return entries;
+}
+
+/**
+ * Runs found in the journal, newest first: [{ runId, entries, firstAt, lastAt }]
+ */
+export function listJournalRuns(entries) {
+  const runs = new Map();
+  for (const entry of entries) {
+    if (entry.action === 'rollback') continue;
+    if (!runs.has(entry.runId)) {
+      runs.set(entry.runId, { runId: entry.runId, entries: 0, firstAt: entry.at, lastAt: entry.at });
+    }
+    const run = runs.get(entry.runId);
+    run.entries++;
+    run.lastAt = entry.at;
+  }
+  return [...runs.values()].reverse();
+}
+
+/**
+ * Copy the given profile fields; fields that did not exist become null so
+ * restoring them clears the value again
+ */
+export function pickProfileFields(profile, fields) {
+  const picked = {};
+  for (const field of fields) {
+    picked[field] = profile?.[field] ?? null;
+  }
+  return picked;
+}
+
+/**
+ * API calls that undo each kind of journal entry
+ * Each handler returns the steps to run: [{ method, path, body }]
+ */
+const UNDO_HANDLERS = {
+  createUser: async (config, entry) => [
+    { method: 'POST', path: `/api/v1/users/${entry.userId}/lifecycle/deactivate` },
+    { method: 'DELETE', path: `/api/v1/users/${entry.userId}` }
+  ],
+
+  updateUser: async (config, entry) => [
+    { method: 'POST', path: `/api/v1/users/${entry.userId}`, body: { profile: entry.before.profile } }
+  ],
+
+  assignUserToApp: async (config, entry) => entry.before
+    ? [{ method: 'POST', path: `/api/v1/apps/${entry.appId}/users/${entry.userId}`, body: { profile: entry.before.profile } }]
+    : [{ method: 'DELETE', path: `/api/v1/apps/${entry.appId}/users/${entry.userId}` }],
+
+  updateAppUserProfile: async (config, entry) => [
+    { method: 'POST', path: `/api/v1/apps/${entry.appId}/users/${entry.userId}`, body: { profile: entry.before.profile } }
+  ],
+
+  unassignUserFromApp: async (config, entry) => [
+    {
+      method: 'POST',
+      path: `/api/v1/apps/${entry.appId}/users`,
+      body: { id: entry.userId, scope: entry.before?.scope || 'USER', profile: entry.before?.profile || {} }
+    }
+  ],
+
+  createEntitlementGrant: async (config, entry) => [
+    { method: 'DELETE', path: `/governance/api/v1/grants/${entry.grantId}` }
+  ],
+
+  revokeGrant: async (config, entry) => {
+    if (!entry.before) {
+      throw new Error(`Grant ${entry.grantId} was revoked without a recorded before-state; it cannot be re-created`);
+    }
+    const { grantType, targetPrincipal, actor, target, entitlements } = entry.before;
+    return [{ method: 'POST', path: '/governance/api/v1/grants', body: { grantType, targetPrincipal, actor, target, entitlements } }];
+  },
+
+  createEntitlement: async (config, entry) => [
+    { method: 'DELETE', path: `/governance/api/v1/entitlements/${entry.entitlementId}` }
+  ],
+
+  addEntitlementValue: async (config, entry) => {
+    const current = await oktaRequest(config, `/governance/api/v1/entitlements/${entry.entitlementId}`);
+    const values = (current.values || []).filter(value => !matchesInputValue(value, entry.value));
+    return [{ method: 'PUT', path: `/governance/api/v1/entitlements/${entry.entitlementId}`, body: { ...current, values } }];
+  },
+
+  // Restores the names and descriptions the catalog replaced; values added since are left alone
+  updateEntitlement: async (config, entry) => {
+    const current = await oktaRequest(config, `/governance/api/v1/entitlements/${entry.entitlementId}`);
+    const { values: beforeValues, ...before } = entry.before;
+    const values = (current.values || []).map(value => {
+      const previous = beforeValues.find(candidate => (candidate.id && candidate.id === value.id) || matchesInputValue(value, candidate.externalValue || candidate.name));
+      return previous ? { ...value, name: previous.name, description: previous.description } : value;
+    });
+    return [{
+      method: 'PUT',
+      path: `/governance/api/v1/entitlements/${entry.entitlementId}`,
+      body: { ...current, name: before.name, description: before.description, values }
+    }];
+  },
+
+  createBundle: async (config, entry) => [
+    { method: 'DELETE', path: `/governance/api/v1/entitlement-bundles/${entry.bundleId}` }
+  ]
+};
+
+/**
+ * Undo a run's journal entries in reverse order
+ *
+ * Entries already undone by an earlier rollback are skipped. A failed undo is
+ * reported and the rollback continues with the remaining entries. In a dry run
+ * the undo calls are recorded in the plan instead.
+ *
+ * @param {Object} config - Okta configuration
+ * @param {string} runId - Run to undo
+ * @param {Function} onResult - Called with { entry, status, steps, error } as each entry is processed
+ * @returns {Object} - { rollbackRunId, entries, undone, skipped, failed, appIds }
+ */
+export async function rollbackRun(config, runId, onResult = () => {}) {
+  const entries = await readJournal(config);
+  const runEntries = entries.filter(entry => entry.runId === runId && entry.action !== 'rollback');
+  if (runEntries.length === 0) {
+    throw new Error(`No journal entries found for run "${runId}" in ${getJournalFile(config)}`);
+  }
+
+  const alreadyUndone = new Set(entries.filter(entry => entry.action === 'rollback').map(entry => entry.undoes));
+  const result = { rollbackRunId: createRunId('rollback'), entries: runEntries.length, undone: 0, skipped: 0, failed: 0, appIds: new Set() };
+
+  startJournalRun(config, result.rollbackRunId);
+  try {
+    for (const entry of [...runEntries].reverse()) {
+      if (entry.appId) result.appIds.add(entry.appId);
+
+      if (alreadyUndone.has(entry.id)) {
+        result.skipped++;
+        onResult({ entry, status: 'skipped', steps: [] });
+        continue;
+      }
+
+      let steps = [];
+      try {
+        const handler = UNDO_HANDLERS[entry.action];
+        if (!handler) {
+          throw new Error(`Don't know how to undo "${entry.action}"`);
+        }
+        steps = await handler(config, entry);
+
+        for (const step of steps) {
+          if (isDryRun()) {
+            recordChange(`undo:${entry.action}`, step.method, step.path, entry.userId || entry.grantId || entry.entitlementId || entry.bundleId || entry.id, step.body);
+            continue;
+          }
+          try {
+            await oktaRequest(config, step.path, { method: step.method, body: step.body });
+          } catch (error) {
+            // Already gone (e.g. user deleted by hand) - the undo goal is met
+            if (!(error instanceof OktaNotFoundError && step.method === 'DELETE')) {
+              throw error;
+            }
+          }
+        }
+
+        journalMutation('rollback', { undoes: entry.id, undoneAction: entry.action });
+        result.undone++;
+        onResult({ entry, status: 'undone', steps });
+      } catch (error) {
+        result.failed++;
+        onResult({ entry, status: 'failed', steps, error });
+      }
+    }
+  } finally {
+    endJournalRun();
+  }
+
+  result.appIds = [...result.appIds];
+  return result;
+}
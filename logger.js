@@ -0,0 +1,215 @@
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Logging for humans and machines
+ *
+ * The connector prints styled console output throughout. Once configureLogger()
+ * runs, that output is routed through here so it can be level-filtered and, with
+ * format "json", emitted as JSON lines ({ time, level, msg, step, ... }) with the
+ * ANSI styling removed.
+ *
+ * logEvent() adds structured records (user, entitlement, action, outcome,
+ * durationMs) at the points worth querying; they only appear in JSON format, since
+ * the styled text output already describes them.
+ *
+ * With --json, final summaries are written to stdout as JSON and all log output
+ * moves to stderr, so stdout stays parseable.
+ *
+ * Code embedding the connector runs its operations under runWithLogSettings(), which
+ * applies settings to that operation's output only and leaves the host's console alone.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const settings = {
+  format: 'text',
+  level: 'info',
+  json: false
+};
+
+// Settings of the embedded operation the current code runs in, if any
+const scopedSettings = new AsyncLocalStorage();
+
+// Whether configureLogger() took over the process-wide console (the CLI)
+let configured = false;
+
+// Fields attached to every JSON record (e.g. the current pipeline step)
+const context = {};
+
+let consoleInstalled = false;
+const originalConsole = {};
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Remove ANSI colour codes and decoration so log messages are plain text
+ */
+export function stripStyling(text) {
+  return text
+    .replace(ANSI_PATTERN, '')
+    .replace(/[═─]{3,}/g, '')
+    .trim();
+}
+
+function activeSettings() {
+  return scopedSettings.getStore() || settings;
+}
+
+function isEnabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(activeSettings().level);
+}
+
+function writeLine(line) {
+  const active = activeSettings();
+  if (active.write) {
+    active.write(line);
+    return;
+  }
+  // Summaries own stdout in --json mode; everything else goes to stderr
+  const stream = active.json ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+function writeRecord(level, msg, fields = {}) {
+  const record = { time: new Date().toISOString(), level, ...context, ...fields };
+  if (msg) record.msg = msg;
+  writeLine(JSON.stringify(record));
+}
+
+/**
+ * Existing output marks failures and warnings with badges rather than console.error/warn
+ */
+function inferLevel(text, fallback) {
+  if (fallback !== 'info') return fallback;
+  if (/(^|\s)(✗|❌)/.test(text)) return 'error';
+  if (/(^|\s)(⚠|⏸)/.test(text)) return 'warn';
+  return fallback;
+}
+
+function logConsoleOutput(method, fallbackLevel, args) {
+  // Not configured and not inside an embedded operation: the host's own output
+  if (!configured && !scopedSettings.getStore()) {
+    originalConsole[method](...args);
+    return;
+  }
+
+  const text = util.format(...args);
+  const level = inferLevel(stripStyling(text), fallbackLevel);
+  if (!isEnabled(level)) return;
+
+  if (activeSettings().format === 'json') {
+    // Multi-line output (buffered per-user blocks, tables) becomes one record per line
+    for (const line of text.split('\n')) {
+      const msg = stripStyling(line);
+      if (msg) writeRecord(inferLevel(msg, fallbackLevel), msg);
+    }
+  } else {
+    writeLine(text);
+  }
+}
+
+function installConsole() {
+  if (consoleInstalled) return;
+  consoleInstalled = true;
+
+  const levels = { log: 'info', info: 'info', debug: 'debug', warn: 'warn', error: 'error' };
+  for (const [method, level] of Object.entries(levels)) {
+    originalConsole[method] = console[method];
+    console[method] = (...args) => logConsoleOutput(method, level, args);
+  }
+}
+
+function validateSettings(format, level) {
+  if (format !== undefined && format !== null && !LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected ${LOG_FORMATS.join(' or ')})`);
+  }
+  if (level !== undefined && level !== null && !LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (expected one of ${LOG_LEVELS.join(', ')})`);
+  }
+}
+
+/**
+ * Apply logging options (command line flags take precedence over config.logging)
+ *
+ * @param {Object} options - { format: 'text'|'json', level: 'debug'|'info'|'warn'|'error', json: boolean }
+ */
+export function configureLogger({ format, level, json } = {}) {
+  validateSettings(format, level);
+  if (format !== undefined && format !== null) {
+    settings.format = format;
+  }
+  if (level !== undefined && level !== null) {
+    settings.level = level;
+  }
+  if (json !== undefined) {
+    settings.json = Boolean(json);
+  }
+
+  configured = true;
+  installConsole();
+}
+
+/**
+ * Run fn with its own logging settings, for operations of an embedded connector
+ * Console output produced inside fn (including its async work) follows these
+ * settings; everything else in the process is untouched
+ *
+ * @param {Object} options - { format: 'text'|'json', level (default 'silent'), write(line) instead of stdout }
+ * @param {Function} fn - async () => result
+ */
+export function runWithLogSettings({ format = 'text', level = 'silent', write } = {}, fn) {
+  validateSettings(format, level);
+  installConsole();
+  return scopedSettings.run({ format, level, json: false, write }, fn);
+}
+
+/**
+ * Whether log output is JSON lines
+ */
+export function isJsonLogging() {
+  return activeSettings().format === 'json';
+}
+
+/**
+ * Set the pipeline step attached to subsequent JSON records
+ */
+export function setLogStep(step) {
+  context.step = step;
+}
+
+/**
+ * Record a structured event (JSON format only)
+ *
+ * @param {string} level - debug, info, warn or error
+ * @param {Object} fields - e.g. { action, user, entitlement, outcome, durationMs, error }
+ */
+export function logEvent(level, fields) {
+  if (activeSettings().format !== 'json' || !isEnabled(level)) return;
+  writeRecord(level, null, fields);
+}
+
+/**
+ * Start a timer for an event's durationMs
+ * @returns {Function} - () => elapsed milliseconds
+ */
+export function startTimer() {
+  const start = process.hrtime.bigint();
+  return () => Number((process.hrtime.bigint() - start) / 1000000n);
+}
+
+/**
+ * Emit the final summary of an operation
+ * With --json it is written to stdout as one JSON object per line; in JSON log
+ * format it is also logged as a "summary" record
+ */
+export function logSummary(name, summary) {
+  const active = activeSettings();
+  if (active.json) {
+    process.stdout.write(JSON.stringify({ summary: name, ...summary }) + '\n');
+  }
+  if (active.format === 'json' && isEnabled('info')) {
+    writeRecord('info', null, { action: 'summary', summary: name, ...summary });
+  }
+}
@@ -0,0 +1,372 @@
+import { getAccessToken, getOktaBaseUrl } from './config.js';
+import { logEvent, startTimer } from './logger.js';
+
+/**
+ * Shared HTTP client for all Okta Management and Governance API calls
+ *
+ * - Authorization header (SSWS token or cached OAuth token, refreshed on 401)
+ * - Rate limits: waits on Retry-After / X-Rate-Limit-Reset for 429s and slows down
+ *   before a bucket runs dry based on X-Rate-Limit-Remaining
+ * - Retries transient failures with exponential backoff: 429 for every call (Okta did not
+ *   process the request), 5xx and network errors only for calls that are safe to replay -
+ *   GET, PUT and DELETE, or a POST marked { idempotent: true } - since a POST that reached
+ *   Okta before failing would otherwise create a second user, grant or bundle
+ * - Pagination via Link headers (and governance-style _links.next bodies)
+ * - Typed errors so callers can branch on status instead of matching message strings
+ */
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 1000;
+// Start pacing requests once a bucket has this many calls left before its reset
+const DEFAULT_MIN_REMAINING = 2;
+// Methods a lost or failed request can be sent again with
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Base error for failed Okta API calls
+ */
+export class OktaApiError extends Error {
+  constructor(method, path, status, body) {
+    const summary = extractErrorSummary(body);
+    super(`${method} ${path} failed: HTTP ${status}: ${summary}`);
+    this.name = 'OktaApiError';
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.body = body;
+    this.errorCode = typeof body === 'object' && body ? body.errorCode || null : null;
+  }
+}
+
+/**
+ * 401/403 - credentials missing, expired or lacking scopes
+ */
+export class OktaAuthError extends OktaApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'OktaAuthError';
+  }
+}
+
+/**
+ * 404 - the requested object does not exist
+ */
+export class OktaNotFoundError extends OktaApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'OktaNotFoundError';
+  }
+}
+
+/**
+ * 429 - still rate limited after all retries
+ */
+export class OktaRateLimitError extends OktaApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'OktaRateLimitError';
+  }
+}
+
+/**
+ * Network failure (DNS, connection reset, timeout) after all retries
+ */
+export class OktaNetworkError extends Error {
+  constructor(method, path, cause) {
+    super(`${method} ${path} failed: ${cause.message}`);
+    this.name = 'OktaNetworkError';
+    this.method = method;
+    this.path = path;
+    this.cause = cause;
+  }
+}
+
+function extractErrorSummary(body) {
+  if (body && typeof body === 'object') {
+    if (body.errorSummary) {
+      const causes = (body.errorCauses || []).map(cause => cause.errorSummary).filter(Boolean);
+      return causes.length > 0 ? `${body.errorSummary} (${causes.join('; ')})` : body.errorSummary;
+    }
+    return JSON.stringify(body);
+  }
+  return body || '(empty response)';
+}
+
+function createApiError(method, path, status, body) {
+  if (status === 401 || status === 403) return new OktaAuthError(method, path, status, body);
+  if (status === 404) return new OktaNotFoundError(method, path, status, body);
+  if (status === 429) return new OktaRateLimitError(method, path, status, body);
+  return new OktaApiError(method, path, status, body);
+}
+
+// Global access token cache with expiration tracking
+let cachedAccessToken = null;
+let tokenExpiresAt = null;
+
+/**
+ * Check if the cached token is expired or about to expire
+ * Returns true if token needs refresh (expired or expires within 5 minutes)
+ */
+function isTokenExpired() {
+  if (!tokenExpiresAt) return true;
+  // Refresh if token expires within 5 minutes
+  const bufferMs = 5 * 60 * 1000;
+  return Date.now() >= (tokenExpiresAt - bufferMs);
+}
+
+/**
+ * Clear the cached token (used on 401 errors to force refresh)
+ */
+export function clearCachedToken() {
+  cachedAccessToken = null;
+  tokenExpiresAt = null;
+}
+
+/**
+ * Get authorization header for API calls
+ * Supports SSWS API token (preferred) and OAuth client credentials
+ * Automatically refreshes expired OAuth tokens
+ */
+export async function getAuthHeader(config, forceRefresh = false) {
+  if (config.apiToken) {
+    // SSWS API token (preferred)
+    return `SSWS ${config.apiToken}`;
+  } else if (config.clientId) {
+    // OAuth client credentials flow (optional)
+    if (!cachedAccessToken || isTokenExpired() || forceRefresh) {
+      if (forceRefresh && cachedAccessToken) {
+        console.log('   → Token expired or invalid, refreshing...');
+      }
+      if (config.clientSecret || config.privateKey || config.privateKeyPath) {
+        cachedAccessToken = await getAccessToken(config);
+        // Client credentials tokens typically last 1 hour (3600 seconds)
+        tokenExpiresAt = Date.now() + (60 * 60 * 1000);
+      } else {
+        throw new Error('Authentication incomplete: OAuth clientId found but missing credentials. API Token (SSWS) is recommended instead.');
+      }
+      if (forceRefresh) {
+        console.log('   ✓ Token refreshed successfully');
+      }
+    }
+    return `Bearer ${cachedAccessToken}`;
+  } else {
+    throw new Error('No authentication credentials found in configuration');
+  }
+}
+
+// Rate limit state per bucket (Okta limits are per endpoint family)
+const rateLimitBuckets = new Map();
+
+/**
+ * Rate limit bucket for a path, e.g. "/api/v1/users" or "/governance/api/v1/grants"
+ */
+function getBucketKey(path) {
+  const pathname = path.split('?')[0];
+  const match = pathname.match(/^(\/governance)?\/api\/v1\/[^/]+/);
+  return match ? match[0] : pathname;
+}
+
+function updateRateLimitState(path, headers) {
+  const limit = parseInt(headers.get('x-rate-limit-limit'), 10);
+  const remaining = parseInt(headers.get('x-rate-limit-remaining'), 10);
+  const reset = parseInt(headers.get('x-rate-limit-reset'), 10);
+
+  if (Number.isNaN(remaining) || Number.isNaN(reset)) {
+    return;
+  }
+
+  rateLimitBuckets.set(getBucketKey(path), {
+    limit: Number.isNaN(limit) ? null : limit,
+    remaining,
+    // X-Rate-Limit-Reset is epoch seconds
+    resetAt: reset * 1000
+  });
+}
+
+/**
+ * Current rate limit headroom as reported by Okta
+ * Returns the most constrained bucket, or null before any headers have been seen
+ */
+export function getRateLimitStatus() {
+  const now = Date.now();
+  let tightest = null;
+
+  for (const [bucket, state] of rateLimitBuckets.entries()) {
+    if (state.resetAt <= now) continue; // window already reset
+    const ratio = state.limit ? state.remaining / state.limit : null;
+    if (!tightest || (ratio !== null && (tightest.ratio === null || ratio < tightest.ratio))) {
+      tightest = { bucket, ...state, ratio };
+    }
+  }
+
+  return tightest;
+}
+
+/**
+ * Delay before retrying a 429: Retry-After, then X-Rate-Limit-Reset, then exponential backoff
+ */
+function getRetryDelay(response, attempt, httpConfig) {
+  const baseDelay = httpConfig.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+  const maxDelay = httpConfig.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+
+  if (response) {
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (delay >= 0) return Math.min(delay, maxDelay);
+    }
+
+    const reset = parseInt(response.headers.get('x-rate-limit-reset'), 10);
+    if (response.status === 429 && !Number.isNaN(reset)) {
+      // Small buffer so we land after the window resets
+      return Math.min(Math.max(reset * 1000 - Date.now(), 0) + 1000, maxDelay);
+    }
+  }
+
+  const jitter = Math.random() * baseDelay;
+  return Math.min(baseDelay * (2 ** (attempt - 1)) + jitter, maxDelay);
+}
+
+/**
+ * Wait for the bucket to reset when it is about to run out of calls
+ */
+async function waitForRateLimitHeadroom(path, httpConfig) {
+  const state = rateLimitBuckets.get(getBucketKey(path));
+  if (!state) return;
+
+  const minRemaining = httpConfig.minRemaining ?? DEFAULT_MIN_REMAINING;
+  const waitMs = state.resetAt - Date.now();
+
+  if (state.remaining <= minRemaining && waitMs > 0) {
+    await sleep(Math.min(waitMs + 250, httpConfig.maxDelayMs ?? DEFAULT_MAX_DELAY_MS));
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status, replayable) {
+  return status === 429 || (replayable && status >= 500);
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Send a request to the Okta API and return the raw response plus parsed body
+ * Handles auth, rate limiting and retries; throws typed errors on failure
+ */
+async function sendRequest(config, path, { method = 'GET', body, headers = {}, idempotent } = {}) {
+  const httpConfig = config.http || {};
+  const maxRetries = httpConfig.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const replayable = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+  const url = /^https?:\/\//.test(path) ? path : `${getOktaBaseUrl(config)}${path}`;
+  const displayPath = url.replace(/^https?:\/\/[^/]+/, '');
+
+  let refreshedToken = false;
+
+  for (let attempt = 1; ; attempt++) {
+    await waitForRateLimitHeadroom(displayPath, httpConfig);
+
+    const elapsed = startTimer();
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': await getAuthHeader(config),
+          'Accept': 'application/json',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      logEvent('debug', { action: 'http', method, path: displayPath, attempt, outcome: 'network-error', durationMs: elapsed(), error: error.message });
+      if (!replayable || attempt > maxRetries) {
+        throw new OktaNetworkError(method, displayPath, error);
+      }
+      await sleep(getRetryDelay(null, attempt, httpConfig));
+      continue;
+    }
+
+    updateRateLimitState(displayPath, response.headers);
+    logEvent('debug', { action: 'http', method, path: displayPath, attempt, status: response.status, outcome: response.ok ? 'success' : 'failed', durationMs: elapsed() });
+
+    if (response.ok) {
+      return { response, body: response.status === 204 ? null : await readBody(response) };
+    }
+
+    // Expired OAuth token: refresh once and retry (SSWS tokens cannot be refreshed)
+    if (response.status === 401 && !config.apiToken && !refreshedToken) {
+      refreshedToken = true;
+      clearCachedToken();
+      await getAuthHeader(config, true);
+      continue;
+    }
+
+    if (isRetryableStatus(response.status, replayable) && attempt <= maxRetries) {
+      const delay = getRetryDelay(response, attempt, httpConfig);
+      if (response.status === 429) {
+        console.log(`   ⏸  Rate limited on ${getBucketKey(displayPath)}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${maxRetries})...`);
+      }
+      await response.text();
+      await sleep(delay);
+      continue;
+    }
+
+    throw createApiError(method, displayPath, response.status, await readBody(response));
+  }
+}
+
+/**
+ * Call an Okta API endpoint and return the parsed JSON body (null for empty responses)
+ *
+ * @param {Object} config - Okta configuration
+ * @param {string} path - API path such as /api/v1/apps, or an absolute URL from a Link header
+ * @param {Object} options - { method, body, headers, idempotent (a POST that may be replayed after a 5xx or network error) }
+ */
+export async function oktaRequest(config, path, options = {}) {
+  const { body } = await sendRequest(config, path, options);
+  return body;
+}
+
+/**
+ * Get the next page URL from a Link header or a governance-style _links body
+ */
+function getNextPageUrl(response, body) {
+  const linkHeader = response.headers.get('link');
+  if (linkHeader) {
+    const match = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+    if (match) return match[1];
+  }
+  return body && !Array.isArray(body) ? body._links?.next?.href || null : null;
+}
+
+/**
+ * Fetch every page of a list endpoint and return all items
+ * Accepts both plain array responses and governance { data: [...] } responses
+ */
+export async function oktaPaginate(config, path, options = {}) {
+  const items = [];
+  let next = path;
+
+  while (next) {
+    const { response, body } = await sendRequest(config, next, options);
+    const page = Array.isArray(body) ? body : (body?.data || []);
+    items.push(...page);
+    next = getNextPageUrl(response, body);
+  }
+
+  return items;
+}
@@ -0,0 +1,123 @@
+import fs from 'fs';
+
+// Dry-run state: when active, mutation helpers record intended changes here instead of calling Okta
+let dryRun = false;
+let changes = [];
+let idCounter = 0;
+
+/**
+ * Turn on dry-run mode and start a fresh list of planned changes
+ */
+export function startDryRun() {
+  dryRun = true;
+  changes = [];
+  idCounter = 0;
+}
+
+/**
+ * Turn dry-run mode off again
+ * @returns {Array} - The changes recorded while it was on
+ */
+export function stopDryRun() {
+  const recorded = changes;
+  dryRun = false;
+  changes = [];
+  return recorded;
+}
+
+/**
+ * Whether Okta mutations are currently being recorded instead of applied
+ */
+export function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * Generate a placeholder ID for an object that would be created in dry-run mode
+ */
+export function plannedId(kind) {
+  idCounter++;
+  return `planned-${kind}-${idCounter}`;
+}
+
+/**
+ * Whether an ID is a dry-run placeholder (the object does not exist in Okta)
+ */
+export function isPlannedId(id) {
+  return typeof id === 'string' && id.startsWith('planned-');
+}
+
+/**
+ * Record an intended Okta mutation
+ *
+ * @param {string} action - Connector function that would perform the write (e.g. createUser)
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API path that would be called
+ * @param {string} target - Human-readable subject of the change (user login, app label, ...)
+ * @param {Object} details - Request payload or other context
+ */
+export function recordChange(action, method, endpoint, target, details = {}) {
+  changes.push({
+    sequence: changes.length + 1,
+    action,
+    method,
+    endpoint,
+    target,
+    details
+  });
+}
+
+/**
+ * Get all changes recorded so far
+ */
+export function getPlannedChanges() {
+  return changes;
+}
+
+/**
+ * Count planned changes per action
+ */
+export function summarizeChanges(plannedChanges = changes) {
+  const summary = {};
+  for (const change of plannedChanges) {
+    summary[change.action] = (summary[change.action] || 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Render planned changes as a plain-text table
+ */
+export function formatChangesTable(plannedChanges = changes) {
+  const headers = ['#', 'Action', 'Method', 'Endpoint', 'Target'];
+  const rows = plannedChanges.map(change => [
+    String(change.sequence),
+    change.action,
+    change.method,
+    change.endpoint,
+    change.target
+  ]);
+
+  const widths = headers.map((header, i) =>
+    Math.min(60, Math.max(header.length, ...rows.map(row => row[i].length)))
+  );
+  const fit = (text, width) => text.length > width ? text.substring(0, width - 1) + '…' : text.padEnd(width);
+  const line = (cells) => cells.map((cell, i) => fit(cell, widths[i])).join(' │ ');
+  const separator = widths.map(width => '─'.repeat(width)).join('─┼─');
+
+  return [line(headers), separator, ...rows.map(line)].join('\n');
+}
+
+/**
+ * Write the plan as JSON for review/approval
+ */
+export async function writePlanFile(filePath, metadata = {}) {
+  const document = {
+    generatedAt: new Date().toISOString(),
+    ...metadata,
+    summary: summarizeChanges(),
+    changes
+  };
+  await fs.promises.writeFile(filePath, JSON.stringify(document, null, 2));
+  return document;
+}
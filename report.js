@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_REPORTS_DIR = './reports';
+
+/**
+ * Per-run audit report
+ *
+ * A report is started at the beginning of an initial run (run/init/provision), a
+ * sync cycle or a mine run, collects what the connector changed in Okta while it runs, and is
+ * written as JSON plus a standalone HTML page to the reports directory
+ * (config.reports.dir, default ./reports) when the run ends.
+ *
+ * Like the dry-run plan, the report lives in module state so the API helpers can
+ * add entries without every caller threading a report object through.
+ */
+
+// Sections of a report, in display order
+export const REPORT_SECTIONS = {
+  validationErrors: 'CSV validation errors (quarantined rows, ignored columns)',
+  validationWarnings: 'CSV values normalized',
+  attributesCreated: 'Custom attributes created',
+  entitlementsCreated: 'Entitlements created',
+  entitlementValuesCreated: 'Entitlement values created',
+  entitlementsUpdated: 'Entitlements updated from the catalog',
+  usersAdded: 'Users added',
+  usersUpdated: 'Users updated',
+  usersRenamed: 'Users renamed',
+  usersRemoved: 'Users removed',
+  removalsBlocked: 'Removals blocked by the safety guard',
+  failures: 'Failures',
+  roleMiningCandidates: 'Role mining candidates',
+  bundlesCreated: 'Bundles created'
+};
+
+let currentReport = null;
+let currentReportsDir = DEFAULT_REPORTS_DIR;
+
+/**
+ * Unique, sortable identifier for a run, e.g. 20250101T120000123Z-sync
+ */
+export function createRunId(kind) {
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+  return `${timestamp}-${kind}`;
+}
+
+/**
+ * Start collecting a report
+ *
+ * @param {string} kind - "initial", "sync" or "mine"
+ * @param {Object} metadata - e.g. { command, csvFile }
+ * @param {Object} config - Okta configuration (config.reports.dir)
+ * @returns {Object} - The new report
+ */
+export function startReport(kind, metadata = {}, config = {}) {
+  currentReportsDir = config.reports?.dir || DEFAULT_REPORTS_DIR;
+
+  const sections = {};
+  for (const section of Object.keys(REPORT_SECTIONS)) {
+    sections[section] = [];
+  }
+
+  currentReport = {
+    runId: createRunId(kind),
+    kind,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    ...metadata,
+    app: null,
+    governanceResource: null,
+    summary: {},
+    ...sections
+  };
+  return currentReport;
+}
+
+/**
+ * Whether a report is being collected
+ */
+export function isReporting() {
+  return currentReport !== null;
+}
+
+/**
+ * Run ID of the report being collected (null when not reporting)
+ */
+export function getReportRunId() {
+  return currentReport?.runId || null;
+}
+
+/**
+ * Set top-level report fields such as app or governanceResource
+ */
+export function setReportContext(fields) {
+  if (!currentReport) return;
+  Object.assign(currentReport, fields);
+}
+
+/**
+ * Add an entry to a report section (ignored when no report is active)
+ */
+export function addReportEntry(section, entry) {
+  if (!currentReport) return;
+  if (!REPORT_SECTIONS[section]) {
+    throw new Error(`Unknown report section "${section}"`);
+  }
+  currentReport[section].push({ ...entry, at: new Date().toISOString() });
+}
+
+/**
+ * Attach an operation summary (e.g. processUsers or syncUsers counts)
+ */
+export function addReportSummary(name, summary) {
+  if (!currentReport) return;
+  currentReport.summary[name] = summary;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatCell).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function renderTable(entries) {
+  const columns = [...new Set(entries.flatMap(entry => Object.keys(entry)))];
+  const header = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+  const rows = entries.map(entry =>
+    `<tr>${columns.map(column => `<td>${escapeHtml(formatCell(entry[column]))}</td>`).join('')}</tr>`
+  );
+  return `<table><thead><tr>${header}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Render a report as a self-contained HTML page
+ */
+export function renderReportHtml(report) {
+  const overview = [
+    ['Run ID', report.runId],
+    ['Kind', report.kind],
+    ['Command', report.command],
+    ['Started', report.startedAt],
+    ['Finished', report.finishedAt],
+    ['CSV file', report.csvFile],
+    ['Application', report.app ? `${report.app.label} (${report.app.id})${report.app.created ? ' - created in this run' : ''}` : ''],
+    ['Governance resource', report.governanceResource ? `${report.governanceResource.id}${report.governanceResource.registered ? ' - registered in this run' : ''}` : '']
+  ];
+
+  const summaries = Object.entries(report.summary).map(([name, summary]) =>
+    `<h3>${escapeHtml(name)}</h3>${renderTable([summary])}`
+  );
+
+  const sections = Object.entries(REPORT_SECTIONS).map(([section, title]) => {
+    const entries = report[section];
+    const body = entries.length > 0 ? renderTable(entries) : '<p class="empty">None</p>';
+    return `<h2>${escapeHtml(title)} (${entries.length})</h2>${body}`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Okta connector report ${escapeHtml(report.runId)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1d1d21; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #d7d7dc; padding-bottom: .25rem; }
+  h3 { font-size: 1rem; }
+  table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+  th, td { border: 1px solid #d7d7dc; padding: .35rem .5rem; text-align: left; vertical-align: top; }
+  th { background: #f4f4f6; }
+  .overview th { width: 14rem; }
+  .empty { color: #6e6e78; }
+</style>
+</head>
+<body>
+<h1>Okta connector report</h1>
+<table class="overview"><tbody>
+${overview.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</tbody></table>
+${summaries.length > 0 ? `<h2>Summary</h2>${summaries.join('\n')}` : ''}
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Finish the active report and write it as <runId>.json and <runId>.html
+ *
+ * @returns {Object|null} - { jsonPath, htmlPath }, or null when no report was active
+ */
+export async function finishReport() {
+  if (!currentReport) return null;
+
+  const report = currentReport;
+  currentReport = null;
+  report.finishedAt = new Date().toISOString();
+
+  await fs.promises.mkdir(currentReportsDir, { recursive: true });
+
+  const jsonPath = path.join(currentReportsDir, `${report.runId}.json`);
+  const htmlPath = path.join(currentReportsDir, `${report.runId}.html`);
+  await fs.promises.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  await fs.promises.writeFile(htmlPath, renderReportHtml(report));
+
+  return { jsonPath, htmlPath };
+}
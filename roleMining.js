@@ -1,6 +1,10 @@
-import { getConfig, getAccessToken } from './config.js';
-import fs from 'fs';
-import { parse } from 'csv-parse/sync';
+import { loadDataset, splitEntitlementValues } from './dataset.js';
+import { isDryRun, plannedId, recordChange } from './plan.js';
+import { oktaRequest } from './oktaClient.js';
+import { setLogStep, logEvent, logSummary, startTimer } from './logger.js';
+import { addReportEntry, addReportSummary } from './report.js';
+import { journalMutation } from './journal.js';
+import { loadEntitlementCatalog, isRequestable, matchesInputValue } from './entitlementCatalog.js';
 
 // ANSI color codes for terminal output
 const colors = {
@@ -34,43 +38,6 @@ const c = {
   label: (text) => `${colors.blue}${text}${colors.reset}`,
 };
 
-// Global access token cache (shared with index.js pattern)
-let cachedAccessToken = null;
-let tokenExpiresAt = null;
-
-/**
- * Check if the cached token is expired or about to expire
- */
-function isTokenExpired() {
-  if (!tokenExpiresAt) return true;
-  const bufferMs = 5 * 60 * 1000; // 5 minutes
-  return Date.now() >= (tokenExpiresAt - bufferMs);
-}
-
-/**
- * Get authorization header for API calls
- * Supports SSWS API token (preferred) and OAuth client credentials
- */
-async function getAuthHeader(config, forceRefresh = false) {
-  if (config.apiToken) {
-    // SSWS API token (preferred)
-    return `SSWS ${config.apiToken}`;
-  } else if (config.clientId) {
-    // OAuth client credentials flow (fallback)
-    if (!cachedAccessToken || isTokenExpired() || forceRefresh) {
-      if (config.clientSecret || config.privateKey || config.privateKeyPath) {
-        cachedAccessToken = await getAccessToken(config);
-        tokenExpiresAt = Date.now() + (60 * 60 * 1000);
-      } else {
-        throw new Error('Authentication incomplete: OAuth clientId found but missing credentials. API Token (SSWS) is recommended instead.');
-      }
-    }
-    return `Bearer ${cachedAccessToken}`;
-  } else {
-    throw new Error('No authentication credentials found in configuration');
-  }
-}
-
 /**
  * Extract permission bundle from a record
  * Converts ent_* columns into a PermissionBundle object
@@ -84,8 +51,8 @@ function extractBundle(record) {
   for (const [key, value] of Object.entries(record)) {
     // Only process entitlement columns (ent_*)
     if (key.startsWith('ent_') && value) {
-      // Split comma-separated values and trim whitespace
-      const values = value.toString().split(',').map(v => v.trim()).filter(v => v);
+      // Values as split by the column's policy when the dataset was read
+      const values = splitEntitlementValues(value);
       if (values.length > 0) {
         bundle[key] = values.sort(); // Sort for consistency
       }
@@ -255,29 +222,19 @@ function analyzeRoles(records, minUserThreshold = 2) {
  * Read CSV file and build user-entitlement matrix
  * Reads directly from CSV to avoid Okta API query issues
  *
+ * @param {Object} config - Okta configuration (config.csv dialect settings)
  * @param {string} csvFilePath - Path to CSV file
- * @returns {Array} - Array of records with username and ent_* columns
+ * @returns {Array} - Array of records with username and ent_* columns (a grants file is already joined)
  */
-async function readCsvAndBuildMatrix(csvFilePath) {
+async function readCsvAndBuildMatrix(config, csvFilePath) {
   console.log(`   ${c.info('📄')} Reading user entitlement data from CSV...`);
   console.log(`   ${c.dim('   File:')} ${c.data(csvFilePath)}`);
 
   try {
-    // Read and parse CSV file
-    const fileContent = fs.readFileSync(csvFilePath, 'utf8');
-    const records = parse(fileContent, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true
-    });
+    // The matrix (users with ent_* values) is built while the CSV is parsed
+    const { records, matrix: usersWithEntitlements } = await loadDataset(config, csvFilePath);
 
     console.log(`   ${c.success('✓')} Loaded ${c.data(records.length)} user records from CSV`);
-
-    // Count users with entitlements (ent_* columns)
-    const usersWithEntitlements = records.filter(record => {
-      return Object.keys(record).some(key => key.startsWith('ent_') && record[key]);
-    });
-
     console.log(`   ${c.success('✓')} Found ${c.data(usersWithEntitlements.length)} users with entitlements`);
 
     if (usersWithEntitlements.length === 0) {
@@ -298,9 +255,10 @@ async function readCsvAndBuildMatrix(csvFilePath) {
  * @param {Object} candidate - Role candidate from analysis
  * @param {Map} entitlementsMap - Map of entitlement names to IDs and values
  * @param {string} appId - Application ID for the target
+ * @param {Object|null} entitlementCatalog - Entitlement catalog; values it marks not requestable are left out
  * @returns {Object} - Bundle payload for Okta API
  */
-function convertCandidateToBundle(candidate, entitlementsMap, appId) {
+function convertCandidateToBundle(candidate, entitlementsMap, appId, entitlementCatalog = null) {
   const entitlements = [];
 
   // Convert each permission in the bundle to entitlement format
@@ -324,7 +282,11 @@ function convertCandidateToBundle(candidate, entitlementsMap, appId) {
     const valueArray = Array.isArray(values) ? values : [values];
 
     for (const valueName of valueArray) {
-      const valueData = entitlementData.values?.find(v => v.name === valueName);
+      if (!isRequestable(entitlementCatalog, cleanEntName, valueName)) {
+        console.log(`   ${c.dim('   Value')} ${c.data(`"${valueName}"`)} ${c.dim(`of ${cleanEntName} is not requestable (entitlement catalog), left out`)}`);
+        continue;
+      }
+      const valueData = entitlementData.values?.find(v => matchesInputValue(v, valueName));
       if (valueData) {
         valueIds.push({ id: valueData.id });
       } else {
@@ -360,28 +322,14 @@ function convertCandidateToBundle(candidate, entitlementsMap, appId) {
  * @returns {Object} - Created bundle response
  */
 async function createBundle(config, payload) {
-  // Prefer SSWS for governance API calls (same as optIn endpoint)
-  const authHeader = config.apiToken ? `SSWS ${config.apiToken}` : await getAuthHeader(config);
-
-  const response = await fetch(
-    `https://${config.oktaDomain}/governance/api/v1/entitlement-bundles`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': authHeader,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    }
-  );
-
-  if (!response.ok) {
-    const errorBody = await response.text();
-    throw new Error(`HTTP ${response.status}: ${errorBody}`);
+  if (isDryRun()) {
+    recordChange('createBundle', 'POST', '/governance/api/v1/entitlement-bundles', payload.name, payload);
+    return { id: plannedId('bundle'), ...payload };
   }
 
-  return await response.json();
+  const bundle = await oktaRequest(config, '/governance/api/v1/entitlement-bundles', { method: 'POST', body: payload });
+  journalMutation('createBundle', { bundleId: bundle?.id, name: payload.name });
+  return bundle;
 }
 
 /**
@@ -392,9 +340,10 @@ async function createBundle(config, payload) {
  * @param {string} resourceId - Governance resource ID
  * @param {Array} candidates - Array of role candidates
  * @param {Map} entitlementsMap - Map of entitlement names to IDs and values
+ * @param {Object|null} entitlementCatalog - Entitlement catalog of the input (see entitlementCatalog.js)
  * @returns {Array} - Array of created bundles
  */
-async function createBundlesFromCandidates(config, appId, resourceId, candidates, entitlementsMap) {
+async function createBundlesFromCandidates(config, appId, resourceId, candidates, entitlementsMap, entitlementCatalog = null) {
   console.log('');
   console.log(`   ${c.info('🏗️')}  Creating Bundles in Okta Governance`);
   console.log(`   ${c.dim('─'.repeat(50))}`);
@@ -404,12 +353,16 @@ async function createBundlesFromCandidates(config, appId, resourceId, candidates
   const createdBundles = [];
 
   for (const candidate of candidates) {
+    const elapsed = startTimer();
+    const entitlement = Object.keys(candidate.permissions).map(name => name.replace(/^ent_/, ''));
+
     try {
-      const payload = convertCandidateToBundle(candidate, entitlementsMap, appId);
+      const payload = convertCandidateToBundle(candidate, entitlementsMap, appId, entitlementCatalog);
 
       // Skip if no valid entitlements
       if (payload.entitlements.length === 0) {
         console.log(`   ${c.warning('⚠')} Skipping ${c.data(candidate.roleName)} - no valid entitlements`);
+        logEvent('warn', { action: 'createBundle', bundle: candidate.roleName, entitlement, outcome: 'skipped' });
         continue;
       }
 
@@ -417,9 +370,13 @@ async function createBundlesFromCandidates(config, appId, resourceId, candidates
       createdBundles.push(bundle);
 
       console.log(`   ${c.success('✓')} Created: ${c.highlight(candidate.roleName)}`);
+      logEvent('info', { action: 'createBundle', bundle: candidate.roleName, entitlement, outcome: 'created', durationMs: elapsed() });
+      addReportEntry('bundlesCreated', { name: payload.name, id: bundle?.id, users: candidate.userCount, entitlement });
 
     } catch (error) {
       console.log(`   ${c.error('✗')} Failed: ${c.data(candidate.roleName)} - ${c.dim(error.message)}`);
+      logEvent('error', { action: 'createBundle', bundle: candidate.roleName, entitlement, outcome: 'failed', durationMs: elapsed(), error: error.message });
+      addReportEntry('failures', { action: 'createBundle', bundle: candidate.roleName, error: error.message });
       // Continue with next bundle
     }
   }
@@ -439,6 +396,7 @@ async function createBundlesFromCandidates(config, appId, resourceId, candidates
  * @returns {Object} - Summary statistics
  */
 export async function runRoleMining(config, appId, resourceId, entitlementsMap, csvFilePath) {
+  setLogStep('role-mining');
   console.log('');
   console.log(c.info('═'.repeat(70)));
   console.log(`${c.info('🎯')} ${c.data('STEP 9: Role Mining & Bundle Creation')}`);
@@ -459,16 +417,18 @@ export async function runRoleMining(config, appId, resourceId, entitlementsMap,
     const createBundlesEnabled = roleMiningConfig.createBundles !== false;
 
     // Step 1: Read CSV and build user-entitlement matrix
-    const records = await readCsvAndBuildMatrix(csvFilePath);
+    const records = await readCsvAndBuildMatrix(config, csvFilePath);
 
     if (records.length === 0) {
       console.log('');
       console.log(`   ${c.warning('ℹ')} No user grants found - skipping role mining`);
-      return {
+      const result = {
         bundlesCreated: 0,
         usersCovered: 0,
         coveragePercentage: 0
       };
+      logSummary('runRoleMining', { ...result, totalCandidates: 0, candidates: [] });
+      return result;
     }
 
     console.log(`   ${c.success('✓')} Built user-entitlement matrix: ${c.data(records.length)} users`);
@@ -493,11 +453,22 @@ export async function runRoleMining(config, appId, resourceId, entitlementsMap,
     if (analysis.roleCandidates.length === 0) {
       console.log('');
       console.log(`   ${c.warning('ℹ')} No roles met the threshold of ${c.data(minUserThreshold)} users`);
-      return {
+      const result = {
         bundlesCreated: 0,
         usersCovered: 0,
         coveragePercentage: 0
       };
+      logSummary('runRoleMining', { ...result, totalCandidates: 0, candidates: [] });
+      return result;
+    }
+
+    for (const candidate of analysis.roleCandidates) {
+      addReportEntry('roleMiningCandidates', {
+        roleName: candidate.roleName,
+        users: candidate.userCount,
+        coverage: `${candidate.percentage.toFixed(1)}%`,
+        permissions: candidate.permissions
+      });
     }
 
     console.log('');
@@ -528,12 +499,14 @@ export async function runRoleMining(config, appId, resourceId, entitlementsMap,
     let createdBundles = [];
 
     if (createBundlesEnabled) {
+      const { manifest } = await loadDataset(config, csvFilePath);
       createdBundles = await createBundlesFromCandidates(
         config,
         appId,
         resourceId,
         analysis.roleCandidates,
-        entitlementsMap
+        entitlementsMap,
+        await loadEntitlementCatalog(config, csvFilePath, manifest)
       );
     } else {
       console.log('');
@@ -555,12 +528,22 @@ export async function runRoleMining(config, appId, resourceId, entitlementsMap,
       console.log(`   ${c.warning('⚠')} Role Mining Complete: ${c.error('0 bundles created')} ${c.dim('(see errors above)')}`);
     }
 
-    return {
+    const result = {
       bundlesCreated: createdBundles.length,
       usersCovered: analysis.coverage.usersInRoles,
       coveragePercentage: analysis.coverage.percentage,
       totalCandidates: analysis.roleCandidates.length
     };
+    addReportSummary('runRoleMining', result);
+    logSummary('runRoleMining', {
+      ...result,
+      candidates: analysis.roleCandidates.map(candidate => ({
+        roleName: candidate.roleName,
+        userCount: candidate.userCount,
+        permissions: candidate.permissions
+      }))
+    });
+    return result;
 
   } catch (error) {
     console.log('');
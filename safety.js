@@ -0,0 +1,69 @@
+/**
+ * Mass-removal guards for sync
+ *
+ * A truncated or half-written CSV looks exactly like "most users left". Before the
+ * destructive phase of a sync (unassigning users and revoking their grants) the
+ * planned counts are checked against config.safety; when a guard trips, the
+ * removals are skipped for that cycle while additions and updates still apply.
+ *
+ *   safety.maxRemovals            - absolute cap on users unassigned per cycle
+ *   safety.maxRemovalPercent      - cap as a percentage of currently assigned users (default 20)
+ *   safety.maxRevocations         - absolute cap on grants revoked per cycle
+ *   safety.maxRevocationPercent   - cap as a percentage of the app's grants (default 20)
+ *   safety.minCountForPercent     - percentage guards only apply from this many removals/revocations (default 5),
+ *                                   so small apps can still lose a user or two
+ */
+
+const DEFAULT_MAX_REMOVAL_PERCENT = 20;
+const DEFAULT_MAX_REVOCATION_PERCENT = 20;
+const DEFAULT_MIN_COUNT_FOR_PERCENT = 5;
+
+/**
+ * Effective guard settings (null disables a guard)
+ */
+export function getSafetyLimits(config) {
+  const safety = config.safety || {};
+  return {
+    maxRemovals: safety.maxRemovals ?? null,
+    maxRemovalPercent: safety.maxRemovalPercent === undefined ? DEFAULT_MAX_REMOVAL_PERCENT : safety.maxRemovalPercent,
+    maxRevocations: safety.maxRevocations ?? null,
+    maxRevocationPercent: safety.maxRevocationPercent === undefined ? DEFAULT_MAX_REVOCATION_PERCENT : safety.maxRevocationPercent,
+    minCountForPercent: safety.minCountForPercent ?? DEFAULT_MIN_COUNT_FOR_PERCENT
+  };
+}
+
+function percentage(count, total) {
+  return total > 0 ? (count / total) * 100 : (count > 0 ? 100 : 0);
+}
+
+/**
+ * Check planned removals and revocations against the configured guards
+ *
+ * @param {Object} config - Okta configuration
+ * @param {Object} counts - { removals, assignedUsers, revocations, totalGrants }
+ * @returns {Array} - Reasons the guards tripped (empty when the removals may proceed)
+ */
+export function checkRemovalGuards(config, { removals, assignedUsers, revocations, totalGrants }) {
+  const limits = getSafetyLimits(config);
+  const reasons = [];
+
+  if (limits.maxRemovals !== null && removals > limits.maxRemovals) {
+    reasons.push(`${removals} removals exceed safety.maxRemovals (${limits.maxRemovals})`);
+  }
+
+  const removalPercent = percentage(removals, assignedUsers);
+  if (limits.maxRemovalPercent !== null && removals >= limits.minCountForPercent && removalPercent > limits.maxRemovalPercent) {
+    reasons.push(`${removals} of ${assignedUsers} assigned users (${removalPercent.toFixed(1)}%) exceed safety.maxRemovalPercent (${limits.maxRemovalPercent}%)`);
+  }
+
+  if (limits.maxRevocations !== null && revocations > limits.maxRevocations) {
+    reasons.push(`${revocations} grant revocations exceed safety.maxRevocations (${limits.maxRevocations})`);
+  }
+
+  const revocationPercent = percentage(revocations, totalGrants);
+  if (limits.maxRevocationPercent !== null && revocations >= limits.minCountForPercent && revocationPercent > limits.maxRevocationPercent) {
+    reasons.push(`${revocations} of ${totalGrants} grants (${revocationPercent.toFixed(1)}%) exceed safety.maxRevocationPercent (${limits.maxRevocationPercent}%)`);
+  }
+
+  return reasons;
+}
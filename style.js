@@ -0,0 +1,124 @@
+/**
+ * Terminal styling shared by the connector and the command line interface
+ */
+
+// ANSI color codes for terminal output
+export const colors = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  italic: '\x1b[3m',
+  underline: '\x1b[4m',
+  // Text colors
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+  white: '\x1b[37m',
+  gray: '\x1b[90m',
+  // Bright colors
+  brightRed: '\x1b[91m',
+  brightGreen: '\x1b[92m',
+  brightYellow: '\x1b[93m',
+  brightBlue: '\x1b[94m',
+  brightMagenta: '\x1b[95m',
+  brightCyan: '\x1b[96m',
+};
+
+// Helper functions for styled output
+export const style = {
+  // Status indicators
+  success: (text) => `${colors.green}${text}${colors.reset}`,
+  warning: (text) => `${colors.yellow}${text}${colors.reset}`,
+  error: (text) => `${colors.red}${text}${colors.reset}`,
+  info: (text) => `${colors.cyan}${text}${colors.reset}`,
+
+  // Data highlighting
+  id: (text) => `${colors.brightCyan}${text}${colors.reset}`,
+  name: (text) => `${colors.brightMagenta}${colors.bold}${text}${colors.reset}`,
+  value: (text) => `${colors.brightGreen}${text}${colors.reset}`,
+  attr: (text) => `${colors.brightYellow}${text}${colors.reset}`,
+  url: (text) => `${colors.blue}${colors.underline}${text}${colors.reset}`,
+
+  // Structural
+  label: (text) => `${colors.white}${colors.bold}${text}${colors.reset}`,
+  dim: (text) => `${colors.dim}${text}${colors.reset}`,
+  bold: (text) => `${colors.bold}${text}${colors.reset}`,
+  step: (text) => `${colors.brightBlue}${colors.bold}${text}${colors.reset}`,
+
+  // Numbers and counts
+  count: (text) => `${colors.brightYellow}${colors.bold}${text}${colors.reset}`,
+
+  // Status badges
+  badge: {
+    ok: () => `${colors.green}✓${colors.reset}`,
+    fail: () => `${colors.red}✗${colors.reset}`,
+    warn: () => `${colors.yellow}⚠${colors.reset}`,
+    skip: () => `${colors.gray}⊘${colors.reset}`,
+    arrow: () => `${colors.dim}→${colors.reset}`,
+    bullet: () => `${colors.dim}•${colors.reset}`,
+  }
+};
+
+/**
+ * Colorize JSON for pretty terminal output
+ */
+function colorizeJson(obj, indent = 0) {
+  const spaces = '  '.repeat(indent);
+
+  if (obj === null) return `${colors.dim}null${colors.reset}`;
+  if (obj === undefined) return `${colors.dim}undefined${colors.reset}`;
+
+  if (typeof obj === 'string') {
+    return `${colors.green}"${obj}"${colors.reset}`;
+  }
+  if (typeof obj === 'number') {
+    return `${colors.brightYellow}${obj}${colors.reset}`;
+  }
+  if (typeof obj === 'boolean') {
+    return `${colors.brightMagenta}${obj}${colors.reset}`;
+  }
+
+  if (Array.isArray(obj)) {
+    if (obj.length === 0) return `${colors.dim}[]${colors.reset}`;
+    const items = obj.map(item => `${spaces}  ${colorizeJson(item, indent + 1)}`);
+    return `[\n${items.join(',\n')}\n${spaces}]`;
+  }
+
+  if (typeof obj === 'object') {
+    const keys = Object.keys(obj);
+    if (keys.length === 0) return `${colors.dim}{}${colors.reset}`;
+    const entries = keys.map(key => {
+      const coloredKey = `${colors.cyan}"${key}"${colors.reset}`;
+      const coloredValue = colorizeJson(obj[key], indent + 1);
+      return `${spaces}  ${coloredKey}: ${coloredValue}`;
+    });
+    return `{\n${entries.join(',\n')}\n${spaces}}`;
+  }
+
+  return String(obj);
+}
+
+/**
+ * Format JSON with colors for console output (compact version for inline)
+ */
+export function formatJsonCompact(obj) {
+  if (typeof obj === 'string') return `${colors.green}"${obj}"${colors.reset}`;
+  if (typeof obj === 'number') return `${colors.brightYellow}${obj}${colors.reset}`;
+  if (typeof obj === 'boolean') return `${colors.brightMagenta}${obj}${colors.reset}`;
+  if (obj === null) return `${colors.dim}null${colors.reset}`;
+
+  try {
+    const json = JSON.stringify(obj, null, 2);
+    return json
+      .replace(/"([^"]+)":/g, `${colors.cyan}"$1"${colors.reset}:`)
+      .replace(/: "([^"]+)"/g, `: ${colors.green}"$1"${colors.reset}`)
+      .replace(/: (\d+)/g, `: ${colors.brightYellow}$1${colors.reset}`)
+      .replace(/: (true|false)/g, `: ${colors.brightMagenta}$1${colors.reset}`)
+      .replace(/: null/g, `: ${colors.dim}null${colors.reset}`);
+  } catch {
+    return String(obj);
+  }
+}
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+const DEFAULT_STATE_FILE = './.connector-state.json';
+const DEFAULT_FULL_RECONCILE_HOURS = 24;
+const STATE_VERSION = 1;
+
+/**
+ * Persistent record of what the connector last applied to Okta, per app
+ *
+ * {
+ *   version: 1,
+ *   apps: {
+ *     <appId>: {
+ *       csvFile, lastSyncAt, lastFullSyncAt,
+ *       users: { <username>: { hash, contentHash, oktaUserId, grantIds, syncedAt } }
+ *     }
+ *   }
+ * }
+ *
+ * hash covers the whole CSV row; contentHash leaves out the username columns so a
+ * row that only changed its username can be recognised as a rename.
+ */
+
+function getStateFile(config) {
+  return config.syncState?.file || DEFAULT_STATE_FILE;
+}
+
+async function readStateFile(filePath) {
+  try {
+    const data = await fs.promises.readFile(filePath, 'utf8');
+    const state = JSON.parse(data);
+    return state.version === STATE_VERSION ? state : { version: STATE_VERSION, apps: {} };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: STATE_VERSION, apps: {} };
+    }
+    throw new Error(`Could not read sync state file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the stored sync state for one app (an empty state on first run)
+ */
+export async function loadSyncState(config, appId) {
+  const state = await readStateFile(getStateFile(config));
+  return state.apps[appId] || {
+    csvFile: null,
+    lastSyncAt: null,
+    lastFullSyncAt: null,
+    users: {}
+  };
+}
+
+/**
+ * Save one app's sync state, leaving other apps in the file untouched
+ * Written to a temp file first so an interrupted run never leaves a truncated state file
+ */
+export async function saveSyncState(config, appId, appState) {
+  const filePath = getStateFile(config);
+  const state = await readStateFile(filePath);
+  state.apps[appId] = appState;
+
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Drop one app's sync state so the next sync runs a full reconciliation
+ * Used after changes were made to Okta outside a sync (e.g. a rollback)
+ */
+export async function clearSyncState(config, appId) {
+  const filePath = getStateFile(config);
+  const state = await readStateFile(filePath);
+  if (!state.apps[appId]) return;
+  delete state.apps[appId];
+
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Whether the periodic full reconciliation against Okta is due
+ * Incremental syncs only see CSV changes, so drift made directly in Okta is
+ * picked up by these full passes (syncState.fullReconcileHours, 0 = always)
+ */
+export function isFullReconcileDue(config, appState) {
+  if (!appState.lastFullSyncAt) return true;
+  const hours = config.syncState?.fullReconcileHours ?? DEFAULT_FULL_RECONCILE_HOURS;
+  return Date.now() - Date.parse(appState.lastFullSyncAt) >= hours * 60 * 60 * 1000;
+}
+
+// Entitlement values are hashed as the comma-separated cell they used to be, so state
+// written before cells were split into arrays stays valid; values that contain a comma
+// keep the array form, which no cell string can match
+function hashValue(value) {
+  return Array.isArray(value) && !value.some(item => item.includes(',')) ? value.join(',') : value;
+}
+
+function hashEntries(entries) {
+  const sorted = entries.map(([key, value]) => [key, hashValue(value)]).sort(([a], [b]) => a.localeCompare(b));
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+/**
+ * Hash of a full CSV row (column order does not matter)
+ */
+export function hashRecord(record) {
+  return hashEntries(Object.entries(record));
+}
+
+/**
+ * Hash of a CSV row without its username columns, used for rename detection
+ */
+export function hashRecordContent(record, usernameColumns) {
+  return hashEntries(Object.entries(record).filter(([key]) => !usernameColumns.includes(key.toLowerCase())));
+}
+
+/**
+ * Record that a user's row has been applied to Okta
+ */
+export function recordSyncedUser(appState, username, { hash, contentHash, oktaUserId, grantIds = null }) {
+  appState.users[username.toLowerCase()] = {
+    hash,
+    contentHash,
+    oktaUserId,
+    grantIds,
+    syncedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Forget a user that is no longer assigned to the app
+ */
+export function forgetSyncedUser(appState, username) {
+  delete appState.users[username.toLowerCase()];
+}
@@ -0,0 +1,867 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ExcelJS from 'exceljs';
+import { startMockOkta } from './mockOktaServer.js';
+import { createConnector } from '../connector.js';
+import { loadDataset, splitEntitlementValues } from '../dataset.js';
+import { getEntitlementPolicy, formatEntitlementCell, parseEntitlementCell } from '../entitlementValues.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+
+const HEADER = 'username,email,firstName,lastName,department,ent_Role,ent_Region';
+const ROWS = {
+  alice: 'alice@example.com,alice@example.com,Alice,Anders,Sales,"admin,viewer",EU',
+  bob: 'bob@example.com,bob@example.com,Bob,Berg,Sales,"admin,viewer",EU',
+  carol: 'carol@example.com,carol@example.com,Carol,Chen,IT,viewer,US',
+  dave: 'dave@example.com,dave@example.com,Dave,Dunn,IT,viewer,US'
+};
+
+function writeCsv(dir, rows, header = HEADER) {
+  const csvFile = path.join(dir, 'Test App.csv');
+  fs.writeFileSync(csvFile, [header, ...rows].join('\n') + '\n');
+  return csvFile;
+}
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'okta-connector-test-'));
+}
+
+function makeConfig(mock, dir, overrides = {}) {
+  return {
+    oktaDomain: 'mock.okta.com',
+    oktaBaseUrl: mock.baseUrl,
+    apiToken: mock.apiToken,
+    http: { baseDelayMs: 10, maxDelayMs: 50 },
+    roleMining: { enabled: false },
+    syncState: { file: path.join(dir, 'state.json') },
+    journal: { file: path.join(dir, 'journal.jsonl') },
+    reports: { dir: path.join(dir, 'reports') },
+    validation: { quarantineDir: path.join(dir, 'quarantine') },
+    ...overrides
+  };
+}
+
+function runCli(args, cwd) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { cwd, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+function parseSummaries(stdout) {
+  return Object.fromEntries(stdout.trim().split('\n').filter(Boolean).map(line => {
+    const record = JSON.parse(line);
+    return [record.summary, record];
+  }));
+}
+
+function writeRequests(mock) {
+  return mock.requests.filter(request => request.method !== 'GET' && request.path !== '/oauth2/v1/token');
+}
+
+function grantsOf(mock, userId) {
+  return [...mock.state.grants.values()].filter(grant => grant.targetPrincipal.externalId === userId);
+}
+
+function userByLogin(mock, login) {
+  return [...mock.state.users.values()].find(user => user.profile.login === login);
+}
+
+describe('CLI against the mock Okta', () => {
+  let mock;
+  let dir;
+
+  before(async () => {
+    mock = await startMockOkta();
+    dir = makeTempDir();
+    writeCsv(dir, [ROWS.alice, ROWS.bob, ROWS.carol]);
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+      oktaDomain: 'mock.okta.com',
+      oktaBaseUrl: mock.baseUrl,
+      apiToken: mock.apiToken,
+      http: { baseDelayMs: 10, maxDelayMs: 50 }
+    }));
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs the full pipeline: app, governance, attributes, entitlements, users, grants and bundles', async () => {
+    const { code, stdout, stderr } = await runCli(['run', '--csv', 'Test App.csv', '--json'], dir);
+    assert.equal(code, 0, stderr);
+
+    const summaries = parseSummaries(stdout);
+    assert.equal(summaries.processUsers.created, 3);
+    assert.equal(summaries.processUsers.grantsCreated, 3);
+    assert.equal(summaries.processUsers.failed, 0);
+    assert.equal(summaries.runRoleMining.bundlesCreated, 1);
+
+    const app = mock.findApp('Test App');
+    assert.ok(app, 'app created');
+    assert.equal(mock.state.resources.size, 1);
+    assert.deepEqual(Object.keys(mock.state.schemas.get(app.id).definitions.custom.properties), ['department']);
+
+    const entitlements = [...mock.state.entitlements.values()];
+    assert.deepEqual(entitlements.map(ent => ent.name).sort(), ['Region', 'Role']);
+    assert.deepEqual(entitlements.find(ent => ent.name === 'Role').values.map(value => value.name).sort(), ['admin', 'viewer']);
+
+    const appUsers = mock.appUsers(app.id);
+    assert.equal(appUsers.length, 3);
+    assert.equal(appUsers.find(appUser => appUser.credentials.userName === 'carol@example.com').profile.department, 'IT');
+    assert.equal(mock.state.grants.size, 3);
+
+    assert.ok(fs.existsSync(path.join(dir, 'journal.jsonl')), 'journal written');
+    assert.ok(fs.existsSync(path.join(dir, '.connector-state.json')), 'sync state seeded');
+    assert.ok(fs.readdirSync(path.join(dir, 'reports')).some(file => file.endsWith('.html')), 'report written');
+  });
+
+  it('plans without writing to Okta', async () => {
+    const writesBefore = writeRequests(mock).length;
+    const { code, stderr } = await runCli(['plan', '--csv', 'Test App.csv', '--plan-file', 'plan.json'], dir);
+    assert.equal(code, 0, stderr);
+    assert.equal(writeRequests(mock).length, writesBefore);
+
+    const plan = JSON.parse(fs.readFileSync(path.join(dir, 'plan.json'), 'utf8'));
+    const userChanges = plan.changes.filter(change => ['createUser', 'assignUserToApp', 'createEntitlementGrant', 'unassignUserFromApp'].includes(change.action));
+    assert.deepEqual(userChanges, [], 'users are already in sync');
+  });
+
+  it('rolls back the initial run', async () => {
+    const runId = fs.readFileSync(path.join(dir, 'journal.jsonl'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))[0].runId;
+    const { code, stderr } = await runCli(['rollback', runId], dir);
+    assert.equal(code, 0, stderr);
+
+    const app = mock.findApp('Test App');
+    assert.equal(mock.appUsers(app.id).length, 0);
+    assert.equal(mock.state.users.size, 0);
+    assert.equal(mock.state.grants.size, 0);
+    assert.equal(mock.state.entitlements.size, 0);
+    assert.equal(mock.state.bundles.size, 0);
+  });
+
+  it('fails a sync for an app that does not exist', async () => {
+    const { code, stdout, stderr } = await runCli(['sync', '--csv', 'Test App.csv', '--app', 'Missing App'], dir);
+    assert.equal(code, 1);
+    assert.match(stdout + stderr, /Application "Missing App" not found in Okta/);
+  });
+});
+
+describe('syncUsers against the mock Okta', () => {
+  let mock;
+  let dir;
+  let config;
+  let connector;
+  let target;
+
+  // Provision alice, bob and carol, then hand the test the app to sync against
+  const provision = async (overrides = {}, rows = [ROWS.alice, ROWS.bob, ROWS.carol], header = HEADER) => {
+    config = makeConfig(mock, dir, overrides);
+    connector = createConnector(config);
+    const csvFile = writeCsv(dir, rows, header);
+    const { app, resourceId } = await connector.ensureApp({ csvFile });
+    const { entitlements } = await connector.ensureEntitlements({ csvFile, app, resourceId });
+    const provisioned = await connector.provisionUsers({ csvFile, app, resourceId, entitlements });
+    assert.equal(provisioned.failed, 0);
+    target = { csvFile, app, resourceId, entitlements };
+  };
+
+  beforeEach(async () => {
+    mock = await startMockOkta();
+    dir = makeTempDir();
+  });
+
+  afterEach(async () => {
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('adds, updates and removes users', async () => {
+    await provision();
+    const bob = userByLogin(mock, 'bob@example.com');
+    writeCsv(dir, [ROWS.alice, ROWS.carol.replace(',IT,', ',Finance,'), ROWS.dave]);
+
+    const result = await connector.sync(target);
+    assert.equal(result.added, 1);
+    assert.equal(result.updated, 1);
+    assert.equal(result.removed, 1);
+    assert.equal(result.failed, 0);
+
+    const appUsers = mock.appUsers(target.app.id);
+    assert.deepEqual(appUsers.map(appUser => appUser.credentials.userName).sort(), ['alice@example.com', 'carol@example.com', 'dave@example.com']);
+    assert.equal(appUsers.find(appUser => appUser.credentials.userName === 'carol@example.com').profile.department, 'Finance');
+    assert.equal(grantsOf(mock, bob.id).length, 0, 'removed user loses their grants');
+    assert.equal(grantsOf(mock, userByLogin(mock, 'dave@example.com').id).length, 1);
+  });
+
+  it('makes no Okta writes when the CSV is unchanged', async () => {
+    await provision();
+    const writesBefore = writeRequests(mock).length;
+
+    const result = await connector.sync(target);
+    assert.equal(result.unchanged, 3);
+    assert.equal(writeRequests(mock).length, writesBefore);
+  });
+
+  it('renames a user instead of removing and re-adding them', async () => {
+    await provision();
+    const alice = userByLogin(mock, 'alice@example.com');
+    writeCsv(dir, [ROWS.alice.replaceAll('alice@example.com', 'alice.anders@example.com'), ROWS.bob, ROWS.carol]);
+
+    const result = await connector.sync(target);
+    assert.equal(result.renamed, 1);
+    assert.equal(result.added, 0);
+    assert.equal(result.removed, 0);
+    assert.equal(mock.state.users.get(alice.id).profile.login, 'alice.anders@example.com');
+    assert.equal(grantsOf(mock, alice.id).length, 1, 'grants are kept');
+  });
+
+  it('correlates users on a stable identifier so an email change is a rename', async () => {
+    const header = `${HEADER},employeeNumber`;
+    const numbered = { alice: `${ROWS.alice},E1`, bob: `${ROWS.bob},E2`, carol: `${ROWS.carol},E3` };
+    await provision({ correlation: { rules: ['employeeNumber', 'email', 'login'] } }, Object.values(numbered), header);
+    const alice = userByLogin(mock, 'alice@example.com');
+    assert.equal(alice.profile.employeeNumber, 'E1');
+
+    // New address and a new department: the row content changed too, the employee number did not
+    const renamedRow = numbered.alice.replaceAll('alice@example.com', 'alice.anders@example.com').replace(',Sales,', ',Finance,');
+    writeCsv(dir, [renamedRow, numbered.bob, numbered.carol], header);
+    mock.requests.length = 0;
+
+    const result = await connector.sync(target);
+    assert.equal(result.renamed, 1);
+    assert.equal(result.updated, 1);
+    assert.equal(result.added, 0);
+    assert.equal(result.removed, 0);
+    assert.equal(result.failed, 0);
+    assert.equal(mock.state.users.get(alice.id).profile.login, 'alice.anders@example.com');
+    assert.equal(mock.state.users.size, 3, 'no second Okta user');
+    assert.ok(mock.requests.some(request => request.path.startsWith('/api/v1/users?search=')));
+    assert.ok(!mock.requests.some(request => request.method === 'DELETE' && request.path.includes('/users/')), 'never unassigned');
+    const appUser = mock.appUsers(target.app.id).find(candidate => candidate.id === alice.id);
+    assert.equal(appUser.profile.department, 'Finance');
+    assert.equal(grantsOf(mock, alice.id).length, 1);
+
+    // A full reconciliation finds the renamed user where the state says they are
+    const again = await connector.sync({ ...target, full: true });
+    assert.equal(again.unchanged, 3);
+    assert.equal(again.renamed + again.added + again.removed + again.updated, 0);
+  });
+
+  it('fails provisioning rows that match the same Okta user on a correlation rule', async () => {
+    const header = `${HEADER},employeeNumber`;
+    const numbered = [`${ROWS.alice},E1`, `${ROWS.bob},E2`, `${ROWS.carol},E3`];
+    await provision({ correlation: { rules: ['employeeNumber', 'login'] } }, numbered, header);
+    const alice = userByLogin(mock, 'alice@example.com');
+
+    // A second row with alice's employee number would rename her while her own row updates her
+    const duplicate = `${ROWS.dave.replaceAll('dave@example.com', 'alice.anders@example.com')},E1`;
+    writeCsv(dir, [...numbered, duplicate], header);
+    mock.requests.length = 0;
+
+    const result = await connector.provisionUsers(target);
+    assert.equal(result.failed, 2);
+    assert.equal(result.updated, 2);
+    assert.equal(mock.state.users.get(alice.id).profile.login, 'alice@example.com');
+    assert.equal(mock.state.users.get(alice.id).profile.firstName, 'Alice');
+    assert.equal(mock.state.users.size, 3);
+    assert.ok(!writeRequests(mock).some(request => request.path === `/api/v1/users/${alice.id}`), 'the shared user is not written');
+  });
+
+  it('blocks mass removals until they are explicitly allowed', async () => {
+    await provision({ safety: { maxRemovalPercent: 50, minCountForPercent: 1 } });
+    writeCsv(dir, [ROWS.alice, ROWS.dave]);
+
+    const blocked = await connector.sync(target);
+    assert.equal(blocked.blockedRemovals, 2);
+    assert.equal(blocked.removed, 0);
+    assert.equal(blocked.added, 1, 'additions still apply');
+    assert.equal(mock.appUsers(target.app.id).length, 4);
+
+    const allowed = await connector.sync({ ...target, allowMassRemoval: true });
+    assert.equal(allowed.removed, 2);
+    assert.equal(mock.appUsers(target.app.id).length, 2);
+  });
+
+  it('applies a delta file row by row without listing or removing anyone else', async () => {
+    await provision();
+    const deltaFile = path.join(dir, 'Changes.csv');
+    fs.writeFileSync(path.join(dir, 'Changes.manifest.json'), JSON.stringify({ action: 'Op' }));
+    fs.writeFileSync(deltaFile, [
+      `Op,${HEADER}`,
+      `add,${ROWS.dave}`,
+      'UPDATE,carol@example.com,,,,Finance,,',
+      'GRANT,carol@example.com,,,,,admin,',
+      'REVOKE,alice@example.com,,,,,viewer,',
+      'DELETE,bob@example.com,,,,,,',
+      'DELETE,nobody@example.com,,,,,,',
+      'FROB,alice@example.com,,,,,,',
+      'UPDATE,alice@example.com,,,,,admin,'
+    ].join('\n') + '\n');
+
+    const valueNames = login => grantsOf(mock, userByLogin(mock, login).id)
+      .flatMap(grant => grant.entitlements.flatMap(entitlement => entitlement.values.map(value =>
+        Object.values(target.entitlements).flatMap(known => known.values).find(known => known.id === value.id).name)))
+      .sort();
+    const result = await connector.sync({ ...target, csvFile: deltaFile });
+    assert.equal(result.added, 1);
+    assert.equal(result.updated, 3);
+    assert.equal(result.removed, 1);
+    assert.equal(result.unchanged, 1, 'deleting a user who is not assigned changes nothing');
+    assert.equal(result.failed, 0);
+    assert.ok(!mock.requests.some(request => request.method === 'GET' && request.path.startsWith(`/api/v1/apps/${target.app.id}/users?`)), 'app users are never listed');
+
+    const appUsers = mock.appUsers(target.app.id);
+    assert.deepEqual(appUsers.map(appUser => appUser.credentials.userName).sort(), ['alice@example.com', 'carol@example.com', 'dave@example.com']);
+    assert.equal(appUsers.find(appUser => appUser.credentials.userName === 'carol@example.com').profile.department, 'Finance');
+    assert.deepEqual(valueNames('alice@example.com'), ['EU', 'admin']);
+    assert.deepEqual(valueNames('carol@example.com'), ['US', 'admin', 'viewer']);
+    assert.deepEqual(valueNames('dave@example.com'), ['US', 'viewer']);
+
+    const quarantine = fs.readFileSync(path.join(dir, 'quarantine', 'Changes.quarantine.csv'), 'utf8');
+    assert.match(quarantine, /Unknown action ""FROB""/);
+    assert.match(quarantine, /UPDATE row with entitlement values/);
+
+    // Applying the same changes again is a no-op
+    const writesBefore = writeRequests(mock).length;
+    const again = await connector.sync({ ...target, csvFile: deltaFile });
+    assert.equal(again.added + again.updated + again.removed + again.failed, 0);
+    assert.equal(again.unchanged, 6);
+    assert.equal(writeRequests(mock).length, writesBefore);
+  });
+
+  it('writes the Okta profile of a delta ADD row for an existing user', async () => {
+    await provision();
+    const alice = userByLogin(mock, 'alice@example.com');
+    const deltaFile = path.join(dir, 'Changes.csv');
+    fs.writeFileSync(path.join(dir, 'Changes.manifest.json'), JSON.stringify({ action: 'Op' }));
+    fs.writeFileSync(deltaFile, [`Op,${HEADER}`, `ADD,${ROWS.alice.replace('Alice,Anders', 'Alicia,Andersson')}`].join('\n') + '\n');
+
+    const result = await connector.sync({ ...target, csvFile: deltaFile });
+    assert.equal(result.updated, 1);
+    assert.equal(result.failed, 0);
+    assert.equal(mock.state.users.get(alice.id).profile.firstName, 'Alicia');
+    assert.equal(mock.state.users.get(alice.id).profile.lastName, 'Andersson');
+
+    const writesBefore = writeRequests(mock).length;
+    const again = await connector.sync({ ...target, csvFile: deltaFile });
+    assert.equal(again.unchanged, 1);
+    assert.equal(writeRequests(mock).length, writesBefore);
+  });
+
+  it('keeps the case of a delta row\'s username for Okta and matches the sync state without it', async () => {
+    await provision();
+    const carol = userByLogin(mock, 'carol@example.com');
+    const deltaFile = path.join(dir, 'Changes.csv');
+    fs.writeFileSync(path.join(dir, 'Changes.manifest.json'), JSON.stringify({ action: 'Op' }));
+    fs.writeFileSync(deltaFile, [
+      `Op,${HEADER}`,
+      'ADD,Erin.Example@Example.com,Erin.Example@Example.com,Erin,Example,Sales,viewer,EU',
+      'UPDATE,Carol@Example.com,,,,Finance,,'
+    ].join('\n') + '\n');
+
+    const result = await connector.sync({ ...target, csvFile: deltaFile });
+    assert.equal(result.added, 1);
+    assert.equal(result.updated, 1);
+    assert.equal(result.failed, 0);
+    const erin = userByLogin(mock, 'Erin.Example@Example.com');
+    assert.ok(erin, 'the login is created as written');
+    assert.equal(erin.profile.email, 'Erin.Example@Example.com');
+    assert.equal(mock.state.users.get(carol.id).profile.login, 'carol@example.com', 'an UPDATE row does not rewrite the login');
+    assert.equal(mock.appUsers(target.app.id).find(appUser => appUser.id === carol.id).profile.department, 'Finance');
+
+    const writesBefore = writeRequests(mock).length;
+    const again = await connector.sync({ ...target, csvFile: deltaFile });
+    assert.equal(again.unchanged, 2);
+    assert.equal(writeRequests(mock).length, writesBefore);
+  });
+
+  it('retries rate-limited calls (429)', async () => {
+    await provision();
+    mock.simulate({ method: 'POST', path: '/api/v1/users', status: 429, times: 2 });
+    writeCsv(dir, [ROWS.alice, ROWS.bob, ROWS.carol, ROWS.dave]);
+
+    const result = await connector.sync(target);
+    assert.equal(result.added, 1);
+    assert.equal(result.failed, 0);
+    assert.deepEqual(
+      mock.requests.filter(request => request.method === 'POST' && request.path.startsWith('/api/v1/users?')).map(request => request.status),
+      [200, 200, 200, 429, 429, 200]
+    );
+  });
+
+  it('does not replay a POST that failed with a server error (500), but retries reads', async () => {
+    await provision();
+    mock.simulate({ method: 'POST', path: '/api/v1/users', status: 500 });
+    mock.simulate({ method: 'GET', path: '/api/v1/users/dave', status: 503 });
+    writeCsv(dir, [ROWS.alice, ROWS.bob, ROWS.carol, ROWS.dave]);
+    mock.requests.length = 0;
+
+    const result = await connector.sync(target);
+    assert.equal(result.added, 0);
+    assert.equal(result.failed, 1);
+    assert.deepEqual(
+      mock.requests.filter(request => request.method === 'POST' && request.path.startsWith('/api/v1/users?')).map(request => request.status),
+      [500],
+      'the create may have reached Okta, so it is not sent again'
+    );
+    assert.deepEqual(
+      mock.requests.filter(request => request.path === '/api/v1/users/dave%40example.com').map(request => request.status),
+      [503, 404]
+    );
+  });
+
+  it('refreshes an expired OAuth token (401)', async () => {
+    await provision({ apiToken: undefined, clientId: 'mock-client', clientSecret: 'mock-secret' });
+    mock.expireTokens();
+    writeCsv(dir, [ROWS.alice, ROWS.bob, ROWS.carol, ROWS.dave]);
+
+    const result = await connector.sync(target);
+    assert.equal(result.added, 1);
+    assert.equal(result.failed, 0);
+    assert.ok(mock.requests.some(request => request.status === 401), 'a call was rejected');
+    assert.ok(mock.requests.filter(request => request.path === '/oauth2/v1/token').length >= 2, 'the token was refreshed');
+  });
+
+  it('provisions users without grants when governance is unavailable (405)', async () => {
+    mock.simulate({ path: '/governance', status: 405, times: Infinity });
+    mock.simulate({ path: '/api/v1/governance', status: 405, times: Infinity });
+    await provision();
+
+    assert.equal(target.resourceId, null);
+    assert.equal(mock.appUsers(target.app.id).length, 3);
+    assert.equal(mock.state.grants.size, 0);
+
+    writeCsv(dir, [ROWS.alice, ROWS.bob, ROWS.carol, ROWS.dave]);
+    const result = await connector.sync(target);
+    assert.equal(result.added, 1);
+    assert.equal(result.failed, 0);
+  });
+
+  it('quarantines invalid rows, and aborts before any Okta call in strict mode', async () => {
+    await provision();
+    writeCsv(dir, [ROWS.alice, ROWS.bob, ROWS.carol, ROWS.alice.replace('alice@example.com,', 'ALICE@example.com,'), 'not-an-email,,Nope,Nope,IT,viewer,US']);
+
+    const result = await connector.sync(target);
+    assert.equal(result.unchanged, 3);
+    assert.equal(result.added, 0);
+    const quarantine = fs.readFileSync(path.join(dir, 'quarantine', 'Test App.quarantine.csv'), 'utf8').trim().split('\n');
+    assert.equal(quarantine.length, 3);
+    assert.match(quarantine[1], /^5,"Duplicate username ""ALICE@example.com"" \(first seen on line 2\)"/);
+    assert.match(quarantine[2], /^6,"Login ""not-an-email"" is not a valid email address"/);
+
+    const requestsBefore = mock.requests.length;
+    const strict = createConnector({ ...config, validation: { ...config.validation, strict: true } });
+    await assert.rejects(strict.sync({ csvFile: target.csvFile }), /CSV validation failed in strict mode: 2 error\(s\)/);
+    assert.equal(mock.requests.length, requestsBefore);
+  });
+
+  it('validates the input again when the validation settings change', async () => {
+    config = makeConfig(mock, dir);
+    const csvFile = writeCsv(dir, [ROWS.alice, 'not-an-email,,Nope,Nope,IT,viewer,US']);
+
+    const first = await loadDataset(config, csvFile);
+    assert.equal(first.quarantined.length, 1);
+    assert.equal(await loadDataset(config, csvFile), first, 'same file and settings share one pass');
+
+    const changed = { ...config, validation: { ...config.validation, strict: true } };
+    const again = await loadDataset(changed, csvFile);
+    assert.notEqual(again, first, 'changed validation settings are not served the old split');
+    assert.equal(again.quarantined.length, 1);
+  });
+
+  it('reads a semicolon-delimited UTF-16 export with a byte order mark', async () => {
+    await provision();
+    const rows = [HEADER, ROWS.alice, ROWS.bob, ROWS.carol, ROWS.dave].map(row => row.replace(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/g, ';'));
+    fs.writeFileSync(target.csvFile, Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(rows.join('\r\n'), 'utf16le')]));
+
+    const result = await connector.sync(target);
+    assert.equal(result.added, 1);
+    assert.equal(result.unchanged, 3);
+    assert.equal(result.failed, 0);
+  });
+
+  it('splits entitlement cells by the column policy, keeping quoted delimiters in values', async () => {
+    const entitlementValues = { columns: { Region: { delimiter: '|', case: 'upper' } } };
+    await provision({ entitlementValues });
+    writeCsv(dir, [ROWS.alice.replace('"admin,viewer",EU', '"""Finance, Read-Only"",admin",eu|us'), ROWS.bob, ROWS.carol]);
+
+    const result = await connector.sync(target);
+    assert.equal(result.updated, 1);
+    assert.equal(result.unchanged, 2, 'rows synced before keep their state hash');
+    const valueNames = name => target.entitlements[name].values.map(value => value.name).sort();
+    assert.deepEqual(valueNames('role'), ['Finance, Read-Only', 'admin', 'viewer']);
+    assert.deepEqual(valueNames('region'), ['EU', 'US']);
+
+    const alice = userByLogin(mock, 'alice@example.com');
+    const grantedIds = grantsOf(mock, alice.id).flatMap(grant => grant.entitlements.flatMap(entitlement => entitlement.values.map(value => value.id)));
+    const financeId = target.entitlements.role.values.find(value => value.name === 'Finance, Read-Only').id;
+    assert.ok(grantedIds.includes(financeId));
+  });
+
+  it('provisions the same grants as sync from cells split by the column policy', async () => {
+    const entitlementValues = { columns: { Region: { delimiter: '|', case: 'upper' } } };
+    await provision({ entitlementValues }, [ROWS.alice.replace('"admin,viewer",EU', '"""Finance, Read-Only"",admin",eu|us')]);
+
+    const alice = userByLogin(mock, 'alice@example.com');
+    const grantedNames = grantsOf(mock, alice.id).flatMap(grant => grant.entitlements.flatMap(entitlement => entitlement.values.map(value => value.name))).sort();
+    assert.deepEqual(grantedNames, ['EU', 'Finance, Read-Only', 'US', 'admin']);
+    const result = await connector.sync({ ...target, full: true });
+    assert.equal(result.unchanged, 1);
+
+    // Only cells the dataset split are accepted; a raw cell is not split on commas
+    assert.deepEqual(splitEntitlementValues([' admin ', '']), ['admin']);
+    assert.throws(() => splitEntitlementValues('admin,viewer'), /not split by its column's policy/);
+  });
+
+  it('writes entitlement cells back (as in the quarantine file) that read as the same values', () => {
+    const values = ['C:\\Share\\', 'eu|us', 'a\\|b', 'plain'];
+    for (const settings of [{ delimiter: '|', quote: false, escape: '\\' }, { delimiter: '|', escape: '\\' }]) {
+      const policy = getEntitlementPolicy({ entitlementValues: settings }, 'ent_Share');
+      const cell = formatEntitlementCell(values, policy);
+      assert.deepEqual(parseEntitlementCell(cell, policy), values, `round trip through ${JSON.stringify(cell)}`);
+    }
+  });
+
+  it('joins a long-format grants file into the accounts of a two-file input', async () => {
+    config = makeConfig(mock, dir);
+    connector = createConnector(config);
+    const csvFile = path.join(dir, 'Ledger.csv');
+    fs.writeFileSync(csvFile, [
+      'username,firstName,lastName,ent_Role',
+      'alice@example.com,Alice,Anders,viewer',
+      'bob@example.com,Bob,Berg,',
+      'carol@example.com,Carol,Chen,'
+    ].join('\n') + '\n');
+    fs.writeFileSync(path.join(dir, 'Ledger.grants.csv'), [
+      'User,Entitlement,Value,Start,End',
+      'alice@example.com,Role,admin,,',
+      'alice@example.com,Permission,Export,2020-01-01,',
+      'alice@example.com,Permission,Archive,,2020-12-31',
+      'alice@example.com,Permission,Approve,2999-01-01,',
+      'bob@example.com,permission,Export,,',
+      'carol@example.com,Permission,Export,someday,',
+      'zed@example.com,Permission,Export,,'
+    ].join('\n') + '\n');
+
+    const { app, resourceId } = await connector.ensureApp({ csvFile });
+    const { entitlements } = await connector.ensureEntitlements({ csvFile, app, resourceId });
+    const valueNames = name => entitlements[name].values.map(value => value.name).sort();
+    assert.deepEqual(valueNames('role'), ['admin', 'viewer']);
+    assert.deepEqual(valueNames('permission'), ['Export']);
+
+    const provisioned = await connector.provisionUsers({ csvFile, app, resourceId, entitlements });
+    assert.equal(provisioned.created, 2, 'carol is quarantined for her unreadable grant');
+    const grantedNames = login => grantsOf(mock, userByLogin(mock, login).id)
+      .flatMap(grant => grant.entitlements.flatMap(entitlement => entitlement.values.map(value =>
+        Object.values(entitlements).flatMap(known => known.values).find(known => known.id === value.id).name)))
+      .sort();
+    assert.deepEqual(grantedNames('alice@example.com'), ['Export', 'admin', 'viewer']);
+    assert.deepEqual(grantedNames('bob@example.com'), ['Export']);
+
+    const quarantine = fs.readFileSync(path.join(dir, 'quarantine', 'Ledger.quarantine.csv'), 'utf8');
+    assert.match(quarantine, /Grants line 7: start date ""someday"" is not a date/);
+  });
+
+  it('describes entitlements and values from the entitlement catalog on create and update', async () => {
+    config = makeConfig(mock, dir);
+    connector = createConnector(config);
+    const csvFile = writeCsv(dir, [ROWS.alice, ROWS.carol]);
+    const catalogFile = path.join(dir, 'Test App.catalog.json');
+    const writeCatalog = (adminDescription, values = {}) => fs.writeFileSync(catalogFile, JSON.stringify({
+      role: {
+        displayName: 'Ledger Role',
+        description: 'Role in the ledger',
+        owner: 'finance-it@example.com',
+        values: { Admin: { displayName: 'Administrator', description: adminDescription, risk: 'critical', requestable: false }, ...values }
+      }
+    }));
+    writeCatalog('Full control');
+
+    const { app, resourceId } = await connector.ensureApp({ csvFile });
+    const { entitlements } = await connector.ensureEntitlements({ csvFile, app, resourceId });
+    const role = () => mock.state.entitlements.get(entitlements.role.id);
+    const value = text => role().values.find(candidate => candidate.externalValue === text);
+    assert.equal(role().name, 'Ledger Role');
+    assert.equal(role().externalValue, 'Role');
+    assert.equal(role().description, 'Role in the ledger [Owner: finance-it@example.com]');
+    assert.equal(value('admin').name, 'Administrator');
+    assert.equal(value('admin').description, 'Full control [Owner: finance-it@example.com | Risk: critical | Not requestable]');
+    assert.equal(value('viewer').description, 'viewer [Owner: finance-it@example.com]');
+    assert.equal(mock.state.entitlements.get(entitlements.region.id).description, 'Region entitlement from CSV');
+
+    const provisioned = await connector.provisionUsers({ csvFile, app, resourceId, entitlements });
+    assert.equal(provisioned.failed, 0);
+    const aliceRole = grantsOf(mock, userByLogin(mock, 'alice@example.com').id)[0].entitlements.find(entitlement => entitlement.id === entitlements.role.id);
+    assert.equal(aliceRole.values.length, 2, 'values are matched on their input text, not their display name');
+
+    // Catalog changes update what exists; new values are created with their metadata
+    writeCatalog('Full control of the ledger', { auditor: { description: 'Read-only audit access' } });
+    writeCsv(dir, [ROWS.alice, ROWS.carol, ROWS.dave.replace(',viewer,', ',auditor,')]);
+    const updated = await connector.ensureEntitlements({ csvFile, app, resourceId });
+    assert.equal(updated.entitlements.role.id, entitlements.role.id);
+    assert.equal(value('admin').description, 'Full control of the ledger [Owner: finance-it@example.com | Risk: critical | Not requestable]');
+
+    const synced = await connector.sync({ csvFile, app, resourceId, entitlements: updated.entitlements });
+    assert.equal(synced.added, 1);
+    assert.equal(synced.failed, 0);
+    assert.equal(value('auditor').description, 'Read-only audit access [Owner: finance-it@example.com]');
+
+    const rolledBack = await connector.rollback({ runId: updated.run.runId });
+    assert.equal(rolledBack.failed, 0);
+    assert.equal(value('admin').description, 'Full control [Owner: finance-it@example.com | Risk: critical | Not requestable]');
+  });
+
+  it('provisions and syncs JSON exports through the same pipeline as CSV', async () => {
+    const users = [
+      { id: 1, profile: { login: 'alice@example.com', first: 'Alice', last: 'Anders' }, org: { dept: 'Sales' }, access: { roles: ['admin', 'viewer, read-only'] } },
+      { id: 2, profile: { login: 'bob@example.com', first: 'Bob', last: 'Berg' }, org: { dept: 'IT' }, access: { roles: ['viewer'] } }
+    ];
+    const jsonInput = {
+      recordsPath: 'data.users',
+      username: 'profile.login',
+      fields: { firstName: 'profile.first', lastName: 'profile.last', department: 'org.dept' },
+      entitlements: { Role: 'access.roles' }
+    };
+    config = makeConfig(mock, dir, { jsonInput });
+    connector = createConnector(config);
+    const jsonFile = path.join(dir, 'Json App.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({ data: { users } }, null, 2));
+
+    const { app, resourceId } = await connector.ensureApp({ csvFile: jsonFile });
+    assert.equal(app.label, 'Json App');
+    const { entitlements } = await connector.ensureEntitlements({ csvFile: jsonFile, app, resourceId });
+    assert.deepEqual(entitlements.role.values.map(value => value.name).sort(), ['admin', 'viewer', 'viewer, read-only']);
+    const provisioned = await connector.provisionUsers({ csvFile: jsonFile, app, resourceId, entitlements });
+    assert.equal(provisioned.created, 2);
+    assert.equal(mock.appUsers(app.id).find(appUser => appUser.credentials.userName === 'bob@example.com').profile.department, 'IT');
+
+    // The same users as NDJSON (one object per line) sync without changes; a new line adds a user
+    const ndjsonFile = path.join(dir, 'Json App.ndjson');
+    const lines = [...users, { id: 3, profile: { login: 'carol@example.com', first: 'Carol', last: 'Chen' }, org: { dept: 'IT' }, access: { roles: ['viewer'] } }];
+    fs.writeFileSync(ndjsonFile, lines.map(user => JSON.stringify(user)).join('\n') + '\n{not json}\n');
+    const result = await connector.sync({ csvFile: ndjsonFile, app, resourceId, entitlements });
+    assert.equal(result.unchanged, 2);
+    assert.equal(result.added, 1);
+    assert.equal(result.failed, 0);
+  });
+
+  it('provisions one app per workbook sheet, labelled by the sheet name or a mapping', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const crm = workbook.addWorksheet('CRM');
+    crm.addRow(['Access export']);
+    crm.addRow(['username', 'email', 'firstName', 'hired', 'ent_Role']);
+    crm.addRow(['alice@example.com', { text: 'alice@example.com', hyperlink: 'mailto:alice@example.com' }, 'Alice', new Date('2024-01-31'), 'admin,viewer']);
+    crm.addRow(['bob@example.com', 'bob@example.com', { richText: [{ text: 'B' }, { text: 'ob' }] }, null, 'viewer', 'stray']);
+    const hr = workbook.addWorksheet('HR');
+    hr.addRow(['username', 'ent_Dept']);
+    hr.addRow(['carol@example.com', 'Finance']);
+    const workbookFile = path.join(dir, 'Access.xlsx');
+    await workbook.xlsx.writeFile(workbookFile);
+
+    config = makeConfig(mock, dir, { xlsxInput: { headerRow: 2, appNames: { CRM: 'Salesforce CRM' }, files: { 'Access.xlsx': {} } } });
+    connector = createConnector(config);
+    await assert.rejects(connector.ensureApp({ csvFile: workbookFile }), /has 2 sheets \("CRM", "HR"\)/);
+
+    const csvFile = `${workbookFile}#CRM`;
+    const { app, resourceId } = await connector.ensureApp({ csvFile });
+    assert.equal(app.label, 'Salesforce CRM');
+    const { entitlements } = await connector.ensureEntitlements({ csvFile, app, resourceId });
+    const provisioned = await connector.provisionUsers({ csvFile, app, resourceId, entitlements });
+    assert.equal(provisioned.created, 1);
+    assert.equal(mock.appUsers(app.id)[0].profile.hired, '2024-01-31');
+
+    // Bob's row has a value beyond the header, so it is quarantined under its Excel row number
+    const quarantine = fs.readFileSync(path.join(dir, 'quarantine', 'Access.CRM.quarantine.csv'), 'utf8');
+    assert.match(quarantine, /^4,"Value in column 6, which has no header",bob@example.com,bob@example.com,Bob,,viewer$/m);
+
+    const hrConnector = createConnector(makeConfig(mock, dir));
+    const { app: hrApp } = await hrConnector.ensureApp({ csvFile: `${workbookFile}#HR` });
+    assert.equal(hrApp.label, 'HR');
+  });
+
+  it('maps a vendor export through its column manifest without renaming headers', async () => {
+    config = makeConfig(mock, dir);
+    connector = createConnector(config);
+    const csvFile = path.join(dir, 'vendor_export.csv');
+    fs.writeFileSync(csvFile, [
+      'Email Address,Given Name,Surname,Dept,Cost Ctr,Profile,Permission Sets,Last Login,username',
+      'alice@example.com,Alice,Anders,Sales,CC-1,Standard User,"Reports,Export",2024-05-01,aanders',
+      'bob@example.com,Bob,Berg,IT,CC-2,System Administrator,Export,2024-05-02,bberg'
+    ].join('\n') + '\n');
+    fs.writeFileSync(path.join(dir, 'vendor_export.manifest.json'), JSON.stringify({
+      app: 'Vendor CRM',
+      username: 'Email Address',
+      profile: { 'Given Name': 'firstName', Surname: 'lastName', Dept: 'department' },
+      attributes: { Dept: 'department', 'Cost Ctr': 'costCenter', 'Missing Column': 'missing' },
+      entitlements: { Profile: 'Profile', 'Permission Sets': 'PermissionSet' },
+      ignore: ['Last Login']
+    }));
+
+    const { app, resourceId, attributes } = await connector.ensureApp({ csvFile });
+    assert.equal(app.label, 'Vendor CRM');
+    assert.deepEqual(attributes.sort(), ['costCenter', 'department']);
+    const mapping = [...mock.state.mappings.values()].find(candidate => candidate.source.id === app.id);
+    assert.deepEqual(mapping.properties.department, { expression: 'appuser.department' });
+
+    const { entitlements } = await connector.ensureEntitlements({ csvFile, app, resourceId });
+    assert.deepEqual(Object.keys(entitlements).sort(), ['permissionset', 'profile']);
+    const provisioned = await connector.provisionUsers({ csvFile, app, resourceId, entitlements });
+    assert.equal(provisioned.created, 2);
+
+    const alice = userByLogin(mock, 'alice@example.com');
+    assert.equal(alice.profile.firstName, 'Alice');
+    assert.equal(alice.profile.department, 'Sales');
+    const appUser = mock.appUsers(app.id).find(candidate => candidate.credentials.userName === 'alice@example.com');
+    assert.deepEqual(appUser.profile, { department: 'Sales', costCenter: 'CC-1' });
+
+    // The vendor's own "username" column (its name goes to "Email Address") and the missing
+    // manifest column are header errors, which strict mode refuses
+    const strict = createConnector({ ...config, validation: { ...config.validation, strict: true } });
+    await assert.rejects(strict.sync({ csvFile, app, resourceId, entitlements }), /strict mode: 2 error\(s\)/);
+  });
+
+  it('syncs a changed manifest-mapped column to the app profile and the Okta user', async () => {
+    config = makeConfig(mock, dir);
+    connector = createConnector(config);
+    const csvFile = path.join(dir, 'vendor_export.csv');
+    const write = rows => fs.writeFileSync(csvFile, ['Email Address,Given Name,Dept,Cost Ctr,Profile,Last Login', ...rows].join('\n') + '\n');
+    fs.writeFileSync(path.join(dir, 'vendor_export.manifest.json'), JSON.stringify({
+      username: 'Email Address',
+      profile: { 'Given Name': 'firstName', Dept: 'department' },
+      attributes: { Dept: 'department', 'Cost Ctr': 'costCenter' },
+      entitlements: { Profile: 'Profile' },
+      ignore: ['Last Login']
+    }));
+    write(['alice@example.com,Alice,Sales,CC-1,Standard User,2024-05-01', 'bob@example.com,Bob,IT,CC-2,Standard User,2024-05-02']);
+    const { app, resourceId } = await connector.ensureApp({ csvFile });
+    const { entitlements } = await connector.ensureEntitlements({ csvFile, app, resourceId });
+    const target = { csvFile, app, resourceId, entitlements };
+    assert.equal((await connector.sync(target)).added, 2);
+
+    write(['alice@example.com,Alicia,Finance,CC-9,Standard User,2024-06-01', 'bob@example.com,Bob,IT,CC-2,Standard User,2024-05-02']);
+    const result = await connector.sync({ ...target, full: true });
+    assert.equal(result.updated, 1);
+    assert.equal(result.unchanged, 1);
+    assert.equal(result.failed, 0);
+    const alice = userByLogin(mock, 'alice@example.com');
+    assert.equal(alice.profile.firstName, 'Alicia');
+    assert.equal(alice.profile.department, 'Finance');
+    const appUser = mock.appUsers(app.id).find(candidate => candidate.id === alice.id);
+    assert.deepEqual(appUser.profile, { department: 'Finance', costCenter: 'CC-9' });
+
+    // Nothing left to change, in either mode
+    const writesBefore = writeRequests(mock).length;
+    assert.equal((await connector.sync({ ...target, full: true })).unchanged, 2);
+    assert.equal((await connector.sync(target)).unchanged, 2);
+    assert.equal(writeRequests(mock).length, writesBefore);
+  });
+
+  it('derives login, email and attributes from computed manifest columns', async () => {
+    config = makeConfig(mock, dir);
+    connector = createConnector(config);
+    const csvFile = path.join(dir, 'hr_feed.csv');
+    fs.writeFileSync(csvFile, [
+      'First,Last,Dept Code,Start,ent_Role',
+      ' Zoë ,Ärlig,10,03/15/2021,viewer',
+      'Bob,Berg,20,,admin',
+      'Carl,Cole,99,01/02/2020,viewer',
+      'Dana,Diaz,10,13/45/2020,viewer',
+      'Eve,Eck,constructor,,viewer'
+    ].join('\n') + '\n');
+    fs.writeFileSync(path.join(dir, 'hr_feed.manifest.json'), JSON.stringify({
+      username: 'login',
+      profile: { First: 'firstName', Last: 'lastName', Dept: 'department', email: 'email' },
+      attributes: { Dept: 'department', Start: 'startDate' },
+      computed: {
+        First: 'trim(First)',
+        login: "lower(ascii(First)) + '.' + lower(ascii(Last)) + '@corp.example.com'",
+        email: "lower(ascii(First)) + '@mail.example.com'",
+        Dept: "lookup('departments', [Dept Code])",
+        Start: "default(date(Start, 'MM/DD/YYYY', 'YYYY-MM-DD'), 'unknown')"
+      },
+      lookups: { departments: { 10: 'Sales', 20: 'Engineering' } },
+      ignore: ['Dept Code']
+    }));
+
+    const { app, resourceId } = await connector.ensureApp({ csvFile });
+    const { entitlements } = await connector.ensureEntitlements({ csvFile, app, resourceId });
+    const provisioned = await connector.provisionUsers({ csvFile, app, resourceId, entitlements });
+    assert.equal(provisioned.created, 2);
+
+    const zoe = userByLogin(mock, 'zoe.arlig@corp.example.com');
+    assert.equal(zoe.profile.email, 'zoe@mail.example.com');
+    assert.equal(zoe.profile.firstName, 'Zoë');
+    assert.equal(zoe.profile.department, 'Sales');
+    const appUser = mock.appUsers(app.id).find(candidate => candidate.credentials.userName === 'bob.berg@corp.example.com');
+    assert.deepEqual(appUser.profile, { department: 'Engineering', startDate: 'unknown' });
+
+    // An unknown department code and an impossible date quarantine their rows
+    const quarantine = fs.readFileSync(path.join(dir, 'quarantine', 'hr_feed.quarantine.csv'), 'utf8');
+    assert.match(quarantine, /Computed column ""Dept"": ""99"" is not in lookup table ""departments""/);
+    assert.match(quarantine, /Computed column ""Start"": ""13\/45\/2020"" is not a valid date/);
+    assert.match(quarantine, /Computed column ""Dept"": ""constructor"" is not in lookup table ""departments""/);
+
+    // A replace() pattern that is no regular expression fails the manifest, not every row
+    fs.writeFileSync(path.join(dir, 'hr_feed.manifest.json'), JSON.stringify({
+      username: 'login',
+      computed: { login: "replace(lower(First), '[^a-z', '') + '@corp.example.com'" }
+    }));
+    await assert.rejects(
+      connector.provisionUsers({ csvFile, app, resourceId, entitlements }),
+      /computed column "login": replace\(\) pattern "\[\^a-z" is not a valid regular expression/
+    );
+  });
+
+  it('processes the newest complete inbox file per app and archives or fails it', async () => {
+    const inboxDir = path.join(dir, 'inbox');
+    config = makeConfig(mock, dir, { inbox: { dir: inboxDir, settleSeconds: 0, historyDays: 30 } });
+    connector = createConnector(config);
+    fs.mkdirSync(path.join(inboxDir, 'archive'), { recursive: true });
+    const inboxFile = (name, rows) => fs.writeFileSync(path.join(inboxDir, name), [HEADER, ...rows].join('\n') + '\n');
+    inboxFile('Billing_2024-05-01T0200.csv', [ROWS.alice]);
+    inboxFile('Billing_2024-05-02T0200.csv', [ROWS.alice, ROWS.bob]);
+    inboxFile('Billing_2024-05-03T0200.csv.part', [ROWS.carol]);
+    fs.writeFileSync(path.join(inboxDir, 'Ledger_20240502.xlsx'), 'not a workbook');
+    const expired = path.join(inboxDir, 'archive', 'Billing_2024-03-01.csv');
+    fs.writeFileSync(expired, HEADER + '\n');
+    const longAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(expired, longAgo, longAgo);
+
+    const result = await connector.processInbox();
+    assert.deepEqual(result.processed.map(({ file, app, status }) => [file, app, status]), [
+      ['Billing_2024-05-02T0200.csv', 'Billing', 'archived'],
+      ['Ledger_20240502.xlsx', 'Ledger', 'failed']
+    ]);
+    assert.deepEqual(result.superseded, ['Billing_2024-05-01T0200.csv']);
+    assert.equal(result.pruned, 1);
+
+    const billing = mock.findApp('Billing');
+    assert.deepEqual(mock.appUsers(billing.id).map(appUser => appUser.credentials.userName).sort(), ['alice@example.com', 'bob@example.com']);
+    assert.deepEqual(fs.readdirSync(inboxDir).sort(), ['Billing_2024-05-03T0200.csv.part', 'archive', 'failed']);
+    assert.deepEqual(fs.readdirSync(path.join(inboxDir, 'archive')).sort(), ['Billing_2024-05-01T0200.csv', 'Billing_2024-05-02T0200.csv']);
+    const sidecar = JSON.parse(fs.readFileSync(path.join(inboxDir, 'failed', 'Ledger_20240502.xlsx.error.json'), 'utf8'));
+    assert.equal(sidecar.app, 'Ledger');
+    assert.match(sidecar.error, /Error reading XLSX file/);
+  });
+
+  it('records planned changes in a dry run without writing', async () => {
+    await provision();
+    writeCsv(dir, [ROWS.alice, ROWS.bob, ROWS.dave]);
+    const writesBefore = writeRequests(mock).length;
+
+    const result = await connector.sync({ ...target, dryRun: true });
+    assert.equal(writeRequests(mock).length, writesBefore);
+    const actions = result.plannedChanges.map(change => change.action);
+    assert.ok(actions.includes('createUser'));
+    assert.ok(actions.includes('unassignUserFromApp'));
+    assert.ok(actions.includes('revokeGrant'));
+  });
+});
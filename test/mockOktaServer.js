@@ -0,0 +1,464 @@
+import http from 'http';
+
+/**
+ * In-memory stand-in for the Okta endpoints the connector uses
+ *
+ * Covers apps, users, app users, app user schemas, profile mappings, the governance
+ * optIn endpoint, governance resources, entitlements, grants and entitlement bundles,
+ * plus the OAuth token endpoint. Point a config at it with "oktaBaseUrl".
+ *
+ *   const mock = await startMockOkta();
+ *   const config = { oktaDomain: 'mock.okta.com', oktaBaseUrl: mock.baseUrl, apiToken: mock.apiToken };
+ *   mock.simulate({ path: '/api/v1/users', status: 429, times: 2 });
+ *   ...
+ *   await mock.close();
+ */
+
+const DEFAULT_API_TOKEN = 'mock-api-token';
+
+const ERRORS = {
+  400: { errorCode: 'E0000001', errorSummary: 'Api validation failed' },
+  401: { errorCode: 'E0000011', errorSummary: 'Invalid token provided' },
+  404: { errorCode: 'E0000007', errorSummary: 'Not found: Resource not found' },
+  405: { errorCode: 'E0000022', errorSummary: 'The endpoint does not support the provided HTTP method' },
+  429: { errorCode: 'E0000047', errorSummary: 'API call exceeded rate limit due to too many requests.' }
+};
+
+class MockError extends Error {
+  constructor(status, errorSummary, errorCauses = []) {
+    super(errorSummary || ERRORS[status]?.errorSummary);
+    this.status = status;
+    this.errorCauses = errorCauses;
+  }
+}
+
+function createState() {
+  return {
+    apps: new Map(),
+    users: new Map(),
+    appUsers: new Map(),   // appId -> Map(userId -> app user)
+    schemas: new Map(),    // appId -> app user schema
+    mappings: new Map(),
+    resources: new Map(),
+    entitlements: new Map(),
+    grants: new Map(),
+    bundles: new Map()
+  };
+}
+
+function getField(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Parse SCIM-style filters as sent by the connector: a eq "x" and b eq "y"
+ */
+function parseFilter(filter, supportedFields) {
+  if (!filter) return [];
+  return filter.split(/\s+and\s+/i).map(clause => {
+    const match = clause.trim().match(/^([\w.]+)\s+eq\s+"([^"]*)"$/);
+    if (!match || !supportedFields.includes(match[1])) {
+      throw new MockError(400, `Invalid filter: ${clause.trim()}`);
+    }
+    return { field: match[1], value: match[2] };
+  });
+}
+
+function applyFilter(items, filter, supportedFields) {
+  const clauses = parseFilter(filter, supportedFields);
+  return items.filter(item => clauses.every(({ field, value }) => getField(item, field) === value));
+}
+
+/**
+ * Start the mock server on a free local port
+ *
+ * @param {Object} options - { apiToken, pageSize (items per page for paginated lists) }
+ * @returns {Object} - { baseUrl, apiToken, state, requests, simulate(), expireTokens(), reset(), close() }
+ */
+export async function startMockOkta({ apiToken = DEFAULT_API_TOKEN, pageSize = 200 } = {}) {
+  let state = createState();
+  let simulations = [];
+  let issuedTokens = new Set();
+  let idCounter = 0;
+  const requests = [];
+
+  const newId = (prefix) => `${prefix}${String(++idCounter).padStart(8, '0')}`;
+
+  const requireApp = (appId) => {
+    const app = state.apps.get(appId);
+    if (!app) throw new MockError(404);
+    return app;
+  };
+
+  const requireUser = (idOrLogin) => {
+    const user = state.users.get(idOrLogin) ||
+      [...state.users.values()].find(candidate => candidate.profile.login.toLowerCase() === idOrLogin.toLowerCase());
+    if (!user) throw new MockError(404);
+    return user;
+  };
+
+  const appUsersOf = (appId) => {
+    requireApp(appId);
+    if (!state.appUsers.has(appId)) state.appUsers.set(appId, new Map());
+    return state.appUsers.get(appId);
+  };
+
+  const withValueIds = (values = []) => values.map(value => ({ ...value, id: value.id || newId('ent') }));
+
+  // Okta-style list page: Link header with an "after" cursor
+  const linkPage = (items, url, baseUrl) => {
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || pageSize, pageSize);
+    const after = parseInt(url.searchParams.get('after'), 10) || 0;
+    const page = items.slice(after, after + limit);
+    const headers = {};
+    if (after + limit < items.length) {
+      const next = new URL(url.pathname + url.search, baseUrl);
+      next.searchParams.set('after', String(after + limit));
+      headers.link = `<${next.href}>; rel="next"`;
+    }
+    return { body: page, headers };
+  };
+
+  // Governance-style list page: { data, _links.next }
+  const dataPage = (items, url, baseUrl) => {
+    const { body, headers } = linkPage(items, url, baseUrl);
+    const next = headers.link?.match(/<([^>]+)>/)[1];
+    return { body: { data: body, _links: next ? { next: { href: next } } : {} } };
+  };
+
+  const routes = [
+    ['POST', /^\/oauth2\/v1\/token$/, ({ req }) => {
+      if (!(req.headers.authorization || '').startsWith('Basic ')) {
+        throw new MockError(401, 'Client authentication failed');
+      }
+      const token = newId('mock-oauth-');
+      issuedTokens.add(token);
+      return { body: { token_type: 'Bearer', expires_in: 3600, access_token: token, scope: 'okta.apps.manage okta.users.manage' } };
+    }],
+
+    // Applications
+    ['GET', /^\/api\/v1\/apps$/, ({ url, baseUrl }) => {
+      const query = (url.searchParams.get('q') || '').toLowerCase();
+      const apps = [...state.apps.values()].filter(app => app.label.toLowerCase().startsWith(query));
+      return linkPage(apps, url, baseUrl);
+    }],
+    ['POST', /^\/api\/v1\/apps$/, ({ body }) => {
+      const app = { ...body, id: newId('0oa'), name: body.label.toLowerCase().replace(/[^a-z0-9]/g, ''), status: 'ACTIVE', created: new Date().toISOString() };
+      state.apps.set(app.id, app);
+      state.schemas.set(app.id, { id: `#app-${app.id}`, definitions: { custom: { id: '#custom', type: 'object', properties: {} } } });
+      const mapping = { id: newId('prm'), source: { id: app.id, type: 'appuser', name: app.name }, target: { id: 'oty00000000', type: 'user', name: 'user' }, properties: {} };
+      state.mappings.set(mapping.id, mapping);
+      return { body: app };
+    }],
+
+    // Users (search supports a single 'profile.<attribute> eq "<value>"' expression)
+    ['GET', /^\/api\/v1\/users$/, ({ url, baseUrl }) => {
+      const search = url.searchParams.get('search');
+      if (!search) return linkPage([...state.users.values()], url, baseUrl);
+      const match = /^profile\.(\w+) eq "((?:[^"\\]|\\.)*)"$/.exec(search);
+      if (!match) throw new MockError(400, `Unsupported search: ${search}`);
+      const value = match[2].replace(/\\(.)/g, '$1').toLowerCase();
+      const users = [...state.users.values()].filter(user => String(user.profile[match[1]] ?? '').toLowerCase() === value);
+      return linkPage(users, url, baseUrl);
+    }],
+    ['GET', /^\/api\/v1\/users\/([^/]+)$/, ({ params }) => ({ body: requireUser(decodeURIComponent(params[0])) })],
+    ['POST', /^\/api\/v1\/users$/, ({ body, url }) => {
+      const login = body.profile?.login;
+      if (!login) throw new MockError(400, 'Api validation failed: login', [{ errorSummary: 'login: The field cannot be left blank' }]);
+      if ([...state.users.values()].some(user => user.profile.login.toLowerCase() === login.toLowerCase())) {
+        throw new MockError(400, 'Api validation failed: login', [{ errorSummary: 'login: An object with this field already exists in the current organization' }]);
+      }
+      const user = {
+        id: newId('00u'),
+        status: url.searchParams.get('activate') === 'false' ? 'STAGED' : 'ACTIVE',
+        created: new Date().toISOString(),
+        profile: { ...body.profile }
+      };
+      state.users.set(user.id, user);
+      return { body: user };
+    }],
+    ['POST', /^\/api\/v1\/users\/([^/]+)$/, ({ params, body }) => {
+      const user = requireUser(params[0]);
+      user.profile = { ...user.profile, ...body.profile };
+      // App usernames follow the login, as with Okta's default username mapping
+      for (const assignments of state.appUsers.values()) {
+        const appUser = assignments.get(user.id);
+        if (appUser) appUser.credentials.userName = user.profile.login;
+      }
+      return { body: user };
+    }],
+    ['POST', /^\/api\/v1\/users\/([^/]+)\/lifecycle\/deactivate$/, ({ params }) => {
+      requireUser(params[0]).status = 'DEPROVISIONED';
+      return { status: 200, body: {} };
+    }],
+    ['DELETE', /^\/api\/v1\/users\/([^/]+)$/, ({ params }) => {
+      const user = requireUser(params[0]);
+      state.users.delete(user.id);
+      for (const assignments of state.appUsers.values()) assignments.delete(user.id);
+      return { status: 204 };
+    }],
+
+    // App users
+    ['GET', /^\/api\/v1\/apps\/([^/]+)\/users$/, ({ params, url, baseUrl }) =>
+      linkPage([...appUsersOf(params[0]).values()], url, baseUrl)
+    ],
+    ['POST', /^\/api\/v1\/apps\/([^/]+)\/users$/, ({ params, body }) => {
+      const user = requireUser(body.id);
+      const assignments = appUsersOf(params[0]);
+      const existing = assignments.get(user.id);
+      const appUser = {
+        id: user.id,
+        scope: body.scope || 'USER',
+        status: 'PROVISIONED',
+        credentials: { userName: user.profile.login },
+        profile: { ...(existing?.profile || {}), ...(body.profile || {}) }
+      };
+      assignments.set(user.id, appUser);
+      return { body: appUser };
+    }],
+    ['GET', /^\/api\/v1\/apps\/([^/]+)\/users\/([^/]+)$/, ({ params }) => {
+      const appUser = appUsersOf(params[0]).get(params[1]);
+      if (!appUser) throw new MockError(404);
+      return { body: appUser };
+    }],
+    ['POST', /^\/api\/v1\/apps\/([^/]+)\/users\/([^/]+)$/, ({ params, body }) => {
+      const appUser = appUsersOf(params[0]).get(params[1]);
+      if (!appUser) throw new MockError(404);
+      appUser.profile = { ...appUser.profile, ...(body.profile || {}) };
+      return { body: appUser };
+    }],
+    ['DELETE', /^\/api\/v1\/apps\/([^/]+)\/users\/([^/]+)$/, ({ params }) => {
+      if (!appUsersOf(params[0]).delete(params[1])) throw new MockError(404);
+      return { status: 204 };
+    }],
+
+    // App user schema and profile mappings
+    ['GET', /^\/api\/v1\/meta\/schemas\/apps\/([^/]+)\/default$/, ({ params }) => {
+      requireApp(params[0]);
+      return { body: state.schemas.get(params[0]) };
+    }],
+    ['POST', /^\/api\/v1\/meta\/schemas\/apps\/([^/]+)\/default$/, ({ params, body }) => {
+      requireApp(params[0]);
+      const schema = state.schemas.get(params[0]);
+      Object.assign(schema.definitions.custom.properties, body.definitions?.custom?.properties || {});
+      return { body: schema };
+    }],
+    ['GET', /^\/api\/v1\/mappings$/, ({ url, baseUrl }) => {
+      const sourceId = url.searchParams.get('sourceId');
+      const mappings = [...state.mappings.values()].filter(mapping => !sourceId || mapping.source.id === sourceId);
+      return linkPage(mappings, url, baseUrl);
+    }],
+    ['POST', /^\/api\/v1\/mappings\/([^/]+)$/, ({ params, body }) => {
+      const mapping = state.mappings.get(params[0]);
+      if (!mapping) throw new MockError(404);
+      Object.assign(mapping.properties, body.properties || {});
+      return { body: mapping };
+    }],
+
+    // Governance resources
+    ['POST', /^\/api\/v1\/governance\/resources\/source\/([^/]+)\/optIn$/, ({ params, body }) => {
+      const app = requireApp(params[0]);
+      let resource = [...state.resources.values()].find(candidate => candidate.source.id === app.id);
+      if (!resource) {
+        resource = { id: newId('res'), name: body.name, source: { id: app.id, type: 'APPLICATION' }, entitlementManagement: 'DISABLED' };
+        state.resources.set(resource.id, resource);
+      }
+      return { body: resource };
+    }],
+    ['GET', /^\/governance\/api\/v1\/resources$/, ({ url, baseUrl }) =>
+      dataPage(applyFilter([...state.resources.values()], url.searchParams.get('filter'), ['source.id']), url, baseUrl)
+    ],
+    ['PUT', /^\/governance\/api\/v1\/resources\/([^/]+)\/entitlement-management$/, ({ params, body }) => {
+      const resource = state.resources.get(params[0]);
+      if (!resource) throw new MockError(404);
+      resource.entitlementManagement = body.status;
+      return { body: { status: body.status } };
+    }],
+
+    // Entitlements
+    ['GET', /^\/governance\/api\/v1\/entitlements$/, ({ url, baseUrl }) =>
+      dataPage(applyFilter([...state.entitlements.values()], url.searchParams.get('filter'), ['name', 'parent.externalId']), url, baseUrl)
+    ],
+    ['POST', /^\/governance\/api\/v1\/entitlements$/, ({ body }) => {
+      const duplicate = [...state.entitlements.values()].some(ent =>
+        ent.parent?.externalId === body.parent?.externalId && ent.name.toLowerCase() === body.name.toLowerCase()
+      );
+      if (duplicate) throw new MockError(400, `Entitlement name needs to be unique: ${body.name}`);
+      const entitlement = { ...body, id: newId('esp'), values: withValueIds(body.values) };
+      state.entitlements.set(entitlement.id, entitlement);
+      return { body: entitlement };
+    }],
+    ['GET', /^\/governance\/api\/v1\/entitlements\/([^/]+)$/, ({ params }) => {
+      const entitlement = state.entitlements.get(params[0]);
+      if (!entitlement) throw new MockError(404);
+      return { body: entitlement };
+    }],
+    ['PUT', /^\/governance\/api\/v1\/entitlements\/([^/]+)$/, ({ params, body }) => {
+      if (!state.entitlements.has(params[0])) throw new MockError(404);
+      const entitlement = { ...body, id: params[0], values: withValueIds(body.values) };
+      state.entitlements.set(entitlement.id, entitlement);
+      return { body: entitlement };
+    }],
+    ['DELETE', /^\/governance\/api\/v1\/entitlements\/([^/]+)$/, ({ params }) => {
+      if (!state.entitlements.delete(params[0])) throw new MockError(404);
+      return { status: 204 };
+    }],
+
+    // Grants
+    ['GET', /^\/governance\/api\/v1\/grants$/, ({ url, baseUrl }) =>
+      dataPage(applyFilter([...state.grants.values()], url.searchParams.get('filter'), ['targetPrincipal.externalId', 'target.externalId']), url, baseUrl)
+    ],
+    ['POST', /^\/governance\/api\/v1\/grants$/, ({ body }) => {
+      const grant = { ...body, id: newId('0gr'), status: 'ACTIVE', created: new Date().toISOString() };
+      state.grants.set(grant.id, grant);
+      return { body: grant };
+    }],
+    ['GET', /^\/governance\/api\/v1\/grants\/([^/]+)$/, ({ params }) => {
+      const grant = state.grants.get(params[0]);
+      if (!grant) throw new MockError(404);
+      return { body: grant };
+    }],
+    ['DELETE', /^\/governance\/api\/v1\/grants\/([^/]+)$/, ({ params }) => {
+      if (!state.grants.delete(params[0])) throw new MockError(404);
+      return { status: 204 };
+    }],
+
+    // Entitlement bundles
+    ['GET', /^\/governance\/api\/v1\/entitlement-bundles$/, ({ url, baseUrl }) =>
+      dataPage([...state.bundles.values()], url, baseUrl)
+    ],
+    ['POST', /^\/governance\/api\/v1\/entitlement-bundles$/, ({ body }) => {
+      const bundle = { ...body, id: newId('enb'), status: 'ACTIVE' };
+      state.bundles.set(bundle.id, bundle);
+      return { body: bundle };
+    }],
+    ['DELETE', /^\/governance\/api\/v1\/entitlement-bundles\/([^/]+)$/, ({ params }) => {
+      if (!state.bundles.delete(params[0])) throw new MockError(404);
+      return { status: 204 };
+    }]
+  ];
+
+  const isAuthorized = (header = '') => {
+    if (header === `SSWS ${apiToken}`) return true;
+    return header.startsWith('Bearer ') && issuedTokens.has(header.substring(7));
+  };
+
+  const takeSimulation = (method, url) => {
+    const target = url.pathname + url.search;
+    const simulation = simulations.find(candidate =>
+      (!candidate.method || candidate.method === method) &&
+      (candidate.path instanceof RegExp ? candidate.path.test(target) : url.pathname.startsWith(candidate.path))
+    );
+    if (!simulation) return null;
+    simulation.times--;
+    if (simulation.times <= 0) {
+      simulations = simulations.filter(candidate => candidate !== simulation);
+    }
+    return simulation;
+  };
+
+  const handle = async (req, res) => {
+    const baseUrl = `http://${req.headers.host}`;
+    const url = new URL(req.url, baseUrl);
+    const send = (status, body, headers = {}) => {
+      requests.push({ method: req.method, path: url.pathname + url.search, status });
+      res.writeHead(status, { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers });
+      res.end(body !== undefined ? JSON.stringify(body) : undefined);
+    };
+
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    const simulation = takeSimulation(req.method, url);
+    if (simulation) {
+      const headers = simulation.status === 429
+        ? { 'X-Rate-Limit-Limit': '600', 'X-Rate-Limit-Remaining': '0', 'X-Rate-Limit-Reset': String(Math.floor(Date.now() / 1000)), ...simulation.headers }
+        : simulation.headers;
+      send(simulation.status, simulation.body || { ...ERRORS[simulation.status], errorCauses: [] }, headers);
+      return;
+    }
+
+    if (url.pathname !== '/oauth2/v1/token' && !isAuthorized(req.headers.authorization)) {
+      send(401, { ...ERRORS[401], errorCauses: [] });
+      return;
+    }
+
+    const methodRoutes = routes.filter(([, pattern]) => pattern.test(url.pathname));
+    const route = methodRoutes.find(([method]) => method === req.method);
+    if (!route) {
+      send(methodRoutes.length > 0 ? 405 : 404, { ...ERRORS[methodRoutes.length > 0 ? 405 : 404], errorCauses: [] });
+      return;
+    }
+
+    try {
+      let body = {};
+      if (raw) {
+        body = req.headers['content-type']?.includes('application/json') ? JSON.parse(raw) : Object.fromEntries(new URLSearchParams(raw));
+      }
+      const params = url.pathname.match(route[1]).slice(1);
+      const result = await route[2]({ req, url, baseUrl, params, body });
+      send(result.status || 200, result.status === 204 ? undefined : result.body, result.headers);
+    } catch (error) {
+      if (!(error instanceof MockError)) throw error;
+      send(error.status, { ...ERRORS[error.status], errorSummary: error.message, errorCauses: error.errorCauses });
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ errorCode: 'E0000009', errorSummary: `Internal Server Error: ${error.message}`, errorCauses: [] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    apiToken,
+    get state() {
+      return state;
+    },
+    // Every request seen: [{ method, path, status }]
+    requests,
+
+    /**
+     * Answer the next matching request(s) with an error instead of handling them
+     * @param {Object} rule - { method, path (pathname prefix or RegExp), status, times = 1, headers, body }
+     */
+    simulate({ method, path, status, times = 1, headers = {}, body }) {
+      simulations.push({ method, path, status, times, headers, body });
+    },
+
+    /**
+     * Invalidate every OAuth token issued so far (the next call gets a 401)
+     */
+    expireTokens() {
+      issuedTokens = new Set();
+    },
+
+    /**
+     * App users of an app as an array
+     */
+    appUsers(appId) {
+      return [...(state.appUsers.get(appId)?.values() || [])];
+    },
+
+    /**
+     * Application by label
+     */
+    findApp(label) {
+      return [...state.apps.values()].find(app => app.label === label) || null;
+    },
+
+    reset() {
+      state = createState();
+      simulations = [];
+      issuedTokens = new Set();
+      requests.length = 0;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
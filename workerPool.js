@@ -0,0 +1,58 @@
+/**
+ * Run an async worker over a list of items with bounded concurrency
+ *
+ * The concurrency limit may be a function; it is re-evaluated every time a slot
+ * frees up, so callers can shrink or grow the pool while it runs (e.g. from
+ * rate limit headroom). At least one worker always runs.
+ *
+ * Stops starting new items after the first worker error and rejects with it once
+ * in-flight items have settled. Workers that want to continue past failures
+ * should catch their own errors.
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options - { concurrency: number | () => number }
+ * @returns {Array} - Results in the same order as items
+ */
+export function runPool(items, worker, { concurrency = 1 } = {}) {
+  const getLimit = typeof concurrency === 'function' ? concurrency : () => concurrency;
+  const results = new Array(items.length);
+
+  return new Promise((resolve, reject) => {
+    let nextIndex = 0;
+    let active = 0;
+    let firstError = null;
+
+    const settle = () => {
+      if (active > 0) return;
+      if (firstError) {
+        reject(firstError);
+      } else if (nextIndex >= items.length) {
+        resolve(results);
+      }
+    };
+
+    const launch = () => {
+      while (!firstError && nextIndex < items.length && active < Math.max(1, getLimit())) {
+        const index = nextIndex++;
+        active++;
+
+        Promise.resolve()
+          .then(() => worker(items[index], index))
+          .then(result => {
+            results[index] = result;
+          }, error => {
+            firstError = firstError || error;
+          })
+          .finally(() => {
+            active--;
+            launch();
+            settle();
+          });
+      }
+    };
+
+    launch();
+    settle();
+  });
+}